@@ -0,0 +1,86 @@
+// /api/admin/metrics.js
+// Support-staff report of revenue, customers, payment failures and subscribers,
+// read back from the metadata our routes put on Stripe objects (lib/metrics.js).
+// ?format=csv downloads the same report as a spreadsheet.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser, isAdmin } from '../../lib/auth.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { collectMetrics, metricsToCsv } from '../../lib/metrics.js';
+import { logger } from '../../lib/logger.js';
+
+export default withApi(handler, { methods: ['GET'] });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+// Longer ranges page through too much of Stripe for one function call
+const MAX_RANGE_DAYS = 366;
+
+const querySchema = {
+  from: fields.date(),
+  to: fields.date(),
+  format: { type: 'string', enum: ['json', 'csv'], lowercase: true, default: 'json' }
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!isAdmin(user)) {
+    logger.warn('Metrics requested without admin access', { uid: user.uid });
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  // A date-only `to` includes that whole day
+  const to = query.to
+    ? new Date(new Date(query.to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to.trim()) ? DAY_MS - 1 : 0))
+    : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (from >= to) {
+    return sendValidationError(res, [fieldError('from', ERROR_CODES.OUT_OF_RANGE, 'from must be before to')]);
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return sendValidationError(res, [fieldError('from', ERROR_CODES.OUT_OF_RANGE, `The range can be at most ${MAX_RANGE_DAYS} days`)]);
+  }
+
+  try {
+    const report = await collectMetrics(stripe, { from, to });
+
+    if (query.format === 'csv') {
+      const filename = `metrics-${report.range.from.slice(0, 10)}-to-${report.range.to.slice(0, 10)}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(metricsToCsv(report));
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...report
+    });
+
+  } catch (error) {
+    logger.error('Metrics error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build metrics',
+      type: 'server_error'
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,148 @@
+// /api/admin/refund.js
+// Support-staff endpoint to refund a student's payment (full or partial) and
+// optionally cancel their subscription. The entitlement itself is adjusted by
+// the charge.refunded / customer.subscription.deleted webhooks.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser, isAdmin } from '../../lib/auth.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// Reasons Stripe accepts on a refund
+const REFUND_REASONS = ['requested_by_customer', 'duplicate', 'fraudulent'];
+
+const bodySchema = {
+  payment_intent_id: fields.paymentIntentId({ required: true }),
+  amount: fields.amount({ min: 1 }),
+  reason: { type: 'string', enum: REFUND_REASONS, default: 'requested_by_customer' },
+  note: { type: 'string', maxLength: 500 },
+  cancel_subscription: { type: 'boolean', default: false }
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!isAdmin(user)) {
+    logger.warn('Refund attempted without admin access', { uid: user.uid });
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `admin-refund:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Refund failed',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
+
+  try {
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const { payment_intent_id, amount, reason, note, cancel_subscription } = body;
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id, {
+      expand: ['latest_charge', 'invoice']
+    });
+
+    if (paymentIntent.status !== 'succeeded') {
+      return sendValidationError(res, [fieldError('payment_intent_id', ERROR_CODES.NOT_REFUNDABLE,
+        `Only succeeded payments can be refunded (status is ${paymentIntent.status})`)]);
+    }
+
+    const refundable = paymentIntent.amount_received - (paymentIntent.latest_charge?.amount_refunded || 0);
+    if (amount !== undefined && amount > refundable) {
+      return sendValidationError(res, [fieldError('amount', ERROR_CODES.OUT_OF_RANGE,
+        `amount is more than the refundable ${refundable}`)]);
+    }
+
+    logger.info('Refunding payment', {
+      payment_intent_id: payment_intent_id,
+      amount: amount || refundable,
+      reason: reason,
+      admin_uid: user.uid
+    });
+
+    const refund = await stripe.refunds.create({
+      payment_intent: payment_intent_id,
+      amount: amount,
+      reason: reason,
+      metadata: {
+        refunded_by: user.uid,
+        note: note || ''
+      }
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-refund` } : undefined);
+
+    // Ending a subscription stops renewals; access ends with the subscription
+    let subscription = null;
+    const subscriptionId = paymentIntent.invoice?.subscription;
+    if (cancel_subscription && subscriptionId) {
+      subscription = await stripe.subscriptions.cancel(subscriptionId, {
+        cancellation_details: { comment: `Refunded by support: ${note || reason}` }
+      });
+      logger.info('Subscription cancelled by admin', { subscription_id: subscriptionId, admin_uid: user.uid });
+    }
+
+    return respond(200, {
+      success: true,
+      refund: {
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        reason: refund.reason
+      },
+      payment_intent_id: payment_intent_id,
+      full_refund: refund.amount >= refundable,
+      subscription: subscription ? { id: subscription.id, status: subscription.status } : null
+    });
+
+  } catch (error) {
+    logger.error('Refund error', error);
+
+    if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return respond(400, {
+        success: false,
+        error: error.message,
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Refund failed',
+        type: 'server_error'
+      });
+    }
+  }
+}
\ No newline at end of file
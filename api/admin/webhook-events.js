@@ -0,0 +1,149 @@
+// /api/admin/webhook-events.js
+// Support-staff view of stored webhook events (lib/webhooks/):
+//   GET  ?status=dead_letter&limit=50   list events (failed, dead_letter and stale
+//                                       processing by default)
+//   GET  ?event_id=evt_...              one event, with its payload
+//   POST { event_id, force }            replay an event through the same handlers
+
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser, isAdmin } from '../../lib/auth.js';
+import { getIdempotencyStore } from '../../lib/idempotency/index.js';
+import { getWebhookEventStore, processWebhookEvent, isStaleProcessing, reclaimStaleEvent, EVENT_STATUSES } from '../../lib/webhooks/index.js';
+import { fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+
+export default withApi(handler, { methods: ['GET', 'POST'] });
+
+const EVENT_ID_PATTERN = /^evt_[A-Za-z0-9_]+$/;
+
+const querySchema = {
+  event_id: { type: 'string', pattern: EVENT_ID_PATTERN },
+  status: { type: 'string', enum: EVENT_STATUSES, lowercase: true },
+  limit: { type: 'integer', min: 1, max: 100, default: 50 }
+};
+
+const bodySchema = {
+  event_id: { type: 'string', pattern: EVENT_ID_PATTERN, required: true },
+  // Replaying an event that already succeeded runs its handler a second time
+  force: { type: 'boolean', default: false }
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!isAdmin(user)) {
+    logger.warn('Webhook events requested without admin access', { uid: user.uid });
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  try {
+    return req.method === 'POST' ? await replayEvent(req, res, user) : await listEvents(req, res);
+  } catch (error) {
+    logger.error('Webhook events error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook event store unavailable',
+      type: 'server_error'
+    });
+  }
+}
+
+async function listEvents(req, res) {
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  const eventStore = getWebhookEventStore();
+
+  if (query.event_id) {
+    const record = await eventStore.get(query.event_id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Webhook event not found', type: 'not_found' });
+    }
+    return res.status(200).json({ success: true, event: describeEvent(record, true) });
+  }
+
+  // By default, everything that needs attention - including events whose
+  // function died mid-handler and were never marked failed
+  const statuses = query.status ? [query.status] : ['failed', 'dead_letter', 'processing'];
+  const records = (await eventStore.list({ statuses: statuses, limit: query.limit }))
+    .filter(record => query.status || record.status !== 'processing' || isStaleProcessing(record));
+
+  return res.status(200).json({
+    success: true,
+    statuses: statuses,
+    events: records.map(record => describeEvent(record, false))
+  });
+}
+
+async function replayEvent(req, res, user) {
+  const body = validateRequest(res, bodySchema, req.body);
+  if (!body) {
+    return;
+  }
+
+  const record = await getWebhookEventStore().get(body.event_id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'Webhook event not found', type: 'not_found' });
+  }
+
+  const running = record.status === 'processing' && !isStaleProcessing(record);
+  if ((record.status === 'processed' || running) && !body.force) {
+    return sendValidationError(res, [fieldError('event_id', ERROR_CODES.INVALID_STATE,
+      `This event is ${record.status} - send force: true to replay it anyway`)]);
+  }
+  // A Stripe retry may be taking over the same stale event
+  if (isStaleProcessing(record) && !body.force && !(await reclaimStaleEvent(record))) {
+    return sendValidationError(res, [fieldError('event_id', ERROR_CODES.INVALID_STATE,
+      'This event is already being processed again')]);
+  }
+
+  logger.info('Replaying webhook event', { event_id: record.event_id, event_type: record.type, admin_uid: user.uid });
+  const result = await processWebhookEvent(record.payload, { replay: true });
+  const updated = await getWebhookEventStore().get(record.event_id);
+
+  if (result.status !== 'processed') {
+    return res.status(500).json({
+      success: false,
+      error: 'Replay failed',
+      type: 'replay_failed',
+      event: describeEvent(updated, false)
+    });
+  }
+
+  // Mark it handled so a Stripe delivery still in flight is skipped as a duplicate
+  await getIdempotencyStore('webhook_events').claim(record.event_id);
+
+  return res.status(200).json({
+    success: true,
+    event: describeEvent(updated, false)
+  });
+}
+
+// Helper function to shape a stored event - the payload only for single lookups
+function describeEvent(record, includePayload) {
+  return {
+    event_id: record.event_id,
+    type: record.type,
+    status: record.status,
+    attempts: record.attempts,
+    last_error: record.last_error || null,
+    livemode: record.livemode,
+    created: record.created,
+    received_at: record.received_at,
+    updated_at: record.updated_at,
+    processed_at: record.processed_at || null,
+    stale: isStaleProcessing(record),
+    ...(includePayload ? { payload: record.payload } : {})
+  };
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+// /api/organizations/join.js
+// Lets a signed-in student take a free seat with their coaching centre's invite
+// code. Their access then follows the organization (see lib/organizations/).
+
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { getOrganizationStore, isOrganizationActive } from '../../lib/organizations/index.js';
+import { SeatError, assignSeat } from '../../lib/organizations/seats.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+const bodySchema = {
+  invite_code: fields.inviteCode({ required: true })
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // A seat belongs to an email, so it has to be really theirs
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  // Also keeps invite codes from being guessed
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  const body = validateRequest(res, bodySchema, req.body);
+  if (!body) {
+    return;
+  }
+
+  try {
+    // Codes work from purchase until the organization's access ends
+    const organization = await getOrganizationStore().findByInviteCode(body.invite_code);
+    if (!organization || !(organization.status === 'pending' || isOrganizationActive(organization))) {
+      return sendValidationError(res, [fieldError('invite_code', ERROR_CODES.INVITE_NOT_FOUND,
+        'This invite code is not valid')]);
+    }
+
+    let updated;
+    try {
+      updated = await assignSeat(organization, user.email);
+    } catch (error) {
+      if (error instanceof SeatError) {
+        return sendValidationError(res, [fieldError('invite_code', error.code, error.message)]);
+      }
+      throw error;
+    }
+
+    logger.info('Student joined organization', { organization_id: organization.organization_id, uid: user.uid });
+    return res.status(200).json({
+      success: true,
+      organization: {
+        id: updated.organization_id,
+        name: updated.name,
+        plan_type: updated.plan_type,
+        status: updated.status,
+        active: isOrganizationActive(updated),
+        expires_at: updated.end_date || null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Organization join error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to join organization',
+      type: 'server_error'
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,341 @@
+// /api/organizations/purchase.js
+// Vercel serverless function for coaching centres buying seats in bulk.
+// One payer buys N seats of a plan; the organization is created pending and
+// becomes active when the payment webhook arrives. Students then get a seat
+// through /api/organizations/seats or by joining with the invite code.
+// One-off purchases work like create-payment-intent (with or without a card);
+// recurring: true bills the seats through Stripe Billing as a subscription
+// quantity, so seats follow the subscription when the quantity changes.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { getConfig } from '../../lib/config.js';
+import { getPlanPrice, getStripePriceId } from '../../lib/plans.js';
+import { describePaymentIntent } from '../../lib/payments.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { getOrganizationStore, createOrganizationId, createInviteCode } from '../../lib/organizations/index.js';
+import { describeOrganization } from '../../lib/organizations/seats.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit, recordCardDecline } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// Smaller groups buy individual plans; larger ones are arranged with support
+const MIN_SEATS = 2;
+const MAX_SEATS = 500;
+
+// amount/currency are optional, as in create-payment-intent - when sent they
+// must match the seat price times the number of seats
+const bodySchema = {
+  organization_name: { type: 'string', maxLength: 100, required: true },
+  plan_type: fields.planType({ required: true }),
+  seats: { type: 'integer', min: MIN_SEATS, max: MAX_SEATS, required: true },
+  recurring: { type: 'boolean', default: false },
+  payment_method_id: fields.paymentMethodId(),
+  return_url: fields.returnUrl(),
+  user_country: fields.country(),
+  customer_name: fields.customerName(),
+  amount: fields.amount(),
+  currency: fields.currency()
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  // The payer is whoever the Firebase ID token says - they manage the seats
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // The payer's Stripe customer is found by email - an unverified one could be someone else's
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `organization-purchase:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Organization purchase failed',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
+
+  try {
+    logger.info('Processing organization purchase');
+    logger.debug('Request body', { body: req.body });
+
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const {
+      organization_name,
+      plan_type,
+      seats,
+      recurring,
+      payment_method_id,
+      return_url,
+      user_country,
+      customer_name,
+      amount,
+      currency
+    } = body;
+
+    // Subscriptions charge the saved card on every renewal
+    if (recurring && !payment_method_id) {
+      return sendValidationError(res, [fieldError('payment_method_id', ERROR_CODES.REQUIRED,
+        'payment_method_id is required for recurring seats')]);
+    }
+
+    const { country } = resolveCountry(req, user_country);
+    const price = getPlanPrice(plan_type, country);
+    const totalAmount = price.amount * seats;
+
+    const mismatches = [];
+    if (currency !== undefined && currency !== price.currency) {
+      mismatches.push(fieldError('currency', ERROR_CODES.CURRENCY_MISMATCH,
+        `currency does not match the plan price (expected ${price.currency})`));
+    }
+    if (amount !== undefined && amount !== totalAmount) {
+      mismatches.push(fieldError('amount', ERROR_CODES.AMOUNT_MISMATCH, 'amount does not match the price of the seats'));
+    }
+    if (mismatches.length > 0) {
+      return sendValidationError(res, mismatches);
+    }
+
+    const priceId = recurring ? getStripePriceId(plan_type) : null;
+    if (recurring && !priceId) {
+      logger.error('No Stripe Price configured for plan', { plan_type: plan_type });
+      return res.status(500).json({
+        success: false,
+        error: `Recurring billing is not configured for the ${plan_type} plan`,
+        type: 'server_error'
+      });
+    }
+
+    const customer = await findOrCreateCustomer(stripe, {
+      email: user.email,
+      name: customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: plan_type
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-customer` } : undefined);
+
+    // Created before the payment so the payment can carry its ID. A retry of the
+    // same purchase picks up the record the first attempt made.
+    const organizationStore = getOrganizationStore();
+    const organizationId = createOrganizationId(idempotencyKey);
+    const now = new Date().toISOString();
+    const organization = await organizationStore.get(organizationId) || await organizationStore.put(organizationId, {
+      name: organization_name,
+      owner_uid: user.uid,
+      owner_email: user.email,
+      customer_id: customer.id,
+      plan_type: plan_type,
+      seats: seats,
+      status: 'pending',
+      currency: price.currency,
+      amount: totalAmount,
+      invite_code: createInviteCode(),
+      seat_emails: [],
+      created_at: now,
+      updated_at: now
+    });
+
+    const metadata = {
+      organization_id: organization.organization_id,
+      organization_name: organization_name,
+      seats: String(seats),
+      plan_type: plan_type,
+      user_country: country || 'Unknown',
+      customer_name: customer_name || organization_name,
+      firebase_uid: user.uid,
+      app_source: 'IELTS_Practice'
+    };
+
+    if (recurring) {
+      return respondWithSubscription(stripe, respond, {
+        organization: organization,
+        customer: customer,
+        priceId: priceId,
+        currency: price.currency,
+        seats: seats,
+        paymentMethodId: payment_method_id,
+        metadata: metadata,
+        idempotencyKey: idempotencyKey
+      });
+    }
+
+    const confirmation = payment_method_id ? {
+      payment_method: payment_method_id,
+      confirmation_method: 'manual',
+      confirm: true,
+      return_url: getConfig().defaultReturnUrl
+    } : {
+      automatic_payment_methods: { enabled: true }
+    };
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: totalAmount,
+      currency: price.currency,
+      customer: customer.id,
+      ...confirmation,
+      metadata: metadata
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-payment-intent` } : undefined);
+
+    const saved = await organizationStore.put(organization.organization_id, {
+      payment_intent_id: paymentIntent.id
+    });
+
+    logger.info('Organization payment intent created', {
+      organization_id: organization.organization_id,
+      payment_intent_id: paymentIntent.id,
+      status: paymentIntent.status,
+      seats: seats
+    });
+
+    // Same answer as a single-student payment, plus the organization
+    const response = describePaymentIntent(paymentIntent, customer);
+    if (response.body.requires_confirmation) {
+      response.body.return_url = return_url || getConfig().defaultReturnUrl;
+    }
+    response.body.organization = describeOrganization(saved);
+    return respond(response.status, response.body);
+
+  } catch (error) {
+    logger.error('Organization purchase error', error);
+
+    if (error.type === 'StripeCardError') {
+      await recordCardDecline(req, user);
+      return respond(400, {
+        success: false,
+        error: error.message,
+        type: 'card_error'
+      });
+    } else if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return respond(400, {
+        success: false,
+        error: 'Invalid payment request',
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Organization purchase failed',
+        type: 'server_error'
+      });
+    }
+  }
+}
+
+// Helper function to bill the seats as one subscription item with quantity = seats,
+// answering like create-subscription
+async function respondWithSubscription(stripe, respond, options) {
+  const { organization, customer, priceId, currency, seats, paymentMethodId, metadata, idempotencyKey } = options;
+
+  await stripe.paymentMethods.attach(paymentMethodId, { customer: customer.id });
+  await stripe.customers.update(customer.id, {
+    invoice_settings: { default_payment_method: paymentMethodId }
+  });
+
+  const subscription = await stripe.subscriptions.create({
+    customer: customer.id,
+    items: [{ price: priceId, quantity: seats }],
+    currency: currency,
+    default_payment_method: paymentMethodId,
+    payment_behavior: 'allow_incomplete',
+    expand: ['latest_invoice.payment_intent'],
+    metadata: metadata
+  }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-subscription` } : undefined);
+
+  const saved = await getOrganizationStore().put(organization.organization_id, {
+    subscription_id: subscription.id
+  });
+  const paymentIntent = subscription.latest_invoice?.payment_intent;
+
+  logger.info('Organization subscription created', {
+    organization_id: organization.organization_id,
+    subscription_id: subscription.id,
+    status: subscription.status,
+    seats: seats
+  });
+
+  if (paymentIntent && (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action')) {
+    return respond(200, {
+      success: false,
+      requires_action: true,
+      payment_intent: {
+        id: paymentIntent.id,
+        client_secret: paymentIntent.client_secret,
+        status: paymentIntent.status
+      },
+      subscription: {
+        id: subscription.id,
+        status: subscription.status
+      },
+      organization: describeOrganization(saved),
+      message: '3D Secure authentication required'
+    });
+  }
+
+  if (subscription.status === 'active' || subscription.status === 'trialing') {
+    return respond(200, {
+      success: true,
+      subscription: {
+        id: subscription.id,
+        status: subscription.status,
+        current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
+      },
+      customer: {
+        id: customer.id,
+        email: customer.email,
+        name: customer.name
+      },
+      organization: describeOrganization(saved)
+    });
+  }
+
+  logger.warn('Organization subscription payment failed', { subscription_id: subscription.id, status: subscription.status });
+  return respond(400, {
+    success: false,
+    error: 'Payment failed',
+    subscription: {
+      id: subscription.id,
+      status: subscription.status
+    },
+    payment_intent: paymentIntent ? {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      last_payment_error: paymentIntent.last_payment_error
+    } : null
+  });
+}
\ No newline at end of file
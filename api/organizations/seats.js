@@ -0,0 +1,135 @@
+// /api/organizations/seats.js
+// Seat management for an organization's payer (and support staff):
+//   GET  ?organization_id=org_...                         the organization and its seat holders
+//   POST { organization_id, action: 'assign', email }     give a student a seat
+//   POST { organization_id, action: 'remove', email }     free a seat
+//   POST { organization_id, action: 'reassign', email, new_email }
+//                                                         move a seat to another student
+//   POST { organization_id, action: 'rotate_invite_code' } stop a leaked invite code working
+// Seat holders' access follows the organization - see lib/organizations/.
+
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { getOrganizationStore } from '../../lib/organizations/index.js';
+import {
+  SeatError,
+  canManageSeats,
+  assignSeat,
+  removeSeat,
+  reassignSeat,
+  rotateInviteCode,
+  describeOrganization
+} from '../../lib/organizations/seats.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+
+export default withApi(handler, { methods: ['GET', 'POST'] });
+
+const SEAT_ACTIONS = ['assign', 'remove', 'reassign', 'rotate_invite_code'];
+
+const querySchema = {
+  organization_id: fields.organizationId({ required: true })
+};
+
+const bodySchema = {
+  organization_id: fields.organizationId({ required: true }),
+  action: { type: 'string', enum: SEAT_ACTIONS, lowercase: true, required: true },
+  email: fields.email(),
+  new_email: fields.email()
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const input = validateRequest(res, req.method === 'POST' ? bodySchema : querySchema,
+      req.method === 'POST' ? req.body : req.query);
+    if (!input) {
+      return;
+    }
+
+    const organization = await getOrganizationStore().get(input.organization_id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Organization not found'
+      });
+    }
+
+    if (!canManageSeats(organization, user)) {
+      logger.warn('Seat management attempted without access', { uid: user.uid, organization_id: organization.organization_id });
+      return res.status(403).json({
+        success: false,
+        error: 'Only the organization owner can manage its seats'
+      });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        organization: describeOrganization(organization)
+      });
+    }
+
+    return await changeSeats(res, organization, input);
+
+  } catch (error) {
+    logger.error('Seat management error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to update seats',
+      type: 'server_error'
+    });
+  }
+}
+
+async function changeSeats(res, organization, body) {
+  const { action, email, new_email } = body;
+
+  const missing = [];
+  if (action !== 'rotate_invite_code' && !email) {
+    missing.push(fieldError('email', ERROR_CODES.REQUIRED, 'email is required'));
+  }
+  if (action === 'reassign' && !new_email) {
+    missing.push(fieldError('new_email', ERROR_CODES.REQUIRED, 'new_email is required to reassign a seat'));
+  }
+  if (missing.length > 0) {
+    return sendValidationError(res, missing);
+  }
+
+  let updated;
+  try {
+    switch (action) {
+      case 'assign':
+        updated = await assignSeat(organization, email);
+        break;
+      case 'remove':
+        updated = await removeSeat(organization, email);
+        break;
+      case 'reassign':
+        updated = await reassignSeat(organization, email, new_email);
+        break;
+      case 'rotate_invite_code':
+        updated = await rotateInviteCode(organization);
+        break;
+    }
+  } catch (error) {
+    if (error instanceof SeatError) {
+      const field = action === 'reassign' && error.code !== ERROR_CODES.SEAT_NOT_FOUND ? 'new_email' : 'email';
+      return sendValidationError(res, [fieldError(field, error.code, error.message)]);
+    }
+    throw error;
+  }
+
+  logger.info('Seats updated', { organization_id: organization.organization_id, action: action });
+  return res.status(200).json({
+    success: true,
+    organization: describeOrganization(updated)
+  });
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+// /api/plans.js
+// Publishes the server-side plan catalog so the frontend never hard-codes prices
+
+import { getCatalog } from '../lib/plans.js';
+import { withApi, resolveCountry } from '../lib/http.js';
+import { fields, validateRequest } from '../lib/validation.js';
+
+export default withApi(handler, { methods: ['GET'] });
+
+const querySchema = {
+  country: fields.country()
+};
+
+async function handler(req, res) {
+  // Optional ?country=CA localizes the amount/currency of each plan; without
+  // it the request's geo headers decide
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  const { country, source } = resolveCountry(req, query.country);
+  const catalog = getCatalog(country);
+
+  res.status(200).json({
+    success: true,
+    country: country,
+    country_source: source,
+    currency: catalog.currency,
+    plans: catalog.plans
+  });
+}
\ No newline at end of file
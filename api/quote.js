@@ -0,0 +1,53 @@
+// /api/quote.js
+// Prices a plan for the student before checkout - country from user_country
+// or the Vercel geo headers, plus any promo code. Send the returned country,
+// currency and amount to create-payment-intent to be charged exactly this.
+
+import { getStripe } from '../lib/stripe.js';
+import { withApi, resolveCountry } from '../lib/http.js';
+import { quotePlan, describeQuote } from '../lib/quotes.js';
+import { PromotionError } from '../lib/promotions.js';
+import { fields, fieldError, validateRequest, sendValidationError } from '../lib/validation.js';
+import { logger } from '../lib/logger.js';
+
+export default withApi(handler, { methods: ['GET'] });
+
+const querySchema = {
+  plan_type: fields.planType({ required: true }),
+  user_country: fields.country(),
+  promo_code: fields.promoCode()
+};
+
+async function handler(req, res) {
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  const location = resolveCountry(req, query.user_country);
+
+  try {
+    const quote = await quotePlan(getStripe(), {
+      planType: query.plan_type,
+      country: location.country,
+      promoCode: query.promo_code
+    });
+
+    return res.status(200).json({
+      success: true,
+      quote: describeQuote(quote, location)
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return sendValidationError(res, [fieldError('promo_code', error.code, error.message)]);
+    }
+
+    logger.error('Quote error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to price plan',
+      type: 'server_error'
+    });
+  }
+}
\ No newline at end of file
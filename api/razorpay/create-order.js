@@ -0,0 +1,179 @@
+// /api/razorpay/create-order.js
+// Vercel serverless function for paying a one-off plan through Razorpay (UPI,
+// netbanking, wallets) instead of Stripe. Returns the order for Razorpay
+// Checkout; access is granted by /api/razorpay/webhook once the order is paid,
+// so the app polls /api/subscription after the widget closes.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { quotePlan } from '../../lib/quotes.js';
+import { formatPrice } from '../../lib/plans.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { findActiveTrialEnd } from '../../lib/trials.js';
+import { getGateway } from '../../lib/gateways/index.js';
+import { promotionMetadata, PromotionError } from '../../lib/promotions.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// Same fields as create-payment-intent, minus the card
+const bodySchema = {
+  plan_type: fields.planType({ default: 'monthly' }),
+  user_country: fields.country(),
+  customer_name: fields.customerName(),
+  amount: fields.amount(),
+  currency: fields.currency(),
+  promo_code: fields.promoCode()
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // The order is recorded against the Stripe customer for this email, so it must be verified
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  const gateway = getGateway('razorpay');
+  if (!gateway) {
+    logger.error('Razorpay order requested but Razorpay is not configured');
+    return res.status(500).json({
+      success: false,
+      error: 'Razorpay payments are not configured',
+      type: 'server_error'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `razorpay-order:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to create Razorpay order',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
+
+  try {
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const { plan_type, user_country, customer_name, amount, currency, promo_code } = body;
+    const { country } = resolveCountry(req, user_country);
+
+    let quote;
+    try {
+      quote = await quotePlan(stripe, { planType: plan_type, country: country, promoCode: promo_code });
+    } catch (error) {
+      if (error instanceof PromotionError) {
+        return sendValidationError(res, [fieldError('promo_code', error.code, error.message)]);
+      }
+      throw error;
+    }
+    const { price, promotion, amount: chargeAmount } = quote;
+
+    if (!gateway.currencies.includes(price.currency)) {
+      return sendValidationError(res, [fieldError('currency', ERROR_CODES.CURRENCY_NOT_SUPPORTED,
+        `Razorpay does not charge in ${price.currency.toUpperCase()} - pay by card instead`)]);
+    }
+
+    const mismatches = [];
+    if (currency !== undefined && currency !== price.currency) {
+      mismatches.push(fieldError('currency', ERROR_CODES.CURRENCY_MISMATCH,
+        `currency does not match the plan price (expected ${price.currency})`));
+    }
+    if (amount !== undefined && amount !== chargeAmount) {
+      mismatches.push(fieldError('amount', ERROR_CODES.AMOUNT_MISMATCH, 'amount does not match the plan price'));
+    }
+    if (mismatches.length > 0) {
+      return sendValidationError(res, mismatches);
+    }
+
+    // The Stripe customer stays the student's billing record - the webhook
+    // grants access to it, whichever gateway took the money
+    const customer = await findOrCreateCustomer(stripe, {
+      email: user.email,
+      name: customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: plan_type
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-customer` } : undefined);
+
+    const trialEnd = await findActiveTrialEnd(user.email);
+
+    const order = await gateway.createOrder({
+      amount: chargeAmount,
+      currency: price.currency,
+      receipt: `${customer.id}_${Date.now()}`,
+      metadata: {
+        customer_id: customer.id,
+        plan_type: plan_type,
+        user_country: country || 'Unknown',
+        customer_name: customer_name || 'IELTS Student',
+        firebase_uid: user.uid,
+        app_source: 'IELTS_Practice',
+        ...(trialEnd ? { trial_end: trialEnd.toISOString() } : {}),
+        ...promotionMetadata(promotion)
+      }
+    });
+
+    logger.info('Razorpay order created', { order_id: order.id, amount: order.amount, currency: order.currency });
+
+    return respond(200, {
+      success: true,
+      gateway: gateway.name,
+      order: {
+        id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        display_amount: formatPrice(order.amount, order.currency)
+      },
+      checkout: {
+        ...order.checkout,
+        name: 'IELTS Practice',
+        description: `IELTS Practice - ${price.name}`,
+        prefill: { email: user.email, name: customer_name || customer.name }
+      },
+      customer: {
+        id: customer.id,
+        email: customer.email,
+        name: customer.name
+      }
+    });
+
+  } catch (error) {
+    logger.error('Razorpay order error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to create Razorpay order',
+      type: 'server_error'
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+// /api/razorpay/webhook.js
+// Vercel serverless function for Razorpay webhooks. Subscribe to order.paid in
+// the Razorpay Dashboard with RAZORPAY_WEBHOOK_SECRET as the secret; other
+// events are acknowledged and ignored.
+
+import { buffer } from 'micro';
+import { withApi } from '../../lib/http.js';
+import { getGateway, GatewaySignatureError } from '../../lib/gateways/index.js';
+import { receiveWebhookEvent } from '../../lib/webhooks/index.js';
+import { logger } from '../../lib/logger.js';
+
+// Disable body parser for webhook signature verification
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default withApi(handler, { methods: ['POST'] });
+
+async function handler(req, res) {
+  const gateway = getGateway('razorpay');
+  if (!gateway) {
+    logger.error('Razorpay webhook received but Razorpay is not configured');
+    return res.status(500).send('Razorpay is not configured');
+  }
+
+  try {
+    const buf = await buffer(req);
+
+    let payload;
+    try {
+      payload = gateway.verifyWebhook(buf, req.headers);
+      logger.debug('Razorpay webhook signature verified');
+    } catch (err) {
+      if (!(err instanceof GatewaySignatureError)) {
+        throw err;
+      }
+      logger.warn('Razorpay webhook signature verification failed', { reason: err.message });
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    const event = gateway.toWebhookEvent(payload, req.headers);
+    if (!event) {
+      logger.info('Unhandled Razorpay event', { event_type: payload.event });
+      return res.json({ received: true, ignored: true, event_type: payload.event });
+    }
+
+    // From here on a Razorpay payment is handled exactly like a Stripe event
+    return receiveWebhookEvent(res, event);
+
+  } catch (error) {
+    logger.error('Razorpay webhook processing error', error);
+    return res.status(500).send('Webhook processing failed');
+  }
+}
\ No newline at end of file
@@ -1,32 +1,96 @@
 // /api/status.js
-// Simple status endpoint to verify API is working
+// Status endpoint to verify the API is working.
+//   GET /api/status             config only - always 200
+//   GET /api/status?deep=true   also checks Stripe, the billing portal and the
+//                               entitlement store - 503 when any of them fails
+// Anyone may call it, so it only reports how many config problems there are and
+// ok/fail per dependency. Support staff (admin token) also get the messages, the
+// allowed origins and each check's details.
 
-export default async function handler(req, res) {
-  // Add CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+import { withApi } from '../lib/http.js';
+import { getConfig } from '../lib/config.js';
+import { getBuildInfo, runHealthChecks, summarizeChecks } from '../lib/health.js';
+import { getAuthenticatedUser, isAdmin } from '../lib/auth.js';
+import { validateRequest } from '../lib/validation.js';
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+// Keeps answering while misconfigured so it can report what is wrong
+export default withApi(handler, { methods: ['GET'], requireConfig: false });
+
+const querySchema = {
+  deep: { type: 'string', enum: ['true', 'false', '1', '0'], lowercase: true }
+};
+
+async function handler(req, res) {
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
   }
 
+  const config = getConfig();
+  const deep = query.deep === 'true' || query.deep === '1';
+  const build = getBuildInfo();
+
   const status = {
-    status: 'OK',
+    status: config.errors.length > 0 ? 'MISCONFIGURED' : 'OK',
     message: 'IELTS Stripe Backend API is running',
     timestamp: new Date().toISOString(),
-    version: '1.0.0',
+    version: build.version,
+    commit: build.commit,
     endpoints: {
+      plans: '/api/plans',
+      quote: '/api/quote',
       payment: '/api/stripe/create-payment-intent',
+      confirm: '/api/stripe/confirm-payment-intent',
+      subscribe: '/api/stripe/create-subscription',
+      checkout: '/api/stripe/create-checkout-session',
+      change_plan: '/api/stripe/change-plan',
       webhook: '/api/stripe/webhook',
-      portal: '/api/stripe/customer-portal'
+      portal: '/api/stripe/customer-portal',
+      invoices: '/api/stripe/invoices',
+      razorpay_order: '/api/razorpay/create-order',
+      razorpay_webhook: '/api/razorpay/webhook',
+      refund: '/api/admin/refund',
+      metrics: '/api/admin/metrics',
+      webhook_events: '/api/admin/webhook-events',
+      trial: '/api/trial/start',
+      organization_purchase: '/api/organizations/purchase',
+      organization_seats: '/api/organizations/seats',
+      organization_join: '/api/organizations/join',
+      subscription: '/api/subscription'
     },
     environment: {
       node_version: process.version,
-      stripe_configured: !!process.env.STRIPE_SECRET_KEY,
-      webhook_configured: !!process.env.STRIPE_WEBHOOK_SECRET
-    }
+      stripe_configured: !!config.stripeSecretKey,
+      stripe_key_mode: config.stripeKeyMode,
+      webhook_configured: !!config.stripeWebhookSecret,
+      notification_transport: config.notificationTransport,
+      rate_limit_store: config.rateLimitStore,
+      allowed_origin_count: config.allowedOrigins.length
+    },
+    config_error_count: config.errors.length,
+    config_warning_count: config.warnings.length
   };
 
-  res.status(200).json(status);
+  // Uptime monitors call without a token - skip the lookup for them
+  const admin = Boolean(req.headers.authorization) && isAdmin(await getAuthenticatedUser(req));
+  if (admin) {
+    status.environment.allowed_origins = config.allowedOrigins;
+    status.config_errors = config.errors;
+    status.config_warnings = config.warnings;
+  }
+
+  if (!deep) {
+    return res.status(200).json(status);
+  }
+
+  const health = await runHealthChecks();
+  if (!health.healthy && status.status === 'OK') {
+    status.status = 'DEGRADED';
+  }
+  status.checked_at = health.checked_at;
+  status.checks = admin ? health.checks : summarizeChecks(health.checks);
+
+  // Uptime monitors alert on the status code
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status.status === 'OK' ? 200 : 503).json(status);
 } 
\ No newline at end of file
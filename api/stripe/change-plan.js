@@ -0,0 +1,398 @@
+// /api/stripe/change-plan.js
+// Upgrade or downgrade a signed-in student's active plan, crediting the unused
+// part of the current period (see lib/plan-changes.js):
+//   GET  ?plan_type=quarterly   quote the change - credit, amount due, new period
+//   POST { plan_type, payment_method_id, proration_date, amount }   make the change
+// Send the quote's proration_date (and amount_due as amount) back to be charged
+// exactly what was shown. payment_method_id is only needed for one-off plans
+// when something is due - subscriptions are charged on their saved card.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { getConfig } from '../../lib/config.js';
+import { getStripePriceId, TRIAL_PLAN_TYPE } from '../../lib/plans.js';
+import { describePaymentIntent } from '../../lib/payments.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { getEntitlementStore, isEntitlementActive } from '../../lib/entitlements/index.js';
+import {
+  quoteOneOffChange,
+  quoteSubscriptionChange,
+  changeSubscriptionPlan,
+  describePlanChange,
+  PlanChangeError,
+  PRORATION_WINDOW_SECONDS,
+  CHANGEABLE_SUBSCRIPTION_STATUSES
+} from '../../lib/plan-changes.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit, recordCardDecline } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['GET', 'POST'] });
+
+const querySchema = {
+  plan_type: fields.planType({ required: true })
+};
+
+const bodySchema = {
+  plan_type: fields.planType({ required: true }),
+  payment_method_id: fields.paymentMethodId(),
+  proration_date: { type: 'integer', min: 0 },
+  amount: fields.amount(),
+  customer_name: fields.customerName()
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // The plan is found by email - an unverified one could belong to someone else
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (req.method === 'GET') {
+    return quoteChange(req, res, user);
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `change-plan:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Plan change failed',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+
+  try {
+    return await changePlan(req, res, user, idempotency);
+  } catch (error) {
+    logger.error('Plan change error', error);
+
+    if (error instanceof PlanChangeError) {
+      return sendValidationError(res, [fieldError('plan_type', error.code, error.message)]);
+    } else if (error.type === 'StripeCardError') {
+      await recordCardDecline(req, user);
+      return idempotency.respond(400, {
+        success: false,
+        error: error.message,
+        type: 'card_error'
+      });
+    } else if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return idempotency.respond(400, {
+        success: false,
+        error: 'Invalid plan change request',
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Plan change failed',
+        type: 'server_error'
+      });
+    }
+  }
+}
+
+async function quoteChange(req, res, user) {
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  try {
+    const stripe = getStripe();
+    const current = await findCurrentPlan(stripe, user);
+    if (!current) {
+      return sendNoActivePlan(res);
+    }
+
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const quote = await quotePlanChange(stripe, current, query.plan_type, prorationDate);
+    if (!quote) {
+      return sendBillingNotConfigured(res, query.plan_type);
+    }
+
+    return res.status(200).json({
+      success: true,
+      plan_change: describePlanChange(quote, current.subscription ? 'subscription' : 'one_time')
+    });
+
+  } catch (error) {
+    if (error instanceof PlanChangeError) {
+      return sendValidationError(res, [fieldError('plan_type', error.code, error.message)]);
+    }
+
+    logger.error('Plan change quote error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to quote plan change',
+      type: 'server_error'
+    });
+  }
+}
+
+async function changePlan(req, res, user, { key: idempotencyKey, respond }) {
+  const stripe = getStripe();
+
+  logger.info('Processing plan change request');
+  logger.debug('Request body', { body: req.body });
+
+  const body = validateRequest(res, bodySchema, req.body);
+  if (!body) {
+    return;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const prorationDate = body.proration_date ?? now;
+  if (prorationDate > now + 60 || prorationDate < now - PRORATION_WINDOW_SECONDS) {
+    return sendValidationError(res, [fieldError('proration_date', ERROR_CODES.OUT_OF_RANGE,
+      'proration_date has expired - quote the plan change again')]);
+  }
+
+  const current = await findCurrentPlan(stripe, user);
+  if (!current) {
+    return sendNoActivePlan(res);
+  }
+
+  const quote = await quotePlanChange(stripe, current, body.plan_type, prorationDate);
+  if (!quote) {
+    return sendBillingNotConfigured(res, body.plan_type);
+  }
+
+  // A client that showed a quote sends its amount_due, so a changed price is
+  // rejected instead of charged
+  if (body.amount !== undefined && body.amount !== quote.amount_due) {
+    return sendValidationError(res, [fieldError('amount', ERROR_CODES.AMOUNT_MISMATCH,
+      'amount does not match the plan change quote')]);
+  }
+
+  const requestOptions = suffix => idempotencyKey ? { idempotencyKey: `${idempotencyKey}-${suffix}` } : undefined;
+
+  if (current.subscription) {
+    return changeSubscription(stripe, current, body.plan_type, prorationDate, quote, respond, requestOptions('subscription'));
+  }
+
+  const { entitlement } = current;
+  const planChange = describePlanChange(quote, 'one_time');
+
+  // The credit covers the new plan - nothing to charge, so the new period is
+  // written here instead of by the payment webhook
+  if (quote.amount_due === 0) {
+    const updated = await getEntitlementStore().put(entitlement.customer_id, {
+      plan_type: quote.plan_type,
+      status: 'active',
+      start_date: quote.start_date,
+      end_date: quote.end_date,
+      period_value: quote.period_value,
+      previous_plan_type: quote.from_plan_type,
+      updated_at: new Date().toISOString()
+    });
+    logger.info('Plan changed without payment', { customer_id: entitlement.customer_id, plan_type: quote.plan_type, end_date: updated.end_date });
+
+    return respond(200, {
+      success: true,
+      plan_change: planChange,
+      subscription_data: {
+        plan_type: updated.plan_type,
+        start_date: updated.start_date,
+        end_date: updated.end_date
+      }
+    });
+  }
+
+  if (!body.payment_method_id) {
+    return sendValidationError(res, [fieldError('payment_method_id', ERROR_CODES.REQUIRED,
+      'payment_method_id is required when the plan change costs more than your credit')]);
+  }
+
+  const customer = await stripe.customers.retrieve(entitlement.customer_id);
+  const { country } = resolveCountry(req, undefined);
+
+  // period_value lets the webhook record the full worth of the new period,
+  // although only the difference is charged
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: quote.amount_due,
+    currency: quote.currency,
+    customer: entitlement.customer_id,
+    payment_method: body.payment_method_id,
+    confirmation_method: 'manual',
+    confirm: true,
+    return_url: getConfig().defaultReturnUrl,
+    metadata: {
+      plan_type: quote.plan_type,
+      user_country: country || 'Unknown',
+      customer_name: body.customer_name || customer.name || 'IELTS Student',
+      firebase_uid: user.uid,
+      app_source: 'IELTS_Practice',
+      plan_change: 'true',
+      previous_plan_type: quote.from_plan_type || 'unknown',
+      credit_amount: String(quote.credit),
+      period_value: String(quote.period_value),
+      replaces_payment_intent_id: entitlement.payment_intent_id || ''
+    }
+  }, requestOptions('payment-intent'));
+
+  logger.info('Plan change payment created', {
+    payment_intent_id: paymentIntent.id,
+    status: paymentIntent.status,
+    amount: paymentIntent.amount,
+    credit: quote.credit
+  });
+
+  const response = describePaymentIntent(paymentIntent, customer);
+  return respond(response.status, { ...response.body, plan_change: planChange });
+}
+
+async function changeSubscription(stripe, current, planType, prorationDate, quote, respond, requestOptions) {
+  const { subscription: updated, quote: invoiced } = await changeSubscriptionPlan(
+    stripe, current.subscription, getStripePriceId(planType), planType, prorationDate, requestOptions);
+
+  const paymentIntent = updated.latest_invoice?.payment_intent;
+  const planChange = describePlanChange(invoiced || quote, 'subscription');
+
+  logger.info('Subscription plan change', {
+    subscription_id: updated.id,
+    plan_type: planType,
+    pending: Boolean(updated.pending_update),
+    payment_intent_status: paymentIntent?.status
+  });
+
+  // The old plan stays in place until the proration invoice is paid
+  if (updated.pending_update) {
+    if (paymentIntent && (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action')) {
+      return respond(200, {
+        success: false,
+        requires_action: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          client_secret: paymentIntent.client_secret,
+          status: paymentIntent.status
+        },
+        plan_change: planChange,
+        message: '3D Secure authentication required'
+      });
+    }
+
+    return respond(400, {
+      success: false,
+      error: 'Payment failed',
+      plan_change: planChange,
+      payment_intent: paymentIntent ? {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        last_payment_error: paymentIntent.last_payment_error
+      } : null
+    });
+  }
+
+  // The entitlement is updated by the customer.subscription.updated and
+  // invoice.payment_succeeded webhooks
+  return respond(200, {
+    success: true,
+    plan_change: planChange,
+    subscription: {
+      id: updated.id,
+      status: updated.status,
+      current_period_end: new Date(updated.current_period_end * 1000).toISOString()
+    },
+    subscription_data: {
+      plan_type: planType,
+      start_date: new Date(updated.current_period_start * 1000).toISOString(),
+      end_date: new Date(updated.current_period_end * 1000).toISOString()
+    }
+  });
+}
+
+// Helper function to find the student's active plan and, for Stripe Billing
+// plans, the subscription behind it. Returns null without an active plan.
+async function findCurrentPlan(stripe, user) {
+  const entitlement = await getEntitlementStore().findByEmail(user.email);
+  if (!isEntitlementActive(entitlement)) {
+    return null;
+  }
+
+  // A plan bought by another Firebase account on the same email is not theirs to change
+  if (entitlement.firebase_uid && entitlement.firebase_uid !== user.uid) {
+    logger.warn('Plan change attempted on another account\'s plan', { uid: user.uid, customer_id: entitlement.customer_id });
+    return null;
+  }
+
+  // A one-off payment made after a subscription ended keeps the old subscription_id
+  let subscription = null;
+  if (entitlement.subscription_id) {
+    const found = await stripe.subscriptions.retrieve(entitlement.subscription_id);
+    subscription = ['canceled', 'incomplete_expired'].includes(found.status) ? null : found;
+  }
+
+  return { entitlement: entitlement, subscription: subscription };
+}
+
+// Helper function to quote either kind of plan. Returns null when the new plan
+// has no Stripe Price for a subscription to move to.
+async function quotePlanChange(stripe, { entitlement, subscription }, planType, prorationDate) {
+  if (entitlement.plan_type === planType) {
+    throw new PlanChangeError(ERROR_CODES.INVALID_STATE, `You are already on the ${planType} plan`);
+  }
+
+  // Nothing was paid for a trial - buying a plan keeps the trial days anyway
+  if (entitlement.plan_type === TRIAL_PLAN_TYPE) {
+    throw new PlanChangeError(ERROR_CODES.INVALID_STATE, 'You are on a free trial - buy a plan instead, your trial days carry over');
+  }
+
+  if (!subscription) {
+    return quoteOneOffChange(stripe, entitlement, planType, prorationDate);
+  }
+
+  if (!CHANGEABLE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+    throw new PlanChangeError(ERROR_CODES.INVALID_STATE, 'Please settle your overdue payment before changing plan');
+  }
+
+  const priceId = getStripePriceId(planType);
+  if (!priceId) {
+    logger.error('No Stripe Price configured for plan', { plan_type: planType });
+    return null;
+  }
+
+  return quoteSubscriptionChange(stripe, subscription, planType, priceId, prorationDate);
+}
+
+function sendNoActivePlan(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'You have no active plan to change - buy a plan instead',
+    type: 'not_found'
+  });
+}
+
+function sendBillingNotConfigured(res, planType) {
+  return res.status(500).json({
+    success: false,
+    error: `Recurring billing is not configured for the ${planType} plan`,
+    type: 'server_error'
+  });
+}
\ No newline at end of file
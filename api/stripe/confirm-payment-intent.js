@@ -0,0 +1,108 @@
+// /api/stripe/confirm-payment-intent.js
+// Vercel serverless function that finishes a payment after 3D Secure.
+// create-payment-intent uses manual confirmation, so once the student has
+// authenticated (stripe.handleCardAction) the server must confirm the intent.
+// Also answers the frontend back on return_url after a redirect payment method
+// (UPI, bank redirects) with how the payment ended up.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { describePaymentIntent } from '../../lib/payments.js';
+import { fields, validateRequest } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit, recordCardDecline } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+const bodySchema = {
+  payment_intent_id: fields.paymentIntentId({ required: true })
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // Ownership is checked by email, which must really be theirs
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  try {
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const { payment_intent_id } = body;
+
+    let paymentIntent = await stripe.paymentIntents.retrieve(payment_intent_id);
+
+    // Only the student who started the payment may complete it
+    const customer = paymentIntent.customer
+      ? await stripe.customers.retrieve(paymentIntent.customer)
+      : null;
+
+    if (!customer || customer.deleted || (customer.email || '').toLowerCase() !== user.email) {
+      logger.warn('Payment intent does not belong to signed-in user', { payment_intent_id: payment_intent_id });
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    // After handleCardAction the intent waits for the server to confirm it;
+    // in any other state it is just reported back as it stands
+    if (paymentIntent.status === 'requires_confirmation') {
+      logger.info('Confirming payment intent', { payment_intent_id: paymentIntent.id });
+      paymentIntent = await stripe.paymentIntents.confirm(paymentIntent.id);
+    }
+
+    logger.info('Payment intent status', {
+      payment_intent_id: paymentIntent.id,
+      status: paymentIntent.status
+    });
+
+    const response = describePaymentIntent(paymentIntent, customer);
+    return res.status(response.status).json(response.body);
+
+  } catch (error) {
+    logger.error('Payment confirmation error', error);
+
+    // Handle specific Stripe errors
+    if (error.type === 'StripeCardError') {
+      await recordCardDecline(req, user);
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        type: 'card_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment request',
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Payment confirmation failed',
+        type: 'server_error'
+      });
+    }
+  }
+}
\ No newline at end of file
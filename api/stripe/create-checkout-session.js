@@ -0,0 +1,209 @@
+// /api/stripe/create-checkout-session.js
+// Vercel serverless function for Stripe-hosted Checkout - no Stripe Elements or
+// 3D Secure handling needed on the frontend, just a redirect to session.url
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { getConfig } from '../../lib/config.js';
+import { getPlanPrice, getStripePriceId } from '../../lib/plans.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { findActiveTrialEnd } from '../../lib/trials.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, validateRequest } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+const CHECKOUT_MIN_TRIAL_MS = 48 * 60 * 60 * 1000;
+
+const bodySchema = {
+  plan_type: fields.planType({ default: 'monthly' }),
+  user_country: fields.country(),
+  customer_name: fields.customerName(),
+  success_url: fields.returnUrl(),
+  cancel_url: fields.returnUrl(),
+  recurring: { type: 'boolean', default: false }
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // Checkout reuses the Stripe customer for this email - it must be verified
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `create-checkout-session:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to start checkout',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
+
+  try {
+    logger.info('Processing checkout request');
+    logger.debug('Request body', { body: req.body });
+
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const {
+      plan_type: planType,
+      user_country,
+      customer_name,
+      success_url,
+      cancel_url,
+      recurring
+    } = body;
+
+    const { country } = resolveCountry(req, user_country);
+    const price = getPlanPrice(planType, country);
+
+    // recurring: true sells a Stripe Billing subscription instead of one period
+    const priceId = recurring ? getStripePriceId(planType) : null;
+    if (recurring && !priceId) {
+      logger.error('No Stripe Price configured for plan', { plan_type: planType });
+      return res.status(500).json({
+        success: false,
+        error: `Recurring billing is not configured for the ${planType} plan`,
+        type: 'server_error'
+      });
+    }
+
+    const customer = await findOrCreateCustomer(stripe, {
+      email: user.email,
+      name: customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: planType
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-customer` } : undefined);
+
+    // Buying during a free trial keeps the trial days left (see lib/trials.js)
+    const trialEnd = await findActiveTrialEnd(user.email);
+
+    const metadata = {
+      plan_type: planType,
+      user_country: country || 'Unknown',
+      customer_name: customer_name || 'IELTS Student',
+      firebase_uid: user.uid,
+      app_source: 'IELTS_Practice',
+      ...(trialEnd ? { trial_end: trialEnd.toISOString() } : {})
+    };
+
+    const sessionParams = {
+      customer: customer.id,
+      client_reference_id: user.uid,
+      success_url: success_url || checkoutReturnUrl('success'),
+      cancel_url: cancel_url || checkoutReturnUrl('cancelled'),
+      allow_promotion_codes: true,
+      automatic_tax: { enabled: getConfig().stripeAutomaticTax },
+      // Automatic tax needs the address Checkout collects saved on the customer
+      customer_update: { address: 'auto', name: 'auto' },
+      metadata: metadata
+    };
+
+    if (recurring) {
+      sessionParams.mode = 'subscription';
+      sessionParams.currency = price.currency;
+      sessionParams.line_items = [{ price: priceId, quantity: 1 }];
+      sessionParams.subscription_data = { metadata: metadata };
+      // Checkout only accepts a trial_end at least 48 hours away - a trial
+      // closer to its end than that is simply billed from today
+      if (trialEnd && trialEnd.getTime() - Date.now() >= CHECKOUT_MIN_TRIAL_MS) {
+        sessionParams.subscription_data.trial_end = Math.floor(trialEnd.getTime() / 1000);
+      }
+    } else {
+      // Priced from the server-side catalog, same as create-payment-intent
+      sessionParams.mode = 'payment';
+      sessionParams.line_items = [{
+        quantity: 1,
+        price_data: {
+          currency: price.currency,
+          unit_amount: price.amount,
+          product_data: { name: `IELTS Practice - ${price.name}` }
+        }
+      }];
+      sessionParams.payment_intent_data = { metadata: metadata };
+    }
+
+    const session = await stripe.checkout.sessions.create(
+      sessionParams,
+      idempotencyKey ? { idempotencyKey: `${idempotencyKey}-checkout-session` } : undefined
+    );
+
+    logger.info('Checkout session created', {
+      session_id: session.id,
+      mode: session.mode,
+      customer_id: customer.id
+    });
+
+    return respond(200, {
+      success: true,
+      session_id: session.id,
+      url: session.url
+    });
+
+  } catch (error) {
+    logger.error('Checkout session error', error);
+
+    // Handle specific Stripe errors
+    if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return respond(400, {
+        success: false,
+        error: 'Invalid checkout request',
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Unable to start checkout',
+        type: 'server_error'
+      });
+    }
+  }
+}
+
+// Helper function to build the default success/cancel URL from the configured return URL
+function checkoutReturnUrl(outcome) {
+  const url = new URL(getConfig().defaultReturnUrl);
+  url.searchParams.set('checkout', outcome);
+  if (outcome === 'success') {
+    // Stripe fills in the placeholder, so it must not be URL-encoded
+    return `${url.toString()}&session_id={CHECKOUT_SESSION_ID}`;
+  }
+  return url.toString();
+}
\ No newline at end of file
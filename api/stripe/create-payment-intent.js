@@ -1,182 +1,208 @@
 // /api/stripe/create-payment-intent.js
-// Vercel serverless function for IELTS payment processing
-
-import Stripe from 'stripe';
-
-// Initialize Stripe with your secret key (from environment variables)
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-export default async function handler(req, res) {
-  console.log('🚀 Payment Intent API called:', req.method);
-  
-  // Add CORS headers for multiple origins (development & production)
-  const allowedOrigins = [
-    'https://www.gammapace.com',
-    'https://gurukullam.github.io',
-    'null' // For local file:// testing
-  ];
-  
-  const origin = req.headers.origin;
-  if (allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else if (!origin) {
-    // Allow requests with no origin (like from local files)
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// Vercel serverless function for IELTS payment processing.
+// With a card payment_method_id the payment is confirmed here (3D Secure is
+// finished by confirm-payment-intent). Without one, Stripe offers every payment
+// method enabled for the currency - UPI, wallets, bank redirects - and the
+// frontend confirms it with the Payment Element, coming back to return_url
+// after a redirect and then calling confirm-payment-intent for the outcome.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { getConfig } from '../../lib/config.js';
+import { quotePlan } from '../../lib/quotes.js';
+import { describePaymentIntent } from '../../lib/payments.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { findActiveTrialEnd } from '../../lib/trials.js';
+import { promotionMetadata, PromotionError } from '../../lib/promotions.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit, recordCardDecline } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// amount/currency are optional - the charge always comes from the plan catalog.
+// Clients that showed a price from /api/quote send its country/currency/amount
+// back so a changed price is rejected instead of charged.
+const bodySchema = {
+  payment_method_id: fields.paymentMethodId(),
+  return_url: fields.returnUrl(),
+  plan_type: fields.planType({ default: 'monthly' }),
+  user_country: fields.country(),
+  customer_name: fields.customerName(),
+  amount: fields.amount(),
+  currency: fields.currency(),
+  promo_code: fields.promoCode()
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  // The paying student is whoever the Firebase ID token says, never the body
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
   }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    console.log('✅ Handling OPTIONS preflight request');
-    return res.status(200).end();
+  // The payment is filed under the Stripe customer for this email, so it must really be theirs
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  const customer_email = user.email;
+
+  // Card-testing protection: per-IP/per-email limits and the decline block
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    console.log('❌ Method not allowed:', req.method);
-    return res.status(405).json({ error: 'Method not allowed' });
+  // Optional Idempotency-Key header: a double-click or network retry gets the
+  // first response back instead of creating and confirming a second PaymentIntent.
+  // Scoped to the user so one student can never replay another's response.
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `create-payment-intent:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Payment processing failed',
+      type: 'server_error'
+    });
   }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
 
   try {
-    console.log('📋 Processing payment request...');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
+    logger.info('Processing payment request');
+    logger.debug('Request body', { body: req.body });
+
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
 
     const {
       amount,
       currency,
       payment_method_id,
       customer_name,
-      customer_email,
       plan_type,
-      user_country
-    } = req.body;
-
-    // Validate required fields
-    if (!amount || !currency || !payment_method_id || !customer_email) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: amount, currency, payment_method_id, customer_email' 
-      });
+      user_country,
+      promo_code,
+      return_url
+    } = body;
+
+    // Work out the charge from the server-side catalog, never from the client.
+    // Without user_country the price follows the request's geo headers, as /api/quote does.
+    const { country } = resolveCountry(req, user_country);
+
+    // A promo code lowers the charge - the discount is also computed here
+    let quote;
+    try {
+      quote = await quotePlan(stripe, { planType: plan_type, country: country, promoCode: promo_code });
+    } catch (error) {
+      if (error instanceof PromotionError) {
+        return sendValidationError(res, [fieldError('promo_code', error.code, error.message)]);
+      }
+      throw error;
     }
+    const { price, promotion, amount: chargeAmount } = quote;
 
-    console.log('💳 Creating/retrieving Stripe customer...');
+    // The client may still send amount/currency, but they must match the catalog
+    const mismatches = [];
+    if (currency !== undefined && currency !== price.currency) {
+      mismatches.push(fieldError('currency', ERROR_CODES.CURRENCY_MISMATCH,
+        `currency does not match the plan price (expected ${price.currency})`));
+    }
+    if (amount !== undefined && amount !== chargeAmount) {
+      mismatches.push(fieldError('amount', ERROR_CODES.AMOUNT_MISMATCH, 'amount does not match the plan price'));
+    }
+    if (mismatches.length > 0) {
+      return sendValidationError(res, mismatches);
+    }
 
     // Create or retrieve customer
-    let customer;
-    const existingCustomers = await stripe.customers.list({
+    const customer = await findOrCreateCustomer(stripe, {
       email: customer_email,
-      limit: 1
-    });
+      name: customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: plan_type
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-customer` } : undefined);
 
-    if (existingCustomers.data.length > 0) {
-      customer = existingCustomers.data[0];
-      console.log('✅ Found existing customer:', customer.id);
-    } else {
-      customer = await stripe.customers.create({
-        email: customer_email,
-        name: customer_name || 'IELTS Student',
-        metadata: {
-          user_country: user_country || 'Unknown',
-          plan_type: plan_type || 'monthly',
-          source: 'IELTS_Practice_App'
-        }
-      });
-      console.log('✅ Created new customer:', customer.id);
-    }
+    // Buying during a free trial keeps the trial days left
+    const trialEnd = await findActiveTrialEnd(customer_email);
 
-    console.log('💰 Creating payment intent...');
+    // Card payments are confirmed now; anything else is confirmed by the frontend
+    const confirmation = payment_method_id ? {
+      payment_method: payment_method_id,
+      confirmation_method: 'manual',
+      confirm: true,
+      return_url: getConfig().defaultReturnUrl
+    } : {
+      automatic_payment_methods: { enabled: true }
+    };
 
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: parseInt(amount),
-      currency: currency.toLowerCase(),
+      amount: chargeAmount,
+      currency: price.currency,
       customer: customer.id,
-      payment_method: payment_method_id,
-      confirmation_method: 'manual',
-      confirm: true,
-      return_url: 'https://www.gammapace.com',
+      ...confirmation,
       metadata: {
-        plan_type: plan_type || 'monthly',
-        user_country: user_country || 'Unknown',
+        plan_type: plan_type,
+        user_country: country || 'Unknown',
         customer_name: customer_name || 'IELTS Student',
-        app_source: 'IELTS_Practice'
+        firebase_uid: user.uid,
+        app_source: 'IELTS_Practice',
+        ...(trialEnd ? { trial_end: trialEnd.toISOString() } : {}),
+        ...promotionMetadata(promotion)
       }
-    });
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-payment-intent` } : undefined);
 
-    console.log('📊 Payment Intent created:', {
-      id: paymentIntent.id,
+    logger.info('Payment intent created', {
+      payment_intent_id: paymentIntent.id,
       status: paymentIntent.status,
       amount: paymentIntent.amount,
       currency: paymentIntent.currency
     });
 
     // Handle different payment statuses
-    if (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action') {
-      // 3D Secure authentication required
-      console.log('🔐 Payment requires 3D Secure authentication');
-      return res.status(200).json({
-        success: false,
-        requires_action: true,
-        payment_intent: {
-          id: paymentIntent.id,
-          client_secret: paymentIntent.client_secret,
-          status: paymentIntent.status
-        },
-        message: '3D Secure authentication required'
-      });
-    } else if (paymentIntent.status === 'succeeded') {
-      // Payment successful
-      console.log('🎉 Payment succeeded!');
-      
-      const subscriptionData = {
-        plan_type: plan_type || 'monthly',
-        start_date: new Date().toISOString(),
-        end_date: calculateEndDate(new Date(), plan_type || 'monthly').toISOString()
-      };
-
-      return res.status(200).json({
-        success: true,
-        payment_intent: {
-          id: paymentIntent.id,
-          amount: paymentIntent.amount,
-          currency: paymentIntent.currency,
-          status: paymentIntent.status
-        },
-        customer: {
-          id: customer.id,
-          email: customer.email,
-          name: customer.name
-        },
-        subscription_data: subscriptionData
-      });
-    } else {
-      // Payment failed or incomplete
-      console.log('❌ Payment failed:', paymentIntent.status);
-      return res.status(400).json({
-        success: false,
-        error: 'Payment failed',
-        payment_intent: {
-          id: paymentIntent.id,
-          status: paymentIntent.status,
-          last_payment_error: paymentIntent.last_payment_error
-        }
-      });
+    const response = describePaymentIntent(paymentIntent, customer);
+    if (response.body.requires_confirmation) {
+      response.body.return_url = return_url || getConfig().defaultReturnUrl;
     }
+    return respond(response.status, response.body);
 
   } catch (error) {
-    console.error('❌ Payment processing error:', error);
+    logger.error('Payment processing error', error);
     
-    // Handle specific Stripe errors
+    // Handle specific Stripe errors - these are final, so replays get them too
     if (error.type === 'StripeCardError') {
-      return res.status(400).json({
+      await recordCardDecline(req, user);
+      return respond(400, {
         success: false,
         error: error.message,
         type: 'card_error'
       });
+    } else if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
     } else if (error.type === 'StripeInvalidRequestError') {
-      return res.status(400).json({
+      return respond(400, {
         success: false,
         error: 'Invalid payment request',
         type: 'invalid_request'
@@ -190,28 +216,4 @@ export default async function handler(req, res) {
     }
   }
 }
-
-// Helper function to calculate subscription end date
-function calculateEndDate(startDate, planType) {
-  const endDate = new Date(startDate.getTime());
-  
-  switch (planType) {
-    case 'weekly':
-      endDate.setDate(endDate.getDate() + 7);
-      console.log('📅 Weekly plan: +7 days');
-      break;
-    case 'monthly':
-      endDate.setDate(endDate.getDate() + 30);
-      console.log('📅 Monthly plan: +30 days');
-      break;
-    case 'quarterly':
-      endDate.setDate(endDate.getDate() + 90);
-      console.log('📅 Quarterly plan: +90 days');
-      break;
-    default:
-      endDate.setDate(endDate.getDate() + 30); // Default to monthly
-      console.log('📅 Default plan: +30 days');
-  }
-  
-  return endDate;
-} 
\ No newline at end of file
+ 
\ No newline at end of file
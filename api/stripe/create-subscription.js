@@ -0,0 +1,252 @@
+// /api/stripe/create-subscription.js
+// Vercel serverless function for recurring IELTS plans via Stripe Billing.
+// A student has one subscription at a time - moving to another plan goes
+// through /api/stripe/change-plan.
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { getPlanPrice, getStripePriceId } from '../../lib/plans.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { findActiveTrialEnd } from '../../lib/trials.js';
+import { beginIdempotentRequest } from '../../lib/idempotency/index.js';
+import { fields, validateRequest } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit, recordCardDecline } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// A subscription in any of these still bills the card
+const BILLING_STATUSES = ['active', 'trialing', 'past_due'];
+
+const bodySchema = {
+  payment_method_id: fields.paymentMethodId({ required: true }),
+  plan_type: fields.planType({ required: true }),
+  user_country: fields.country(),
+  customer_name: fields.customerName()
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // An unverified email could attach the subscription to someone else's customer
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  let idempotency;
+  try {
+    idempotency = await beginIdempotentRequest(req, res, `create-subscription:${user.uid}`);
+  } catch (error) {
+    logger.error('Idempotency store error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Subscription creation failed',
+      type: 'server_error'
+    });
+  }
+  if (!idempotency) {
+    return;
+  }
+  const { key: idempotencyKey, respond } = idempotency;
+
+  try {
+    logger.info('Processing subscription request');
+    logger.debug('Request body', { body: req.body });
+
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
+    }
+
+    const {
+      payment_method_id,
+      customer_name,
+      plan_type,
+      user_country
+    } = body;
+
+    const { country } = resolveCountry(req, user_country);
+    const price = getPlanPrice(plan_type, country);
+    const priceId = getStripePriceId(plan_type);
+
+    if (!priceId) {
+      logger.error('No Stripe Price configured for plan', { plan_type: plan_type });
+      return res.status(500).json({
+        success: false,
+        error: `Recurring billing is not configured for the ${plan_type} plan`,
+        type: 'server_error'
+      });
+    }
+
+    const customer = await findOrCreateCustomer(stripe, {
+      email: user.email,
+      name: customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: plan_type
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-customer` } : undefined);
+
+    // A second subscription would bill alongside the first one
+    const current = await findBillingSubscription(stripe, customer.id);
+    if (current) {
+      logger.warn('Subscription already exists for customer', { subscription_id: current.id, status: current.status });
+      return res.status(409).json({
+        success: false,
+        error: 'You already have a subscription - use /api/stripe/change-plan to switch plans',
+        type: 'subscription_exists',
+        subscription: {
+          id: current.id,
+          status: current.status
+        }
+      });
+    }
+
+    // Save the card on the customer so Stripe can charge every renewal
+    await stripe.paymentMethods.attach(payment_method_id, { customer: customer.id });
+    await stripe.customers.update(customer.id, {
+      invoice_settings: { default_payment_method: payment_method_id }
+    });
+
+    // Subscribing during a free trial keeps the trial days left - Stripe starts
+    // billing when the trial ends instead of today
+    const trialEnd = await findActiveTrialEnd(user.email);
+
+    // allow_incomplete charges the first invoice immediately and leaves the
+    // subscription incomplete (instead of failing) when 3D Secure is needed
+    const subscription = await stripe.subscriptions.create({
+      customer: customer.id,
+      items: [{ price: priceId }],
+      currency: price.currency,
+      default_payment_method: payment_method_id,
+      payment_behavior: 'allow_incomplete',
+      trial_end: trialEnd ? Math.floor(trialEnd.getTime() / 1000) : undefined,
+      expand: ['latest_invoice.payment_intent'],
+      metadata: {
+        plan_type: plan_type,
+        user_country: country || 'Unknown',
+        customer_name: customer_name || 'IELTS Student',
+        firebase_uid: user.uid,
+        app_source: 'IELTS_Practice'
+      }
+    }, idempotencyKey ? { idempotencyKey: `${idempotencyKey}-subscription` } : undefined);
+
+    const paymentIntent = subscription.latest_invoice?.payment_intent;
+
+    logger.info('Subscription created', {
+      subscription_id: subscription.id,
+      status: subscription.status,
+      payment_intent_status: paymentIntent?.status
+    });
+
+    if (paymentIntent && (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action')) {
+      // 3D Secure authentication required on the first invoice
+      logger.info('First invoice requires 3D Secure authentication', { subscription_id: subscription.id });
+      return respond(200, {
+        success: false,
+        requires_action: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          client_secret: paymentIntent.client_secret,
+          status: paymentIntent.status
+        },
+        subscription: {
+          id: subscription.id,
+          status: subscription.status
+        },
+        message: '3D Secure authentication required'
+      });
+    } else if (subscription.status === 'active' || subscription.status === 'trialing') {
+      logger.info('Subscription active', { subscription_id: subscription.id });
+
+      return respond(200, {
+        success: true,
+        subscription: {
+          id: subscription.id,
+          status: subscription.status,
+          current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
+        },
+        customer: {
+          id: customer.id,
+          email: customer.email,
+          name: customer.name
+        },
+        subscription_data: {
+          plan_type: plan_type,
+          start_date: new Date(subscription.current_period_start * 1000).toISOString(),
+          end_date: new Date(subscription.current_period_end * 1000).toISOString()
+        }
+      });
+    } else {
+      // First payment failed - the subscription stays incomplete and expires
+      logger.warn('Subscription payment failed', { subscription_id: subscription.id, status: subscription.status });
+      return respond(400, {
+        success: false,
+        error: 'Payment failed',
+        subscription: {
+          id: subscription.id,
+          status: subscription.status
+        },
+        payment_intent: paymentIntent ? {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          last_payment_error: paymentIntent.last_payment_error
+        } : null
+      });
+    }
+
+  } catch (error) {
+    logger.error('Subscription creation error', error);
+
+    // Handle specific Stripe errors - these are final, so replays get them too
+    if (error.type === 'StripeCardError') {
+      await recordCardDecline(req, user);
+      return respond(400, {
+        success: false,
+        error: error.message,
+        type: 'card_error'
+      });
+    } else if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request',
+        type: 'idempotency_error'
+      });
+    } else if (error.type === 'StripeInvalidRequestError') {
+      return respond(400, {
+        success: false,
+        error: 'Invalid subscription request',
+        type: 'invalid_request'
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: 'Subscription creation failed',
+        type: 'server_error'
+      });
+    }
+  }
+}
+
+// Helper function to find a subscription still billing the customer. Seat
+// subscriptions bought for an organization do not count.
+async function findBillingSubscription(stripe, customerId) {
+  const subscriptions = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 10 });
+  return subscriptions.data.find(subscription =>
+    BILLING_STATUSES.includes(subscription.status) && !subscription.metadata?.organization_id) || null;
+}
\ No newline at end of file
@@ -1,109 +1,108 @@
 // /api/stripe/customer-portal.js
 // Vercel serverless function for Stripe Customer Portal
 
-import Stripe from 'stripe';
-
-// Initialize Stripe with your secret key
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-
-export default async function handler(req, res) {
-  console.log('🏢 Customer Portal API called:', req.method);
-  
-  // Add CORS headers for multiple origins (development & production)
-  const allowedOrigins = [
-    'https://www.gammapace.com',
-    'https://gurukullam.github.io',
-    'null' // For local file:// testing
-  ];
-  
-  const origin = req.headers.origin;
-  if (allowedOrigins.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-  } else if (!origin) {
-    // Allow requests with no origin (like from local files)
-    res.setHeader('Access-Control-Allow-Origin', '*');
+import { getStripe } from '../../lib/stripe.js';
+import { withApi } from '../../lib/http.js';
+import { getConfig } from '../../lib/config.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { fields, validateRequest } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+// One answer for "no customer", "someone else's customer" and "no such ID", so
+// the route cannot be used to find out which customer IDs or emails exist
+const NO_BILLING_ACCOUNT = {
+  success: false,
+  error: 'No billing account found for this login. If you have paid, please contact support.',
+  type: 'not_found'
+};
+
+const bodySchema = {
+  customer_id: fields.customerId(),
+  return_url: fields.returnUrl()
+};
+
+async function handler(req, res) {
+  const stripe = getStripe();
+
+  // Only the signed-in student may open their own billing page
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
   }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    console.log('✅ Handling OPTIONS preflight request');
-    return res.status(200).end();
+  // An unverified email could belong to someone else
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
   }
 
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    console.log('❌ Method not allowed:', req.method);
-    return res.status(405).json({ error: 'Method not allowed' });
+  const customer_email = user.email;
+
+  if (!(await enforceRateLimit(req, res, 'portal', user))) {
+    return;
   }
 
   try {
-    console.log('📋 Processing customer portal request...');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-
-    const { customer_id, customer_email, return_url } = req.body;
+    logger.info('Processing customer portal request');
+    logger.debug('Request body', { body: req.body });
 
-    // Validate required fields - need either customer_id or customer_email
-    if (!customer_id && !customer_email) {
-      console.log('❌ Missing required fields');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Either customer_id or customer_email is required' 
-      });
+    const body = validateRequest(res, bodySchema, req.body);
+    if (!body) {
+      return;
     }
 
+    const { customer_id, return_url } = body;
+
     let customerId = customer_id;
 
-    // If email provided instead of ID, find the customer
-    if (!customerId && customer_email) {
-      console.log('🔍 Finding customer by email:', customer_email);
-      
+    // No customer ID given - find the customer by the signed-in email
+    if (!customerId) {
       const customers = await stripe.customers.list({
         email: customer_email,
         limit: 1
       });
 
       if (customers.data.length === 0) {
-        console.log('❌ Customer not found:', customer_email);
-        return res.status(404).json({
-          success: false,
-          error: 'Customer not found. Please ensure you have an active subscription.'
-        });
+        logger.info('No Stripe customer for signed-in user');
+        return res.status(404).json(NO_BILLING_ACCOUNT);
       }
 
       customerId = customers.data[0].id;
-      console.log('✅ Found customer:', customerId);
+      logger.info('Found customer by email', { customer_id: customerId });
     }
 
-    // Validate customer exists
+    // Validate customer exists and belongs to the signed-in student
     try {
       const customer = await stripe.customers.retrieve(customerId);
-      console.log('✅ Customer validated:', {
-        id: customer.id,
-        email: customer.email,
-        name: customer.name
-      });
+
+      if (customer.deleted || (customer.email || '').toLowerCase() !== customer_email.toLowerCase()) {
+        logger.warn('Customer does not belong to signed-in user', { customer_id: customerId });
+        return res.status(404).json(NO_BILLING_ACCOUNT);
+      }
+
+      logger.info('Customer validated', { customer_id: customer.id });
     } catch (error) {
-      console.log('❌ Invalid customer ID:', customerId);
-      return res.status(404).json({
-        success: false,
-        error: 'Customer not found. Please contact support.'
-      });
+      logger.warn('Invalid customer ID', { customer_id: customerId });
+      return res.status(404).json(NO_BILLING_ACCOUNT);
     }
 
     // Create customer portal session
-    console.log('🏢 Creating customer portal session...');
-    
     const portalSession = await stripe.billingPortal.sessions.create({
       customer: customerId,
-      return_url: return_url || 'https://www.gammapace.com',
+      return_url: return_url || getConfig().defaultReturnUrl,
     });
 
-    console.log('✅ Customer portal session created:', {
-      id: portalSession.id,
-      customer: customerId,
-      url: portalSession.url
+    logger.info('Customer portal session created', {
+      session_id: portalSession.id,
+      customer_id: customerId
     });
 
     return res.status(200).json({
@@ -114,7 +113,7 @@ export default async function handler(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ Customer portal error:', error);
+    logger.error('Customer portal error', error);
     
     // Handle specific Stripe errors
     if (error.type === 'StripeInvalidRequestError') {
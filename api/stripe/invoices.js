@@ -0,0 +1,86 @@
+// /api/stripe/invoices.js
+// The signed-in student's payment history with receipt and invoice PDF links,
+// e.g. for visa applications or employer reimbursement.
+//   GET /api/stripe/invoices?limit=10
+//   GET /api/stripe/invoices?limit=10&cursor=<next_cursor from the previous page>
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi } from '../../lib/http.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { listBillingHistory, decodeCursor } from '../../lib/billing-history.js';
+import { fieldError, validateRequest, sendValidationError, ERROR_CODES } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['GET'] });
+
+const querySchema = {
+  limit: { type: 'integer', min: 1, max: 50, default: 10 },
+  cursor: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, maxLength: 300 }
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // Same rule as the billing portal - an unverified email could belong to someone else
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'portal', user))) {
+    return;
+  }
+
+  const query = validateRequest(res, querySchema, req.query);
+  if (!query) {
+    return;
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) {
+    return sendValidationError(res, [fieldError('cursor', ERROR_CODES.INVALID_FORMAT, 'cursor is not valid - start from the first page')]);
+  }
+
+  try {
+    const stripe = getStripe();
+
+    const customers = await stripe.customers.list({ email: user.email, limit: 1 });
+    const customer = customers.data[0];
+    if (!customer) {
+      logger.info('No Stripe customer for signed-in user');
+      return res.status(200).json({ success: true, records: [], has_more: false, next_cursor: null });
+    }
+
+    const history = await listBillingHistory(stripe, customer.id, { limit: query.limit, cursor: cursor });
+    logger.info('Billing history listed', { customer_id: customer.id, records: history.records.length, has_more: history.has_more });
+
+    return res.status(200).json({
+      success: true,
+      customer_id: customer.id,
+      ...history
+    });
+
+  } catch (error) {
+    logger.error('Billing history error', error);
+
+    // A cursor whose payment or invoice no longer exists
+    if (error.type === 'StripeInvalidRequestError' && cursor) {
+      return sendValidationError(res, [fieldError('cursor', ERROR_CODES.INVALID_FORMAT, 'cursor is not valid - start from the first page')]);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to load billing history',
+      type: 'server_error'
+    });
+  }
+}
\ No newline at end of file
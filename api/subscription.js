@@ -0,0 +1,147 @@
+// /api/subscription.js
+// Lets the IELTS app re-check a signed-in student's premium access at any time
+
+import { getStripe } from '../lib/stripe.js';
+import { withApi } from '../lib/http.js';
+import { getAuthenticatedUser } from '../lib/auth.js';
+import { calculateEndDate } from '../lib/plans.js';
+import { paidPeriodStart } from '../lib/trials.js';
+import { getEntitlementStore, isEntitlementActive } from '../lib/entitlements/index.js';
+import { getOrganizationStore, isOrganizationActive } from '../lib/organizations/index.js';
+import { logger } from '../lib/logger.js';
+
+export default withApi(handler, { methods: ['GET'] });
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // Access is looked up by email, and an unverified email could belong to someone else
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  try {
+    // The webhook handlers keep the store up to date - check it first
+    const entitlement = await getEntitlementStore().findByEmail(user.email);
+
+    // Without access of their own, a seat from the student's coaching centre
+    // counts - its access follows the organization
+    if (!isEntitlementActive(entitlement)) {
+      const organization = await getOrganizationStore().findBySeatEmail(user.email);
+      if (isOrganizationActive(organization)) {
+        logger.info('Organization seat found', { organization_id: organization.organization_id });
+        return res.status(200).json(describeSeat(organization));
+      }
+    }
+
+    if (entitlement) {
+      logger.info('Entitlement found in store', { customer_id: entitlement.customer_id });
+      return res.status(200).json(describeEntitlement(entitlement, 'store'));
+    }
+
+    // No record yet (e.g. webhook not delivered) - fall back to Stripe
+    logger.info('No stored entitlement, checking Stripe');
+    const fromStripe = await findEntitlementInStripe(user.email);
+    return res.status(200).json(describeEntitlement(fromStripe, 'stripe'));
+
+  } catch (error) {
+    logger.error('Subscription lookup error', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to check subscription status',
+      type: 'server_error'
+    });
+  }
+}
+
+// Helper function to rebuild an entitlement from the customer's Stripe Billing
+// subscription, or else their latest successful one-off payment that was not
+// refunded. Seats bought for an organization (metadata.organization_id) are not
+// the payer's own plan. The period is counted as the webhook does.
+async function findEntitlementInStripe(email) {
+  const stripe = getStripe();
+  const customers = await stripe.customers.list({ email: email, limit: 1 });
+  if (customers.data.length === 0) {
+    return null;
+  }
+
+  const customer = customers.data[0];
+
+  const subscriptions = await stripe.subscriptions.list({ customer: customer.id, status: 'all', limit: 10 });
+  const subscription = subscriptions.data.find(item => !item.metadata?.organization_id);
+  if (subscription && subscription.status !== 'incomplete_expired') {
+    return {
+      customer_id: customer.id,
+      email: email,
+      plan_type: subscription.metadata?.plan_type || null,
+      status: subscription.status,
+      start_date: new Date(subscription.current_period_start * 1000).toISOString(),
+      end_date: new Date(subscription.current_period_end * 1000).toISOString(),
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      subscription_id: subscription.id
+    };
+  }
+
+  const paymentIntents = await stripe.paymentIntents.list({
+    customer: customer.id,
+    limit: 20,
+    expand: ['data.latest_charge']
+  });
+  const payment = paymentIntents.data.find(intent =>
+    intent.status === 'succeeded' && !intent.invoice && !intent.metadata?.organization_id &&
+    !intent.latest_charge?.refunded);
+  if (!payment) {
+    return null;
+  }
+
+  const planType = payment.metadata?.plan_type || 'monthly';
+  const startDate = new Date(payment.created * 1000);
+
+  return {
+    customer_id: customer.id,
+    email: email,
+    plan_type: planType,
+    status: 'active',
+    start_date: startDate.toISOString(),
+    end_date: calculateEndDate(paidPeriodStart(payment), planType).toISOString(),
+    cancel_at_period_end: false,
+    payment_intent_id: payment.id
+  };
+}
+
+// Helper function to answer for a seat in the same shape - no customer of their own
+function describeSeat(organization) {
+  return {
+    ...describeEntitlement({ ...organization, customer_id: null, trial_end_date: null }, 'organization'),
+    organization: {
+      id: organization.organization_id,
+      name: organization.name
+    }
+  };
+}
+
+// Helper function to shape the response the frontend relies on
+function describeEntitlement(entitlement, source) {
+  return {
+    success: true,
+    active: isEntitlementActive(entitlement),
+    plan_type: entitlement?.plan_type || null,
+    status: entitlement?.status || 'none',
+    start_date: entitlement?.start_date || null,
+    expires_at: entitlement?.end_date || null,
+    cancel_at_period_end: entitlement?.cancel_at_period_end === true,
+    // Set once a free trial was started, also after it converted to a paid plan
+    trial_end_date: entitlement?.trial_end_date || null,
+    customer_id: entitlement?.customer_id || null,
+    source: source
+  };
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+// /api/trial/start.js
+// Starts the signed-in student's free trial - premium access for TRIAL_DAYS
+// without a card, once per Firebase user and email (see lib/trials.js)
+
+import { getStripe } from '../../lib/stripe.js';
+import { withApi, resolveCountry } from '../../lib/http.js';
+import { calculateEndDate, TRIAL_PLAN_TYPE } from '../../lib/plans.js';
+import { getAuthenticatedUser } from '../../lib/auth.js';
+import { findOrCreateCustomer } from '../../lib/customers.js';
+import { getEntitlementStore } from '../../lib/entitlements/index.js';
+import { claimTrial, releaseTrial } from '../../lib/trials.js';
+import { getConfig } from '../../lib/config.js';
+import { fields, validateRequest } from '../../lib/validation.js';
+import { logger } from '../../lib/logger.js';
+import { enforceRateLimit } from '../../lib/rate-limit/index.js';
+
+export default withApi(handler, { methods: ['POST'] });
+
+const bodySchema = {
+  user_country: fields.country(),
+  customer_name: fields.customerName()
+};
+
+async function handler(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  // One trial per email only means something if the email is really theirs
+  if (!user.email || !user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+
+  if (!(await enforceRateLimit(req, res, 'payment', user))) {
+    return;
+  }
+
+  const body = validateRequest(res, bodySchema, req.body);
+  if (!body) {
+    return;
+  }
+
+  let claimed = false;
+  try {
+    // Trials are for students who have not had premium yet
+    const existing = await getEntitlementStore().findByEmail(user.email);
+    if (existing?.plan_type) {
+      return sendTrialUnavailable(res);
+    }
+
+    claimed = await claimTrial(user);
+    if (!claimed) {
+      logger.info('Free trial already used');
+      return sendTrialUnavailable(res);
+    }
+
+    const { country } = resolveCountry(req, body.user_country);
+    const customer = await findOrCreateCustomer(getStripe(), {
+      email: user.email,
+      name: body.customer_name,
+      uid: user.uid,
+      userCountry: country,
+      planType: TRIAL_PLAN_TYPE
+    });
+
+    const startDate = new Date();
+    const endDate = calculateEndDate(startDate, TRIAL_PLAN_TYPE);
+    const entitlement = await getEntitlementStore().put(customer.id, {
+      email: user.email.toLowerCase(),
+      firebase_uid: user.uid,
+      plan_type: TRIAL_PLAN_TYPE,
+      status: 'trialing',
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      cancel_at_period_end: true,
+      trial_end_date: endDate.toISOString(),
+      updated_at: startDate.toISOString()
+    });
+    logger.info('Free trial started', { customer_id: customer.id, end_date: entitlement.end_date });
+
+    return res.status(200).json({
+      success: true,
+      customer: {
+        id: customer.id,
+        email: customer.email,
+        name: customer.name
+      },
+      subscription_data: {
+        plan_type: TRIAL_PLAN_TYPE,
+        start_date: entitlement.start_date,
+        end_date: entitlement.end_date
+      },
+      trial_days: getConfig().trialDays
+    });
+
+  } catch (error) {
+    logger.error('Free trial error', error);
+
+    // Nothing was granted, so the student can try again
+    if (claimed) {
+      await releaseTrial(user).catch(releaseError => logger.error('Could not release free trial', releaseError));
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Unable to start your free trial',
+      type: 'server_error'
+    });
+  }
+}
+
+function sendTrialUnavailable(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'Your free trial has already been used - choose a plan to continue',
+    type: 'trial_unavailable'
+  });
+}
\ No newline at end of file
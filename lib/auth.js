@@ -0,0 +1,149 @@
+// /lib/auth.js
+// Shared auth layer - verifies Firebase ID tokens sent as `Authorization: Bearer <token>`.
+// Uses Node's crypto against Google's published signing keys - no firebase-admin needed.
+//
+// For local testing the signing keys can be overridden, so no live Firebase is needed:
+//   FIREBASE_AUTH_PUBLIC_KEY  PEM public key that verifies every token
+//   FIREBASE_AUTH_JWKS        inline JWKS JSON ({"keys":[...]})
+//   FIREBASE_AUTH_JWKS_URL    JWKS URL to fetch instead of Google's
+
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+const GOOGLE_JWKS_URL =
+  'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+// Signing keys cached by kid until the JWKS Cache-Control max-age runs out
+let cachedKeys = null;
+let cachedKeysUrl = null;
+let cachedKeysExpireAt = 0;
+
+function keysFromJwks(keys) {
+  return Object.fromEntries(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+}
+
+// Returns a map of kid -> public key. A '*' entry verifies tokens with any kid.
+async function getSigningKeys() {
+  if (process.env.FIREBASE_AUTH_PUBLIC_KEY) {
+    // Env vars often carry PEMs with escaped newlines
+    return { '*': crypto.createPublicKey(process.env.FIREBASE_AUTH_PUBLIC_KEY.replace(/\\n/g, '\n')) };
+  }
+
+  if (process.env.FIREBASE_AUTH_JWKS) {
+    return keysFromJwks(JSON.parse(process.env.FIREBASE_AUTH_JWKS).keys);
+  }
+
+  const url = process.env.FIREBASE_AUTH_JWKS_URL || GOOGLE_JWKS_URL;
+  if (cachedKeys && cachedKeysUrl === url && Date.now() < cachedKeysExpireAt) {
+    return cachedKeys;
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Unable to fetch Firebase signing keys (${response.status})`);
+  }
+
+  const { keys } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+
+  cachedKeys = keysFromJwks(keys);
+  cachedKeysUrl = url;
+  cachedKeysExpireAt = Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 60 * 60 * 1000);
+  return cachedKeys;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Verify a Firebase ID token and return its claims. Throws when the token is invalid.
+export async function verifyIdToken(token) {
+  const projectId = getConfig().firebaseProjectId;
+  if (!projectId) {
+    throw new Error('FIREBASE_PROJECT_ID is not configured');
+  }
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed ID token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const claims = decodeSegment(payloadSegment);
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unexpected token algorithm: ${header.alg}`);
+  }
+
+  const keys = await getSigningKeys();
+  const key = keys[header.kid] || keys['*'];
+  if (!key) {
+    throw new Error('ID token signed with an unknown key');
+  }
+
+  const signatureValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    key,
+    Buffer.from(signatureSegment, 'base64url')
+  );
+  if (!signatureValid) {
+    throw new Error('Invalid ID token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId) {
+    throw new Error('ID token has the wrong audience');
+  }
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) {
+    throw new Error('ID token has the wrong issuer');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new Error('ID token has expired');
+  }
+  if (typeof claims.iat !== 'number' || claims.iat > now) {
+    throw new Error('ID token issued in the future');
+  }
+
+  return claims;
+}
+
+// Resolve the signed-in Firebase user for a request, or null when there is none.
+// Returns { uid, email, email_verified, admin } taken from the verified token -
+// routes must use these instead of any email or uid sent in the request body.
+export async function getAuthenticatedUser(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+
+  if (!match) {
+    logger.info('No bearer token on request');
+    return null;
+  }
+
+  try {
+    const claims = await verifyIdToken(match[1].trim());
+    return {
+      uid: claims.sub,
+      email: claims.email ? claims.email.toLowerCase() : null,
+      email_verified: claims.email_verified === true,
+      admin: claims.admin === true
+    };
+  } catch (error) {
+    logger.warn('ID token rejected', { reason: error.message });
+    return null;
+  }
+}
+
+// Support staff: a Firebase custom claim { admin: true } (set with the Admin SDK's
+// setCustomUserClaims) or a verified email listed in ADMIN_EMAILS
+export function isAdmin(user) {
+  if (!user) {
+    return false;
+  }
+  return user.admin || (user.email_verified && getConfig().adminEmails.includes((user.email || '').toLowerCase()));
+}
\ No newline at end of file
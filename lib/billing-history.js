@@ -0,0 +1,151 @@
+// /lib/billing-history.js
+// A student's payment history for /api/stripe/invoices - one-off PaymentIntents
+// and Stripe Billing invoices in one list, newest first, with receipt links.
+//
+// Stripe pages each list separately, so a page is built by merging one page of
+// each and the cursor remembers how far into both lists the student has read:
+//   base64url(JSON { payment_intent: 'pi_...', invoice: 'in_...' })
+
+import { PLANS, getPlanTypeForPriceId, formatPrice } from './plans.js';
+
+// Invoices worth showing - drafts and voided invoices are not bills
+const INVOICE_STATUSES = ['paid', 'open'];
+
+// Returns { records, has_more, next_cursor }. cursor is from a previous page.
+export async function listBillingHistory(stripe, customerId, { limit, cursor }) {
+  const position = cursor || {};
+
+  const [paymentIntents, invoices] = await Promise.all([
+    stripe.paymentIntents.list({
+      customer: customerId,
+      limit: limit,
+      starting_after: position.payment_intent,
+      expand: ['data.latest_charge']
+    }),
+    stripe.invoices.list({
+      customer: customerId,
+      limit: limit,
+      starting_after: position.invoice,
+      expand: ['data.charge']
+    })
+  ]);
+
+  const sources = [
+    { key: 'payment_intent', page: paymentIntents, next: 0, visible: isReceiptPayment, describe: describePayment },
+    { key: 'invoice', page: invoices, next: 0, visible: invoice => INVOICE_STATUSES.includes(invoice.status), describe: describeInvoice }
+  ];
+
+  // Merge newest first. Stop when a list runs out of fetched items but Stripe
+  // has more, because its next item could be newer than anything left.
+  const records = [];
+  while (records.length < limit) {
+    const candidates = sources.filter(source => source.next < source.page.data.length);
+    const blocked = sources.some(source => source.next >= source.page.data.length && source.page.has_more);
+    if (candidates.length === 0 || blocked) {
+      break;
+    }
+
+    const source = candidates.reduce((newest, candidate) =>
+      candidate.page.data[candidate.next].created > newest.page.data[newest.next].created ? candidate : newest);
+    const item = source.page.data[source.next++];
+    if (source.visible(item)) {
+      records.push(source.describe(item));
+    }
+  }
+
+  const nextPosition = { ...position };
+  for (const source of sources) {
+    if (source.next > 0) {
+      nextPosition[source.key] = source.page.data[source.next - 1].id;
+    }
+  }
+  const hasMore = sources.some(source => source.next < source.page.data.length || source.page.has_more);
+
+  return {
+    records: records,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(nextPosition) : null
+  };
+}
+
+// Helper function to read a cursor from the query string. Returns null when it
+// is not one of ours.
+export function decodeCursor(value) {
+  try {
+    const position = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const valid = position && typeof position === 'object' &&
+      (position.payment_intent === undefined || /^pi_[A-Za-z0-9_]+$/.test(position.payment_intent)) &&
+      (position.invoice === undefined || /^in_[A-Za-z0-9_]+$/.test(position.invoice));
+    return valid ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Subscription invoices are listed as invoices, so only one-off payments count here
+function isReceiptPayment(paymentIntent) {
+  return paymentIntent.status === 'succeeded' && !paymentIntent.invoice;
+}
+
+function describePayment(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+  const charge = typeof paymentIntent.latest_charge === 'object' ? paymentIntent.latest_charge : null;
+
+  return describeRecord({
+    id: paymentIntent.id,
+    type: 'payment',
+    created: paymentIntent.created,
+    status: charge?.refunded ? 'refunded' : paymentIntent.status,
+    amount: paymentIntent.amount,
+    amount_refunded: charge?.amount_refunded || 0,
+    currency: paymentIntent.currency,
+    plan_type: metadata.plan_type,
+    metadata: metadata,
+    number: null,
+    receipt_url: charge?.receipt_url || null,
+    invoice_url: null,
+    invoice_pdf: null
+  });
+}
+
+function describeInvoice(invoice) {
+  const metadata = invoice.subscription_details?.metadata || {};
+  const planLine = (invoice.lines?.data || []).find(line => !line.proration);
+  const charge = typeof invoice.charge === 'object' ? invoice.charge : null;
+
+  return describeRecord({
+    id: invoice.id,
+    type: 'invoice',
+    created: invoice.created,
+    status: invoice.status,
+    amount: invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due,
+    amount_refunded: charge?.amount_refunded || 0,
+    currency: invoice.currency,
+    plan_type: getPlanTypeForPriceId(planLine?.price?.id) || metadata.plan_type,
+    metadata: metadata,
+    number: invoice.number || null,
+    receipt_url: charge?.receipt_url || null,
+    invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null
+  });
+}
+
+// Helper function for the shape both kinds of record share
+function describeRecord(record) {
+  const { metadata, ...fields } = record;
+  const planType = PLANS[record.plan_type] ? record.plan_type : null;
+
+  return {
+    ...fields,
+    created: new Date(record.created * 1000).toISOString(),
+    display_amount: formatPrice(record.amount, record.currency),
+    plan_type: planType,
+    description: planType ? `IELTS Practice - ${PLANS[planType].name}` : 'IELTS Practice',
+    customer_name: metadata.customer_name || null,
+    user_country: metadata.user_country && metadata.user_country !== 'Unknown' ? metadata.user_country : null
+  };
+}
\ No newline at end of file
@@ -0,0 +1,273 @@
+// /lib/config.js
+// Central configuration - every route reads environment settings from here.
+// Values are validated once per cold start; problems are logged immediately and
+// reported by /api/status, and routes refuse to run while there are errors.
+
+import { logger } from './logger.js';
+
+const DEFAULT_ALLOWED_ORIGINS = 'https://www.gammapace.com,https://gurukullam.github.io';
+const DEFAULT_RETURN_URL = 'https://www.gammapace.com';
+const DEFAULT_NOTIFICATION_FROM = 'IELTS Practice <no-reply@gammapace.com>';
+const NOTIFICATION_TRANSPORTS = ['log', 'outbox', 'smtp', 'resend'];
+const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+// Defaults for the numeric settings - rate limits (lib/rate-limit/), webhook
+// retries (lib/webhooks/) and the free trial length (lib/trials.js)
+const LIMIT_DEFAULTS = {
+  RATE_LIMIT_WINDOW_SECONDS: 600,
+  RATE_LIMIT_PAYMENT_PER_IP: 10,
+  RATE_LIMIT_PAYMENT_PER_EMAIL: 5,
+  RATE_LIMIT_PORTAL_PER_IP: 20,
+  RATE_LIMIT_PORTAL_PER_EMAIL: 10,
+  CARD_DECLINE_LIMIT: 3,
+  CARD_DECLINE_BLOCK_MINUTES: 60,
+  WEBHOOK_MAX_ATTEMPTS: 5,
+  TRIAL_DAYS: 7
+};
+
+let config;
+
+// Helper function to check a URL/origin from the environment
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function isSecureOrLocal(url) {
+  return url.protocol === 'https:' ||
+    (url.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(url.hostname));
+}
+
+// Helper function to read a positive whole number setting, falling back to its default
+function parseLimit(env, name, errors) {
+  if (env[name] === undefined || env[name] === '') {
+    return LIMIT_DEFAULTS[name];
+  }
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${name} must be a whole number of at least 1`);
+    return LIMIT_DEFAULTS[name];
+  }
+  return value;
+}
+
+// Helper function to read the LOCAL_COUPONS table (JSON array), see lib/promotions.js
+function parseLocalCoupons(value, errors) {
+  if (!value) {
+    return [];
+  }
+
+  let coupons;
+  try {
+    coupons = JSON.parse(value);
+  } catch (error) {
+    errors.push('LOCAL_COUPONS is not valid JSON');
+    return [];
+  }
+  if (!Array.isArray(coupons)) {
+    errors.push('LOCAL_COUPONS must be a JSON array');
+    return [];
+  }
+
+  return coupons.filter(coupon => {
+    const code = typeof coupon?.code === 'string' ? coupon.code : '?';
+    const hasPercent = Number.isFinite(coupon?.percent_off);
+    const hasAmount = coupon?.amount_off && typeof coupon.amount_off === 'object';
+
+    if (!/^[A-Za-z0-9_-]{2,40}$/.test(code)) {
+      errors.push(`LOCAL_COUPONS entry has an invalid code: ${code}`);
+    } else if (hasPercent === Boolean(hasAmount)) {
+      errors.push(`LOCAL_COUPONS ${code} needs exactly one of percent_off or amount_off`);
+    } else if (hasPercent && (coupon.percent_off <= 0 || coupon.percent_off > 100)) {
+      errors.push(`LOCAL_COUPONS ${code} percent_off must be between 0 and 100`);
+    } else if (hasAmount && !Object.values(coupon.amount_off).every(amount => Number.isInteger(amount) && amount > 0)) {
+      errors.push(`LOCAL_COUPONS ${code} amount_off must map currencies to whole minor units`);
+    } else if (coupon.expires_at && Number.isNaN(Date.parse(coupon.expires_at))) {
+      errors.push(`LOCAL_COUPONS ${code} expires_at is not a date`);
+    } else {
+      return true;
+    }
+    return false;
+  }).map(coupon => ({ ...coupon, code: coupon.code.toUpperCase() }));
+}
+
+export function loadConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+
+  const stripeSecretKey = env.STRIPE_SECRET_KEY || '';
+  const stripeWebhookSecret = env.STRIPE_WEBHOOK_SECRET || '';
+  const production = env.NODE_ENV === 'production';
+
+  if (!stripeSecretKey) {
+    errors.push('STRIPE_SECRET_KEY is not set');
+  } else if (!/^(sk|rk)_(live|test)_/.test(stripeSecretKey)) {
+    errors.push('STRIPE_SECRET_KEY does not look like a Stripe secret key');
+  }
+
+  const stripeKeyMode = /^(sk|rk)_live_/.test(stripeSecretKey) ? 'live' :
+    /^(sk|rk)_test_/.test(stripeSecretKey) ? 'test' : null;
+  if (production && stripeKeyMode === 'test') {
+    warnings.push('A Stripe test key is configured in production');
+  }
+
+  if (!stripeWebhookSecret) {
+    warnings.push('STRIPE_WEBHOOK_SECRET is not set - webhooks will be rejected');
+  } else if (!stripeWebhookSecret.startsWith('whsec_')) {
+    errors.push('STRIPE_WEBHOOK_SECRET does not look like a webhook signing secret');
+  }
+
+  // Exact origins only - '*' and the opaque 'null' origin (file://, sandboxed
+  // iframes) would let any page call the payment routes with a student's token
+  const allowedOrigins = (env.ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS)
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+
+  for (const origin of allowedOrigins) {
+    const url = parseUrl(origin);
+    if (!url || url.origin !== origin || !isSecureOrLocal(url)) {
+      errors.push(`ALLOWED_ORIGINS entry is not an https origin: ${origin}`);
+    }
+  }
+
+  const defaultReturnUrl = env.DEFAULT_RETURN_URL || DEFAULT_RETURN_URL;
+  const returnUrl = parseUrl(defaultReturnUrl);
+  if (!returnUrl || !isSecureOrLocal(returnUrl)) {
+    errors.push(`DEFAULT_RETURN_URL is not an https URL: ${defaultReturnUrl}`);
+  }
+
+  // Hosts a client-supplied return_url / success_url may point at. Defaults to
+  // the allowed origins plus the default return URL's host.
+  const returnUrlHosts = env.RETURN_URL_HOSTS
+    ? env.RETURN_URL_HOSTS.split(',').map(host => host.trim()).filter(Boolean)
+    : [...new Set([
+      ...allowedOrigins.map(origin => parseUrl(origin)?.host).filter(Boolean),
+      ...(returnUrl ? [returnUrl.host] : [])
+    ])];
+
+  // Stripe Billing recurring Price IDs, one per plan_type
+  const stripePriceIds = {
+    weekly: env.STRIPE_PRICE_WEEKLY || null,
+    monthly: env.STRIPE_PRICE_MONTHLY || null,
+    quarterly: env.STRIPE_PRICE_QUARTERLY || null
+  };
+  for (const [planType, priceId] of Object.entries(stripePriceIds)) {
+    if (priceId && !priceId.startsWith('price_')) {
+      errors.push(`STRIPE_PRICE_${planType.toUpperCase()} does not look like a Stripe Price ID`);
+    }
+  }
+
+  // Email notifications - 'log' only records that an email would have been sent
+  const notificationTransport = (env.NOTIFICATION_TRANSPORT || 'log').toLowerCase();
+  if (!NOTIFICATION_TRANSPORTS.includes(notificationTransport)) {
+    errors.push(`NOTIFICATION_TRANSPORT must be one of: ${NOTIFICATION_TRANSPORTS.join(', ')}`);
+  } else if (notificationTransport === 'smtp' && !env.SMTP_URL) {
+    errors.push('NOTIFICATION_TRANSPORT=smtp needs SMTP_URL');
+  } else if (notificationTransport === 'resend' && !env.RESEND_API_KEY) {
+    errors.push('NOTIFICATION_TRANSPORT=resend needs RESEND_API_KEY');
+  } else if (production && notificationTransport === 'log') {
+    warnings.push('NOTIFICATION_TRANSPORT is not set - students will not get payment emails');
+  }
+
+  // Abuse protection for the payment and portal routes
+  const rateLimitStore = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (!RATE_LIMIT_STORES.includes(rateLimitStore)) {
+    errors.push(`RATE_LIMIT_STORE must be one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  } else if (rateLimitStore === 'redis' && (!env.RATE_LIMIT_REDIS_URL || !env.RATE_LIMIT_REDIS_TOKEN)) {
+    errors.push('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN');
+  } else if (production && rateLimitStore === 'memory') {
+    warnings.push('RATE_LIMIT_STORE is memory - limits are per serverless instance, not global');
+  }
+
+  const rateLimits = {
+    windowMs: parseLimit(env, 'RATE_LIMIT_WINDOW_SECONDS', errors) * 1000,
+    payment: {
+      ip: parseLimit(env, 'RATE_LIMIT_PAYMENT_PER_IP', errors),
+      email: parseLimit(env, 'RATE_LIMIT_PAYMENT_PER_EMAIL', errors)
+    },
+    portal: {
+      ip: parseLimit(env, 'RATE_LIMIT_PORTAL_PER_IP', errors),
+      email: parseLimit(env, 'RATE_LIMIT_PORTAL_PER_EMAIL', errors)
+    },
+    cardDeclineLimit: parseLimit(env, 'CARD_DECLINE_LIMIT', errors),
+    cardDeclineBlockMs: parseLimit(env, 'CARD_DECLINE_BLOCK_MINUTES', errors) * 60 * 1000
+  };
+
+  // Optional second gateway (lib/gateways/) - all three Razorpay settings or none
+  const razorpayKeyId = env.RAZORPAY_KEY_ID || '';
+  const razorpayKeySecret = env.RAZORPAY_KEY_SECRET || '';
+  const razorpayWebhookSecret = env.RAZORPAY_WEBHOOK_SECRET || '';
+  let razorpay = null;
+  if (razorpayKeyId || razorpayKeySecret || razorpayWebhookSecret) {
+    if (!razorpayKeyId || !razorpayKeySecret || !razorpayWebhookSecret) {
+      errors.push('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must be set together');
+    } else if (!/^rzp_(live|test)_/.test(razorpayKeyId)) {
+      errors.push('RAZORPAY_KEY_ID does not look like a Razorpay key ID');
+    } else {
+      razorpay = { keyId: razorpayKeyId, keySecret: razorpayKeySecret, webhookSecret: razorpayWebhookSecret };
+      if (production && razorpayKeyId.startsWith('rzp_test_')) {
+        warnings.push('A Razorpay test key is configured in production');
+      }
+    }
+  }
+
+  // Discount codes checked before Stripe promotion codes
+  const localCoupons = parseLocalCoupons(env.LOCAL_COUPONS, errors);
+
+  if (!env.FIREBASE_PROJECT_ID) {
+    warnings.push('FIREBASE_PROJECT_ID is not set - signed-in routes will reject every request');
+  }
+
+  return {
+    production: production,
+    // Vercel's production / preview / development - null outside Vercel
+    vercelEnv: env.VERCEL_ENV || null,
+    gitCommit: env.VERCEL_GIT_COMMIT_SHA || env.GIT_COMMIT_SHA || null,
+    stripeSecretKey: stripeSecretKey,
+    stripeWebhookSecret: stripeWebhookSecret,
+    stripeKeyMode: stripeKeyMode,
+    stripePriceIds: stripePriceIds,
+    stripeAutomaticTax: env.STRIPE_AUTOMATIC_TAX === 'true',
+    allowedOrigins: allowedOrigins,
+    defaultReturnUrl: defaultReturnUrl,
+    returnUrlHosts: returnUrlHosts,
+    firebaseProjectId: env.FIREBASE_PROJECT_ID || null,
+    adminEmails: (env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
+    localCoupons: localCoupons,
+    razorpay: razorpay,
+    rateLimitStore: rateLimitStore,
+    rateLimitRedisUrl: env.RATE_LIMIT_REDIS_URL || null,
+    rateLimitRedisToken: env.RATE_LIMIT_REDIS_TOKEN || null,
+    rateLimits: rateLimits,
+    webhookMaxAttempts: parseLimit(env, 'WEBHOOK_MAX_ATTEMPTS', errors),
+    trialDays: parseLimit(env, 'TRIAL_DAYS', errors),
+    notificationTransport: notificationTransport,
+    notificationFrom: env.NOTIFICATION_FROM || DEFAULT_NOTIFICATION_FROM,
+    notificationOutboxDir: env.NOTIFICATION_OUTBOX_DIR || '.data/outbox',
+    smtpUrl: env.SMTP_URL || null,
+    resendApiKey: env.RESEND_API_KEY || null,
+    errors: errors,
+    warnings: warnings
+  };
+}
+
+export function getConfig() {
+  if (!config) {
+    config = loadConfig();
+    config.errors.forEach(error => logger.error('Config error', { problem: error }));
+    config.warnings.forEach(warning => logger.warn('Config warning', { problem: warning }));
+  }
+  return config;
+}
+
+// Forget the cached config so the next getConfig() re-reads the environment (tests)
+export function resetConfig() {
+  config = undefined;
+}
+
+// Validate at startup (cold start) rather than on the first request
+getConfig();
\ No newline at end of file
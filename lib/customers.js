@@ -0,0 +1,33 @@
+// /lib/customers.js
+// Shared Stripe customer lookup for the payment routes
+
+import { logger } from './logger.js';
+
+// Find the Stripe customer for a student's email, creating one on first purchase
+export async function findOrCreateCustomer(stripe, details, requestOptions) {
+  const { email, name, uid, userCountry, planType } = details;
+
+  const existingCustomers = await stripe.customers.list({
+    email: email,
+    limit: 1
+  });
+
+  if (existingCustomers.data.length > 0) {
+    logger.info('Found existing customer', { customer_id: existingCustomers.data[0].id });
+    return existingCustomers.data[0];
+  }
+
+  const customer = await stripe.customers.create({
+    email: email,
+    name: name || 'IELTS Student',
+    metadata: {
+      user_country: userCountry || 'Unknown',
+      plan_type: planType || 'monthly',
+      firebase_uid: uid,
+      source: 'IELTS_Practice_App'
+    }
+  }, requestOptions);
+  logger.info('Created new customer', { customer_id: customer.id });
+
+  return customer;
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+// /lib/entitlements/file-store.js
+// JSON file entitlement store - handy with `vercel dev` so records survive restarts.
+// Not for production: Vercel's filesystem is read-only outside /tmp and not shared.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function createFileStore(filePath) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function save(records) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(records, null, 2));
+  }
+
+  return {
+    name: 'file',
+
+    async get(customerId) {
+      const records = await load();
+      return records[customerId] || null;
+    },
+
+    async findByEmail(email) {
+      const wanted = String(email).toLowerCase();
+      const records = await load();
+      return Object.values(records).find(record => record.email === wanted) || null;
+    },
+
+    async put(customerId, fields) {
+      const records = await load();
+      records[customerId] = { ...records[customerId], ...fields, customer_id: customerId };
+      await save(records);
+      return records[customerId];
+    }
+  };
+}
\ No newline at end of file
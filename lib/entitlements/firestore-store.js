@@ -0,0 +1,35 @@
+// /lib/entitlements/firestore-store.js
+// Firestore entitlement store - the production adapter.
+// One document per Stripe customer in the configured collection.
+
+import { getFirestore } from '../firebase.js';
+
+export function createFirestoreStore(collectionName) {
+  async function collection() {
+    const db = await getFirestore();
+    return db.collection(collectionName);
+  }
+
+  return {
+    name: 'firestore',
+
+    async get(customerId) {
+      const snapshot = await (await collection()).doc(customerId).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+
+    async findByEmail(email) {
+      const snapshot = await (await collection())
+        .where('email', '==', String(email).toLowerCase())
+        .limit(1)
+        .get();
+      return snapshot.empty ? null : snapshot.docs[0].data();
+    },
+
+    async put(customerId, fields) {
+      const ref = (await collection()).doc(customerId);
+      await ref.set({ ...fields, customer_id: customerId }, { merge: true });
+      return (await ref.get()).data();
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,77 @@
+// /lib/entitlements/index.js
+// Entitlement store - records which students have paid access and until when.
+//
+// Every adapter exposes the same async interface, keyed by Stripe customer ID:
+//   get(customerId)          -> entitlement or null
+//   findByEmail(email)       -> entitlement or null
+//   put(customerId, fields)  -> merges fields into the record and returns it
+//
+// An entitlement record looks like:
+//   {
+//     customer_id, email, firebase_uid,
+//     plan_type, status,               // plan_type 'trial' + status 'trialing' for a free trial
+//     start_date, end_date,            // ISO strings
+//     cancel_at_period_end,
+//     payment_intent_id, subscription_id, invoice_id,
+//     payment_gateway, gateway_payment_id,  // 'stripe', or another gateway's payment (lib/gateways/)
+//     currency, period_value,          // what a one-off period is worth (plan changes)
+//     plan_change_payment,             // true when the payment only paid a plan change's difference
+//     trial_end_date,                  // set once a free trial was started
+//     updated_at
+//   }
+//
+// Pick the adapter with ENTITLEMENT_STORE=firestore|file|memory.
+
+import { logger } from '../logger.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createFirestoreStore } from './firestore-store.js';
+
+// Statuses that still grant access until end_date
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+let store;
+
+// Backend chosen for this deployment - other stores (e.g. idempotency) follow it too
+export function getStoreType() {
+  return process.env.ENTITLEMENT_STORE ||
+    (process.env.FIREBASE_SERVICE_ACCOUNT ? 'firestore' : 'memory');
+}
+
+function createStore() {
+  const type = getStoreType();
+
+  switch (type) {
+    case 'firestore':
+      return createFirestoreStore(process.env.ENTITLEMENT_COLLECTION || 'entitlements');
+    case 'file':
+      return createFileStore(process.env.ENTITLEMENT_STORE_FILE || '.data/entitlements.json');
+    case 'memory':
+      logger.warn('Using in-memory entitlement store - records will not persist');
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown ENTITLEMENT_STORE: ${type}`);
+  }
+}
+
+export function getEntitlementStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Swap the store, e.g. for a memory store in tests
+export function setEntitlementStore(newStore) {
+  store = newStore;
+}
+
+// Helper function to decide whether a record currently grants premium access
+export function isEntitlementActive(entitlement, now = new Date()) {
+  if (!entitlement || !ACTIVE_STATUSES.includes(entitlement.status)) {
+    return false;
+  }
+  return !entitlement.end_date || new Date(entitlement.end_date) > now;
+}
+
+export { createMemoryStore, createFileStore, createFirestoreStore };
\ No newline at end of file
@@ -0,0 +1,32 @@
+// /lib/entitlements/memory-store.js
+// In-memory entitlement store - for tests and local development only.
+// Data is lost whenever the serverless function instance is recycled.
+
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(customerId) {
+      const record = records.get(customerId);
+      return record ? { ...record } : null;
+    },
+
+    async findByEmail(email) {
+      const wanted = String(email).toLowerCase();
+      for (const record of records.values()) {
+        if (record.email === wanted) {
+          return { ...record };
+        }
+      }
+      return null;
+    },
+
+    async put(customerId, fields) {
+      const record = { ...records.get(customerId), ...fields, customer_id: customerId };
+      records.set(customerId, record);
+      return { ...record };
+    }
+  };
+}
\ No newline at end of file
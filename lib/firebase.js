@@ -0,0 +1,23 @@
+// /lib/firebase.js
+// Shared Firestore connection for the Firestore-backed stores
+
+let firestore;
+
+// firebase-admin is loaded lazily so tests and the other adapters never need it
+export async function getFirestore() {
+  if (firestore) {
+    return firestore;
+  }
+
+  const { initializeApp, getApps, cert } = await import('firebase-admin/app');
+  const { getFirestore: connect } = await import('firebase-admin/firestore');
+
+  if (getApps().length === 0) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    initializeApp(serviceAccount ? { credential: cert(JSON.parse(serviceAccount)) } : undefined);
+  }
+
+  firestore = connect();
+  firestore.settings({ ignoreUndefinedProperties: true });
+  return firestore;
+}
\ No newline at end of file
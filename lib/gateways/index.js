@@ -0,0 +1,65 @@
+// /lib/gateways/index.js
+// Payment gateways besides Stripe, for students whose local methods Stripe does
+// not cover. Stripe stays the billing system of record: a gateway payment is
+// made for the student's Stripe customer and grants access through the same
+// webhook event store and handlers (lib/webhooks/) as a Stripe payment.
+//
+// Every adapter exposes the same interface:
+//   name, currencies                   -> gateway name and the currencies it charges
+//   createOrder({ amount, currency, receipt, metadata })
+//                                      -> { id, amount, currency, checkout } - checkout is
+//                                         what the frontend widget needs
+//   verifyWebhook(rawBody, headers)    -> the parsed event, or throws GatewaySignatureError
+//   toWebhookEvent(event, headers)     -> a 'gateway.payment.succeeded' event for the
+//                                         webhook store, or null for events we ignore
+//
+// A paid order becomes an event shaped like a Stripe one:
+//   {
+//     id: 'evt_<gateway>_...', type: 'gateway.payment.succeeded', created, livemode,
+//     data: { object: { id, gateway, order_id, customer, amount, currency, created, metadata } }
+//   }
+// where customer is the Stripe customer ID and metadata the order's plan details.
+//
+// Adapters are enabled by their keys, e.g. RAZORPAY_KEY_ID (see lib/config.js).
+
+import { getConfig } from '../config.js';
+import { createRazorpayGateway } from './razorpay.js';
+
+export const GATEWAY_NAMES = ['razorpay'];
+
+const gateways = {};
+
+// A gateway's signature check failed - answered with 400 so the sender sees it
+export class GatewaySignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GatewaySignatureError';
+  }
+}
+
+function createGateway(name) {
+  const config = getConfig();
+
+  switch (name) {
+    case 'razorpay':
+      return config.razorpay ? createRazorpayGateway(config.razorpay) : null;
+    default:
+      throw new Error(`Unknown payment gateway: ${name}`);
+  }
+}
+
+// The adapter for a gateway, or null when it is not configured
+export function getGateway(name) {
+  if (gateways[name] === undefined) {
+    gateways[name] = createGateway(name);
+  }
+  return gateways[name];
+}
+
+// Swap a gateway's adapter, e.g. one talking to a local mock in tests
+// (undefined goes back to the configured one)
+export function setGateway(name, gateway) {
+  gateways[name] = gateway;
+}
+
+export { createRazorpayGateway };
\ No newline at end of file
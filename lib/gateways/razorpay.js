@@ -0,0 +1,104 @@
+// /lib/gateways/razorpay.js
+// Razorpay adapter (https://razorpay.com/docs/api/orders/) - UPI, netbanking,
+// wallets and RuPay cards for students in India.
+//
+// The server creates an Order with the plan details in its notes, the frontend
+// opens Razorpay Checkout with it, and the signed order.paid webhook
+// (/api/razorpay/webhook) grants access. Order notes are set here, never by the
+// browser, so they are safe to grant from.
+
+import crypto from 'crypto';
+import { GatewaySignatureError } from './index.js';
+
+const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+export function createRazorpayGateway({ keyId, keySecret, webhookSecret }) {
+  const authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  return {
+    name: 'razorpay',
+    currencies: ['inr'],
+
+    async createOrder({ amount, currency, receipt, metadata }) {
+      const response = await fetch(`${RAZORPAY_API_URL}/orders`, {
+        method: 'POST',
+        headers: {
+          Authorization: authorization,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          amount: amount,
+          currency: currency.toUpperCase(),
+          receipt: receipt,
+          notes: metadata
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Razorpay API error ${response.status}: ${body.error?.description || 'unknown error'}`);
+      }
+
+      return {
+        id: body.id,
+        amount: body.amount,
+        currency: body.currency.toLowerCase(),
+        // Options for the Razorpay Checkout widget (key is the public key ID)
+        checkout: { key: keyId, order_id: body.id, amount: body.amount, currency: body.currency }
+      };
+    },
+
+    // X-Razorpay-Signature is the hex HMAC-SHA256 of the raw body
+    verifyWebhook(rawBody, headers) {
+      const signature = headers['x-razorpay-signature'];
+      if (!signature) {
+        throw new GatewaySignatureError('Missing Razorpay signature');
+      }
+
+      const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+      if (!valid) {
+        throw new GatewaySignatureError('Razorpay signature does not match');
+      }
+
+      return JSON.parse(rawBody.toString('utf8'));
+    },
+
+    // order.paid carries both the order (with our notes) and the payment
+    toWebhookEvent(event, headers) {
+      if (event.event !== 'order.paid') {
+        return null;
+      }
+
+      const order = event.payload?.order?.entity;
+      const payment = event.payload?.payment?.entity;
+      if (!order || !payment) {
+        return null;
+      }
+
+      // Razorpay sends the same X-Razorpay-Event-Id on every retry of a delivery
+      const eventId = String(headers['x-razorpay-event-id'] || payment.id).replace(/[^A-Za-z0-9_]/g, '_');
+
+      return {
+        id: `evt_razorpay_${eventId}`,
+        object: 'event',
+        type: 'gateway.payment.succeeded',
+        created: event.created_at,
+        livemode: keyId.startsWith('rzp_live_'),
+        data: {
+          object: {
+            id: payment.id,
+            gateway: 'razorpay',
+            order_id: order.id,
+            customer: order.notes?.customer_id || null,
+            amount: order.amount_paid || payment.amount,
+            currency: String(order.currency).toLowerCase(),
+            created: payment.created_at,
+            metadata: order.notes || {}
+          }
+        }
+      };
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+// /lib/health.js
+// Deep health checks for /api/status?deep=true - one cheap authenticated call
+// per dependency, so a revoked Stripe key, a test key in production or an
+// unreachable entitlement store is reported instead of looking healthy.
+//
+// Each check resolves to { status: 'ok' | 'fail', latency_ms, error?, ...details }.
+// Results are cached for a few seconds per instance so uptime monitors (or
+// anyone else) polling the endpoint do not turn into a stream of Stripe calls.
+
+import fs from 'fs';
+import { getConfig } from './config.js';
+import { getStripe } from './stripe.js';
+import { getEntitlementStore } from './entitlements/index.js';
+import { logger, redact } from './logger.js';
+
+const CHECK_TIMEOUT_MS = 5000;
+const CACHE_MS = 15 * 1000;
+
+// Customer ID read to prove the store answers - it never exists
+const PROBE_CUSTOMER_ID = 'health_check_probe';
+
+const CHECKS = {
+  stripe: checkStripe,
+  billing_portal: checkBillingPortal,
+  entitlement_store: checkEntitlementStore
+};
+
+let cached = null;
+
+// The deployed package version and git commit (Vercel sets VERCEL_GIT_COMMIT_SHA)
+export function getBuildInfo() {
+  return {
+    version: readPackageVersion(),
+    commit: getConfig().gitCommit
+  };
+}
+
+// Run every check in parallel. Returns { healthy, checked_at, checks }.
+export async function runHealthChecks() {
+  if (cached && Date.now() - cached.at < CACHE_MS) {
+    return cached.result;
+  }
+
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(name, CHECKS[name])));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const result = {
+    healthy: results.every(check => check.status === 'ok'),
+    checked_at: new Date().toISOString(),
+    checks: checks
+  };
+
+  cached = { at: Date.now(), result: result };
+  return result;
+}
+
+// Just ok/fail per check, for callers who may not see IDs, adapters or errors
+export function summarizeChecks(checks) {
+  return Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { status: check.status }]));
+}
+
+// Forget cached results (tests)
+export function clearHealthCache() {
+  cached = null;
+}
+
+// A check returns its details plus an optional `problem`; throwing (or timing
+// out) also fails it
+async function runCheck(name, check) {
+  const started = Date.now();
+
+  try {
+    const { problem, ...details } = await withTimeout(check(getConfig()), CHECK_TIMEOUT_MS);
+    if (problem) {
+      logger.warn('Health check failed', { check: name, problem: problem });
+    }
+
+    return {
+      status: problem ? 'fail' : 'ok',
+      latency_ms: Date.now() - started,
+      ...(problem ? { error: problem } : {}),
+      ...details
+    };
+  } catch (error) {
+    logger.error('Health check failed', { check: name, error: error });
+    return {
+      status: 'fail',
+      latency_ms: Date.now() - started,
+      error: redact(error.message || String(error))
+    };
+  }
+}
+
+// Retrieving the balance is the cheapest call that proves the key is accepted,
+// and its livemode says which mode the key really is
+async function checkStripe(config) {
+  const balance = await getStripe().balance.retrieve();
+  const keyMode = balance.livemode ? 'live' : 'test';
+  const liveKeyExpected = config.vercelEnv ? config.vercelEnv === 'production' : config.production;
+
+  return {
+    key_mode: keyMode,
+    problem: liveKeyExpected && keyMode === 'test' ? 'A Stripe test key is configured in production' : null
+  };
+}
+
+// customer-portal sessions fail until the portal settings have been saved
+async function checkBillingPortal() {
+  const { data } = await getStripe().billingPortal.configurations.list({ is_default: true, limit: 1 });
+  const configuration = data[0];
+
+  if (!configuration) {
+    return { problem: 'No default billing portal configuration - save the portal settings in the Stripe Dashboard' };
+  }
+
+  return {
+    configuration_id: configuration.id,
+    problem: configuration.active ? null : 'The default billing portal configuration is not active'
+  };
+}
+
+async function checkEntitlementStore() {
+  const store = getEntitlementStore();
+  await store.get(PROBE_CUSTOMER_ID);
+  return { adapter: store.name };
+}
+
+// Helper function to fail a check that hangs instead of hanging the request
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Helper function to read the version from package.json, which Vercel ships
+// with the function; npm sets npm_package_version when run through a script
+function readPackageVersion() {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    return pkg.version;
+  } catch (error) {
+    return process.env.npm_package_version || 'unknown';
+  }
+}
\ No newline at end of file
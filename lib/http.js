@@ -0,0 +1,96 @@
+// /lib/http.js
+// Reusable wrapper that applies the same CORS policy and method guard to every route
+
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { logger, runWithLogContext } from './logger.js';
+
+const ALLOWED_HEADERS = 'Content-Type, Authorization, Idempotency-Key, X-Request-Id';
+const EXPOSED_HEADERS = 'X-Request-Id, Idempotent-Replayed, Retry-After';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+// Reuse the caller's X-Request-Id (so frontend and backend logs line up) when it
+// looks safe to log, otherwise start a new one
+function getRequestId(req) {
+  const incoming = req.headers['x-request-id'];
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+}
+
+// Work out which country to price for: the validated user_country when the
+// client sent one, otherwise the country Vercel geolocated the request to.
+// Returns { country, source } - source is 'user', 'geo' or 'default' (country null).
+export function resolveCountry(req, userCountry) {
+  if (userCountry) {
+    return { country: userCountry, source: 'user' };
+  }
+
+  const geoCountry = String(req.headers['x-vercel-ip-country'] || '').trim().toUpperCase();
+  if (COUNTRY_PATTERN.test(geoCountry)) {
+    return { country: geoCountry, source: 'geo' };
+  }
+
+  return { country: null, source: 'default' };
+}
+
+// Wrap a route handler:
+//   export default withApi(handler, { methods: ['POST'] });
+// Options:
+//   methods        HTTP methods the route accepts (OPTIONS is always answered)
+//   requireConfig  refuse to run while the config has errors (default true)
+// Every response carries an X-Request-Id header matching the request_id in the logs.
+export function withApi(handler, options = {}) {
+  const methods = options.methods || ['GET'];
+  const requireConfig = options.requireConfig !== false;
+
+  return async function apiHandler(req, res) {
+    const requestId = getRequestId(req);
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    const route = (req.url || '').split('?')[0] || undefined;
+    return runWithLogContext({ request_id: requestId, route: route }, () => handle(req, res));
+  };
+
+  async function handle(req, res) {
+    const config = getConfig();
+
+    // CORS: echo the origin only when it is on the allowlist. Requests without
+    // an Origin header (curl, Stripe webhooks) are not subject to CORS at all.
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (origin && config.allowedOrigins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+      res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+      res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+      res.setHeader('Access-Control-Max-Age', '86400');
+    }
+
+    // Handle preflight OPTIONS request
+    if (req.method === 'OPTIONS') {
+      return res.status(204).end();
+    }
+
+    logger.info('Request received', { method: req.method });
+
+    if (!methods.includes(req.method)) {
+      logger.warn('Method not allowed', { method: req.method });
+      res.setHeader('Allow', [...methods, 'OPTIONS'].join(', '));
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (requireConfig && config.errors.length > 0) {
+      logger.error('Refusing request - server configuration is invalid');
+      return res.status(500).json({
+        success: false,
+        error: 'Server is not configured correctly',
+        type: 'config_error'
+      });
+    }
+
+    return handler(req, res);
+  }
+}
\ No newline at end of file
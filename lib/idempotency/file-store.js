@@ -0,0 +1,58 @@
+// /lib/idempotency/file-store.js
+// JSON file idempotency store - for `vercel dev` alongside the file entitlement store
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function createFileStore(filePath, ttlMs) {
+  async function load() {
+    try {
+      const entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      // Drop expired entries on every read so the file does not grow forever
+      return Object.fromEntries(
+        Object.entries(entries).filter(([, entry]) => Date.now() - entry.created_at <= ttlMs)
+      );
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function save(entries) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(entries, null, 2));
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      const entries = await load();
+      return entries[key] ? entries[key].value : null;
+    },
+
+    async set(key, value) {
+      const entries = await load();
+      entries[key] = { value: value, created_at: Date.now() };
+      await save(entries);
+    },
+
+    async claim(key) {
+      const entries = await load();
+      if (entries[key]) {
+        return false;
+      }
+      entries[key] = { value: null, created_at: Date.now() };
+      await save(entries);
+      return true;
+    },
+
+    async release(key) {
+      const entries = await load();
+      delete entries[key];
+      await save(entries);
+    }
+  };
+}
\ No newline at end of file
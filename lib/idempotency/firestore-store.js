@@ -0,0 +1,61 @@
+// /lib/idempotency/firestore-store.js
+// Firestore idempotency store - the production adapter.
+// claim() uses create(), which fails if the document exists, so concurrent
+// deliveries of the same key cannot both win.
+
+import { getFirestore } from '../firebase.js';
+
+// gRPC status Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+export function createFirestoreStore(collectionName, ttlMs) {
+  async function doc(key) {
+    const db = await getFirestore();
+    return db.collection(collectionName).doc(key);
+  }
+
+  async function read(key) {
+    const snapshot = await (await doc(key)).get();
+    if (!snapshot.exists) {
+      return null;
+    }
+    const entry = snapshot.data();
+    return Date.now() - entry.created_at > ttlMs ? null : entry;
+  }
+
+  return {
+    name: 'firestore',
+
+    async get(key) {
+      const entry = await read(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value) {
+      await (await doc(key)).set({ value: value, created_at: Date.now() });
+    },
+
+    async claim(key) {
+      const ref = await doc(key);
+      try {
+        await ref.create({ value: null, created_at: Date.now() });
+        return true;
+      } catch (error) {
+        if (error.code !== ALREADY_EXISTS) {
+          throw error;
+        }
+      }
+
+      // An expired claim may be taken over
+      if (await read(key)) {
+        return false;
+      }
+      await ref.set({ value: null, created_at: Date.now() });
+      return true;
+    },
+
+    async release(key) {
+      await (await doc(key)).delete();
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,119 @@
+// /lib/idempotency/index.js
+// Idempotency store - remembers which requests and webhook events were already handled.
+//
+// Every adapter exposes the same async interface, one store per namespace:
+//   get(key)         -> stored value or null
+//   set(key, value)  -> remembers value for key
+//   claim(key)       -> true the first time a key is claimed, false afterwards
+//   release(key)     -> forgets key so it can be claimed again
+//
+// Entries expire after the namespace's TTL. The backend follows ENTITLEMENT_STORE.
+
+import crypto from 'crypto';
+import { getStoreType } from '../entitlements/index.js';
+import { logger } from '../logger.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createFirestoreStore } from './firestore-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const NAMESPACES = {
+  // Stripe keeps idempotency keys for 24 hours, so replays are cached as long
+  payments: { collection: 'idempotency_payments', ttlMs: DAY_MS },
+  // Stripe retries a webhook delivery for up to 3 days
+  webhook_events: { collection: 'processed_webhook_events', ttlMs: 30 * DAY_MS },
+  // One email per payment/invoice even when several events describe it
+  notifications: { collection: 'sent_notifications', ttlMs: 30 * DAY_MS },
+  // Who already had their free trial - kept long enough to mean "once"
+  trials: { collection: 'trial_grants', ttlMs: 5 * 365 * DAY_MS }
+};
+
+const stores = {};
+
+function createStore(namespace) {
+  const { collection, ttlMs } = NAMESPACES[namespace];
+  const type = getStoreType();
+
+  switch (type) {
+    case 'firestore':
+      return createFirestoreStore(collection, ttlMs);
+    case 'file':
+      return createFileStore(`.data/${collection}.json`, ttlMs);
+    case 'memory':
+      return createMemoryStore(ttlMs);
+    default:
+      throw new Error(`Unknown ENTITLEMENT_STORE: ${type}`);
+  }
+}
+
+export function getIdempotencyStore(namespace) {
+  if (!NAMESPACES[namespace]) {
+    throw new Error(`Unknown idempotency namespace: ${namespace}`);
+  }
+  if (!stores[namespace]) {
+    stores[namespace] = createStore(namespace);
+  }
+  return stores[namespace];
+}
+
+// Swap a namespace's store, e.g. for a memory store in tests
+export function setIdempotencyStore(namespace, store) {
+  stores[namespace] = store;
+}
+
+// Helper for routes that accept an Idempotency-Key header, scoped to the caller.
+// Sends the response itself and returns null when the request is a replay or the
+// key is invalid. Otherwise returns { key, respond } - key is null without a header,
+// and respond(status, body) sends the response and caches it for later replays.
+export async function beginIdempotentRequest(req, res, scope) {
+  const header = req.headers['idempotency-key'];
+  if (header !== undefined && (typeof header !== 'string' || header.length === 0 || header.length > 255)) {
+    res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key must be 1-255 characters'
+    });
+    return null;
+  }
+
+  const key = header ? hashKey(scope, header) : null;
+  const requestHash = hashKey(JSON.stringify(req.body || {}));
+  const cache = getIdempotencyStore('payments');
+
+  if (key) {
+    const cached = await cache.get(key);
+
+    if (cached && cached.request_hash !== requestHash) {
+      logger.warn('Idempotency-Key reused with a different request');
+      res.status(409).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request'
+      });
+      return null;
+    }
+
+    if (cached) {
+      logger.info('Replaying cached response for Idempotency-Key');
+      res.setHeader('Idempotent-Replayed', 'true');
+      res.status(cached.status).json(cached.body);
+      return null;
+    }
+  }
+
+  return {
+    key: key,
+    async respond(status, body) {
+      if (key) {
+        await cache.set(key, { status: status, body: body, request_hash: requestHash });
+      }
+      return res.status(status).json(body);
+    }
+  };
+}
+
+// Helper function to turn caller-supplied parts into a safe, fixed-length key
+export function hashKey(...parts) {
+  return crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+}
+
+export { createMemoryStore, createFileStore, createFirestoreStore };
\ No newline at end of file
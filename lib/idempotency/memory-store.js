@@ -0,0 +1,41 @@
+// /lib/idempotency/memory-store.js
+// In-memory idempotency store - for tests and local development only.
+// Each serverless instance has its own memory, so this does not dedupe across instances.
+
+export function createMemoryStore(ttlMs) {
+  const entries = new Map();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.created_at > ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value) {
+      entries.set(key, { value: value, created_at: Date.now() });
+    },
+
+    async claim(key) {
+      if (live(key)) {
+        return false;
+      }
+      entries.set(key, { value: null, created_at: Date.now() });
+      return true;
+    },
+
+    async release(key) {
+      entries.delete(key);
+    }
+  };
+}
\ No newline at end of file
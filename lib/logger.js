@@ -0,0 +1,133 @@
+// /lib/logger.js
+// Structured JSON logger. One line per entry so `npm run logs` can be filtered:
+//   {"level":"info","time":"...","msg":"Payment intent created","request_id":"...","route":"/api/...","payment_intent_id":"pi_..."}
+// withApi() runs every request inside a context holding its request_id, so any
+// logger call made while handling it - in routes or in lib/ - carries the ID.
+// Emails, names, client secrets and portal/checkout URLs are redacted before writing.
+// LOG_LEVEL: debug | info | warn | error (default info).
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Fields that always hold personal data or secrets, whatever their value looks like
+const SENSITIVE_KEYS = new Set([
+  'email',
+  'customer_email',
+  'receipt_email',
+  'name',
+  'customer_name',
+  'phone',
+  'address',
+  'shipping',
+  'billing_details',
+  'client_secret',
+  'url',
+  'authorization',
+  'stripe-signature'
+]);
+
+// Patterns scrubbed from any string, e.g. inside error messages
+const EMAIL_PATTERN = /[^\s@"'<>]+@[^\s@"'<>]+\.[A-Za-z]{2,}/g;
+const CLIENT_SECRET_PATTERN = /\b(pi|seti|cs)_[A-Za-z0-9]+_secret_[A-Za-z0-9]+/g;
+const STRIPE_SESSION_URL_PATTERN = /https:\/\/(billing|checkout)\.stripe\.com\/\S+/g;
+
+const context = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+function redactString(value) {
+  return value
+    .replace(EMAIL_PATTERN, REDACTED)
+    .replace(CLIENT_SECRET_PATTERN, REDACTED)
+    .replace(STRIPE_SESSION_URL_PATTERN, REDACTED);
+}
+
+// Deep-copy a value with sensitive fields and patterns removed
+export function redact(value, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 8) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(String(value.message)),
+      type: value.type,
+      code: value.code,
+      stack: minimumLevel() <= LEVELS.debug && value.stack ? redactString(value.stack) : undefined
+    };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEYS.has(key.toLowerCase()) && item !== null && item !== undefined
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  // An Error passed as the fields argument is logged under "error"
+  const extra = fields instanceof Error ? { error: fields } : fields;
+
+  const entry = {
+    level: level,
+    time: new Date().toISOString(),
+    msg: msg,
+    ...context.getStore(),
+    ...redact(bindings),
+    ...redact(extra)
+  };
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// createLogger({ component: 'webhook' }) - bindings are added to every entry
+export function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: childBindings => createLogger({ ...bindings, ...childBindings })
+  };
+}
+
+export const logger = createLogger();
+
+// Run fn with fields (request_id, route) attached to every entry logged inside it
+export function runWithLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+export function getLogContext() {
+  return context.getStore() || {};
+}
\ No newline at end of file
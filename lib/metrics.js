@@ -0,0 +1,242 @@
+// /lib/metrics.js
+// Revenue and subscriber metrics for /api/admin/metrics, built by paging
+// through Stripe. Only objects tagged app_source: 'IELTS_Practice' are counted
+// (subscription invoice payments carry the tag on their subscription).
+//
+// Amounts are minor units and never summed across currencies - every revenue
+// row is per currency.
+
+import { logger } from './logger.js';
+
+export const APP_SOURCE = 'IELTS_Practice';
+
+// Stop paging after this many objects per list so a report fits in the
+// function's time limit; the report is then flagged as truncated
+export const MAX_OBJECTS = 10000;
+
+// Subscription statuses that count as a paying (or trialing) subscriber
+const SUBSCRIBED_STATUSES = ['active', 'trialing', 'past_due'];
+// First payment never went through
+const NEVER_STARTED_STATUSES = ['incomplete', 'incomplete_expired'];
+
+// Build the report for payments created / subscribers active between from and to (Dates)
+export async function collectMetrics(stripe, { from, to }) {
+  const range = {
+    gte: Math.floor(from.getTime() / 1000),
+    lte: Math.floor(to.getTime() / 1000)
+  };
+
+  const payments = await listAll(stripe.paymentIntents, {
+    created: range,
+    expand: ['data.latest_charge', 'data.customer', 'data.invoice']
+  });
+  // A subscription whose last period ended before the range cannot have been
+  // active in it - Stripe filters those out instead of listing every one ever made
+  const subscriptions = await listAll(stripe.subscriptions, {
+    status: 'all',
+    created: { lte: range.lte },
+    current_period_end: { gte: range.gte }
+  });
+
+  const paymentIntents = payments.data.filter(paymentIntent => paymentMetadata(paymentIntent).app_source === APP_SOURCE);
+  const ourSubscriptions = subscriptions.data.filter(subscription => subscription.metadata?.app_source === APP_SOURCE);
+
+  logger.info('Metrics collected', {
+    payment_intents: paymentIntents.length,
+    subscriptions: ourSubscriptions.length,
+    truncated: payments.truncated || subscriptions.truncated
+  });
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString() },
+    truncated: payments.truncated || subscriptions.truncated,
+    revenue: summarizeRevenue(paymentIntents),
+    customers: summarizeCustomers(paymentIntents, range.gte),
+    failures: summarizeFailures(paymentIntents),
+    subscribers: summarizeSubscribers(ourSubscriptions, range)
+  };
+}
+
+// Flatten a report into CSV rows: section,dimension,currency,metric,value
+export function metricsToCsv(report) {
+  const rows = [['section', 'dimension', 'currency', 'metric', 'value']];
+
+  for (const [section, groups] of Object.entries(report.revenue)) {
+    for (const group of groups) {
+      for (const metric of ['payments', 'gross', 'refunded', 'net']) {
+        rows.push([`revenue_${section}`, group.key, group.currency, metric, group[metric]]);
+      }
+    }
+  }
+
+  for (const metric of ['total', 'new', 'returning']) {
+    rows.push(['customers', 'all', '', metric, report.customers[metric]]);
+  }
+
+  rows.push(['failures', 'all', '', 'attempts', report.failures.attempts]);
+  rows.push(['failures', 'all', '', 'failed', report.failures.failed]);
+  rows.push(['failures', 'all', '', 'failure_rate', report.failures.failure_rate]);
+  for (const group of report.failures.by_decline_code) {
+    rows.push(['failures', group.decline_code, '', 'count', group.count]);
+    rows.push(['failures', group.decline_code, '', 'rate', group.rate]);
+  }
+
+  for (const metric of ['active_at_start', 'active_at_end', 'started', 'ended']) {
+    rows.push(['subscribers', 'all', '', metric, report.subscribers[metric]]);
+  }
+  for (const [planType, count] of Object.entries(report.subscribers.by_plan)) {
+    rows.push(['subscribers', planType, '', 'active_at_end', count]);
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Helper function to read a payment's tags - subscription invoice payments
+// have none of their own, so the subscription's metadata is used
+function paymentMetadata(paymentIntent) {
+  if (paymentIntent.metadata?.app_source) {
+    return paymentIntent.metadata;
+  }
+  return paymentIntent.invoice?.subscription_details?.metadata || paymentIntent.metadata || {};
+}
+
+function summarizeRevenue(paymentIntents) {
+  const byPlan = new Map();
+  const byCountry = new Map();
+  const byCurrency = new Map();
+
+  for (const paymentIntent of paymentIntents) {
+    if (paymentIntent.status !== 'succeeded') {
+      continue;
+    }
+    const metadata = paymentMetadata(paymentIntent);
+    const currency = paymentIntent.currency;
+    const gross = paymentIntent.amount_received ?? paymentIntent.amount;
+    const refunded = paymentIntent.latest_charge?.amount_refunded || 0;
+
+    for (const [groups, key] of [
+      [byPlan, metadata.plan_type || 'unknown'],
+      [byCountry, metadata.user_country || 'Unknown'],
+      [byCurrency, currency]
+    ]) {
+      const groupKey = `${key}:${currency}`;
+      const group = groups.get(groupKey) || { key: key, currency: currency, payments: 0, gross: 0, refunded: 0, net: 0 };
+      group.payments += 1;
+      group.gross += gross;
+      group.refunded += refunded;
+      group.net += gross - refunded;
+      groups.set(groupKey, group);
+    }
+  }
+
+  const sorted = groups => [...groups.values()].sort((a, b) => b.net - a.net || a.key.localeCompare(b.key));
+  return {
+    by_plan: sorted(byPlan),
+    by_country: sorted(byCountry),
+    by_currency: sorted(byCurrency)
+  };
+}
+
+// A customer is new when their Stripe customer was created inside the range
+// (customers are created at their first checkout), otherwise returning
+function summarizeCustomers(paymentIntents, rangeStart) {
+  const customers = new Map();
+
+  for (const paymentIntent of paymentIntents) {
+    const customer = paymentIntent.customer;
+    if (paymentIntent.status !== 'succeeded' || !customer) {
+      continue;
+    }
+    const id = typeof customer === 'string' ? customer : customer.id;
+    customers.set(id, typeof customer === 'object' && customer.created >= rangeStart);
+  }
+
+  const newCustomers = [...customers.values()].filter(Boolean).length;
+  return {
+    total: customers.size,
+    new: newCustomers,
+    returning: customers.size - newCustomers
+  };
+}
+
+// Attempts are payments that succeeded or were declined; payments that were
+// created but never confirmed are left out
+function summarizeFailures(paymentIntents) {
+  const byCode = new Map();
+  let attempts = 0;
+  let failed = 0;
+
+  for (const paymentIntent of paymentIntents) {
+    if (paymentIntent.status === 'succeeded') {
+      attempts += 1;
+    } else if (paymentIntent.last_payment_error) {
+      attempts += 1;
+      failed += 1;
+      const error = paymentIntent.last_payment_error;
+      const code = error.decline_code || error.code || 'unknown';
+      byCode.set(code, (byCode.get(code) || 0) + 1);
+    }
+  }
+
+  return {
+    attempts: attempts,
+    failed: failed,
+    failure_rate: rate(failed, attempts),
+    by_decline_code: [...byCode.entries()]
+      .map(([code, count]) => ({ decline_code: code, count: count, rate: rate(count, attempts) }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+function summarizeSubscribers(subscriptions, range) {
+  // Ended subscriptions count until ended_at; current ones by their status
+  const activeAt = (subscription, time) =>
+    !NEVER_STARTED_STATUSES.includes(subscription.status) &&
+    subscription.start_date <= time &&
+    (subscription.ended_at ? subscription.ended_at > time : SUBSCRIBED_STATUSES.includes(subscription.status));
+
+  const activeAtEnd = subscriptions.filter(subscription => activeAt(subscription, range.lte));
+  const byPlan = {};
+  for (const subscription of activeAtEnd) {
+    const planType = subscription.metadata?.plan_type || 'unknown';
+    byPlan[planType] = (byPlan[planType] || 0) + 1;
+  }
+
+  return {
+    active_at_start: subscriptions.filter(subscription => activeAt(subscription, range.gte)).length,
+    active_at_end: activeAtEnd.length,
+    started: subscriptions.filter(subscription => subscription.start_date >= range.gte && subscription.start_date <= range.lte).length,
+    ended: subscriptions.filter(subscription => subscription.ended_at >= range.gte && subscription.ended_at <= range.lte).length,
+    by_plan: byPlan
+  };
+}
+
+// Page through a Stripe list endpoint, up to MAX_OBJECTS objects
+async function listAll(resource, params) {
+  const data = [];
+  let startingAfter;
+  let hasMore;
+
+  do {
+    const page = await resource.list({ ...params, limit: 100, starting_after: startingAfter });
+    data.push(...page.data);
+    hasMore = page.has_more && page.data.length > 0;
+    startingAfter = page.data[page.data.length - 1]?.id;
+  } while (hasMore && data.length < MAX_OBJECTS);
+
+  return { data: data, truncated: hasMore };
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 10000) / 10000 : 0;
+}
+
+// Text from Stripe metadata could start a spreadsheet formula - such cells are
+// prefixed with ' so Excel and Sheets show them as text
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
\ No newline at end of file
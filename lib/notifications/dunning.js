@@ -0,0 +1,27 @@
+// /lib/notifications/dunning.js
+// Dunning schedule for failed subscription renewals. Stripe decides when to retry
+// the charge (Smart Retries); invoice.attempt_count tells us which notice to send.
+
+export const DUNNING_SCHEDULE = [
+  { attempt: 1, stage: 'first_notice' },
+  { attempt: 2, stage: 'reminder' },
+  { attempt: 3, stage: 'final_notice' }
+];
+
+// Work out the notice for a failed invoice. Once Stripe has no retry left
+// (next_payment_attempt is null) the final notice is sent whatever the count.
+export function getDunningStep(invoice) {
+  const attempt = invoice.attempt_count || 1;
+  const lastStep = DUNNING_SCHEDULE[DUNNING_SCHEDULE.length - 1];
+  const final = !invoice.next_payment_attempt || attempt >= lastStep.attempt;
+  const step = final ? lastStep : DUNNING_SCHEDULE.find(entry => entry.attempt === attempt) || DUNNING_SCHEDULE[1];
+
+  return {
+    attempt: attempt,
+    stage: step.stage,
+    final: final,
+    next_attempt_date: invoice.next_payment_attempt
+      ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+      : null
+  };
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+// /lib/notifications/index.js
+// Student email notifications - receipts, failed payments (dunning), renewal
+// reminders and expired access. Triggered from the webhook handlers.
+//
+// Every transport exposes the same async interface:
+//   send({ to, from, subject, text, html, template }) -> { id }
+//
+// The transport is chosen with NOTIFICATION_TRANSPORT:
+//   log     (default) record that an email would be sent, send nothing
+//   outbox  write each email as JSON to NOTIFICATION_OUTBOX_DIR (local testing)
+//   smtp    send through SMTP_URL with nodemailer
+//   resend  send through the Resend API with RESEND_API_KEY
+
+import { getConfig } from '../config.js';
+import { logger } from '../logger.js';
+import { getIdempotencyStore } from '../idempotency/index.js';
+import { renderTemplate } from './templates.js';
+import { createLogTransport } from './log-transport.js';
+import { createMemoryTransport } from './memory-transport.js';
+import { createOutboxTransport } from './outbox-transport.js';
+import { createSmtpTransport } from './smtp-transport.js';
+import { createResendTransport } from './resend-transport.js';
+
+let transport;
+
+function createTransport() {
+  const config = getConfig();
+
+  switch (config.notificationTransport) {
+    case 'outbox':
+      return createOutboxTransport(config.notificationOutboxDir);
+    case 'smtp':
+      return createSmtpTransport(config.smtpUrl);
+    case 'resend':
+      return createResendTransport(config.resendApiKey);
+    case 'log':
+      return createLogTransport();
+    default:
+      throw new Error(`Unknown NOTIFICATION_TRANSPORT: ${config.notificationTransport}`);
+  }
+}
+
+export function getNotificationTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+// Swap the transport, e.g. for a memory transport in tests
+export function setNotificationTransport(newTransport) {
+  transport = newTransport;
+}
+
+// Render a template and send it to one student. Returns the transport result,
+// or null when there is no address or the email was already sent.
+// Options:
+//   dedupeKey  send at most once per key, e.g. `receipt:${invoice.id}`
+export async function sendNotification(template, to, data = {}, options = {}) {
+  if (!to) {
+    logger.warn('No email address - notification skipped', { template: template });
+    return null;
+  }
+
+  const sentNotifications = getIdempotencyStore('notifications');
+  if (options.dedupeKey && !(await sentNotifications.claim(options.dedupeKey))) {
+    logger.info('Notification already sent', { template: template, dedupe_key: options.dedupeKey });
+    return null;
+  }
+
+  const message = {
+    to: to,
+    from: getConfig().notificationFrom,
+    template: template,
+    ...renderTemplate(template, data)
+  };
+
+  const activeTransport = getNotificationTransport();
+  let result;
+  try {
+    result = await activeTransport.send(message);
+  } catch (error) {
+    // The webhook event fails with this error - free the key so its retry sends the email
+    if (options.dedupeKey) {
+      await sentNotifications.release(options.dedupeKey);
+    }
+    throw error;
+  }
+  logger.info('Notification sent', {
+    template: template,
+    transport: activeTransport.name,
+    message_id: result?.id
+  });
+  return result;
+}
+
+export { getDunningStep, DUNNING_SCHEDULE } from './dunning.js';
+export { createLogTransport, createMemoryTransport, createOutboxTransport, createSmtpTransport, createResendTransport };
\ No newline at end of file
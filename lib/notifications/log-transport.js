@@ -0,0 +1,18 @@
+// /lib/notifications/log-transport.js
+// Default transport - sends nothing, just records which email would have gone out
+
+import { logger } from '../logger.js';
+
+export function createLogTransport() {
+  return {
+    name: 'log',
+
+    async send(message) {
+      logger.info('Email not sent (NOTIFICATION_TRANSPORT=log)', {
+        template: message.template,
+        subject: message.subject
+      });
+      return { id: null };
+    }
+  };
+}
\ No newline at end of file
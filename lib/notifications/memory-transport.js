@@ -0,0 +1,16 @@
+// /lib/notifications/memory-transport.js
+// Keeps sent messages in an array - for tests
+
+export function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent: sent,
+
+    async send(message) {
+      sent.push(message);
+      return { id: `memory_${sent.length}` };
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,20 @@
+// /lib/notifications/outbox-transport.js
+// Writes each email to a JSON file in a local outbox folder instead of sending it.
+// Handy with `vercel dev` to check what students would receive.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export function createOutboxTransport(directory) {
+  return {
+    name: 'outbox',
+
+    async send(message) {
+      const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.template}-${crypto.randomBytes(3).toString('hex')}`;
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, `${id}.json`), JSON.stringify(message, null, 2));
+      return { id: id };
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,34 @@
+// /lib/notifications/resend-transport.js
+// Email provider API transport (Resend - https://resend.com/docs/api-reference/emails/send-email)
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+export function createResendTransport(apiKey) {
+  return {
+    name: 'resend',
+
+    async send(message) {
+      const response = await fetch(RESEND_API_URL, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          from: message.from,
+          to: [message.to],
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          tags: [{ name: 'template', value: message.template }]
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Resend API error ${response.status}: ${body.message || 'unknown error'}`);
+      }
+      return { id: body.id };
+    }
+  };
+}
\ No newline at end of file
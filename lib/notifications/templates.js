@@ -0,0 +1,105 @@
+// /lib/notifications/templates.js
+// Email templates. Each one maps template data onto { subject, text, html }.
+//
+// Data used by the templates (all optional unless noted):
+//   customer_name, plan_type, amount (minor units), currency, end_date,
+//   renewal_date, next_attempt_date, stage + final (payment_failed, see dunning.js)
+
+import { getConfig } from '../config.js';
+import { PLANS, formatPrice } from '../plans.js';
+
+// Placeholder the payment routes store when the student gave no name
+const PLACEHOLDER_NAME = 'IELTS Student';
+
+export const TEMPLATES = {
+  receipt: data => ({
+    subject: `Receipt for your ${planName(data)}`,
+    lines: [
+      `Thanks for your payment of ${formatAmount(data.amount, data.currency)} for the ${planName(data)}.`,
+      data.end_date ? `Your premium access is active until ${formatDate(data.end_date)}.` : null,
+      'Good luck with your IELTS preparation!'
+    ]
+  }),
+
+  payment_failed: data => ({
+    subject: {
+      first_notice: 'Your IELTS Practice payment did not go through',
+      reminder: 'Reminder: please update your payment method',
+      final_notice: 'Final notice: your premium access is about to end'
+    }[data.stage] || 'Your IELTS Practice payment did not go through',
+    lines: [
+      `We could not take your payment of ${formatAmount(data.amount, data.currency)} for the ${planName(data)}.`,
+      data.next_attempt_date && !data.final
+        ? `We will try again on ${formatDate(data.next_attempt_date)}. Updating your card before then keeps your access uninterrupted.`
+        : null,
+      data.final
+        ? 'This was our last attempt. Please update your payment method to keep your premium access.'
+        : null,
+      data.stage ? null : 'Please check your card details and try again.',
+      `Manage your billing: ${appUrl()}`
+    ]
+  }),
+
+  renewal_upcoming: data => ({
+    subject: `Your ${planName(data)} renews soon`,
+    lines: [
+      `Your ${planName(data)} renews${data.renewal_date ? ` on ${formatDate(data.renewal_date)}` : ' soon'} for ${formatAmount(data.amount, data.currency)}.`,
+      'No action is needed to keep studying. To change or cancel your plan, visit your billing page.',
+      `Manage your billing: ${appUrl()}`
+    ]
+  }),
+
+  access_expired: data => ({
+    subject: 'Your IELTS Practice premium access has ended',
+    lines: [
+      `Your ${planName(data)} ended${data.end_date ? ` on ${formatDate(data.end_date)}` : ''}.`,
+      'Your practice history is saved - pick a plan any time to continue where you left off.',
+      `Choose a plan: ${appUrl()}`
+    ]
+  })
+};
+
+export function renderTemplate(template, data = {}) {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown notification template: ${template}`);
+  }
+
+  const { subject, lines } = build(data);
+  const name = data.customer_name && data.customer_name !== PLACEHOLDER_NAME ? data.customer_name : 'there';
+  const body = [`Hi ${name},`, ...lines.filter(Boolean)];
+
+  return {
+    subject: subject,
+    text: [...body, '- The IELTS Practice team'].join('\n\n'),
+    html: [...body.map(line => `<p>${escapeHtml(line)}</p>`), '<p>- The IELTS Practice team</p>'].join('\n')
+  };
+}
+
+// Helper functions for formatting template values
+function planName(data) {
+  return PLANS[data.plan_type]?.name || 'IELTS Practice plan';
+}
+
+function formatAmount(amount, currency) {
+  if (amount === undefined || amount === null || !currency) {
+    return 'your plan price';
+  }
+  return formatPrice(amount, currency);
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function appUrl() {
+  return getConfig().defaultReturnUrl;
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
\ No newline at end of file
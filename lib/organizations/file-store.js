@@ -0,0 +1,73 @@
+// /lib/organizations/file-store.js
+// JSON file organization store - handy with `vercel dev` so records survive restarts.
+// Not for production: Vercel's filesystem is read-only outside /tmp and not shared.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function createFileStore(filePath) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function save(records) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(records, null, 2));
+  }
+
+  async function find(matches) {
+    const records = await load();
+    return Object.values(records).find(matches) || null;
+  }
+
+  return {
+    name: 'file',
+
+    async get(organizationId) {
+      const records = await load();
+      return records[organizationId] || null;
+    },
+
+    async findBySeatEmail(email) {
+      const wanted = String(email).toLowerCase();
+      return find(record => (record.seat_emails || []).includes(wanted));
+    },
+
+    async findByInviteCode(code) {
+      return find(record => record.invite_code === code);
+    },
+
+    async findByPaymentIntent(paymentIntentId) {
+      return find(record => record.payment_intent_id === paymentIntentId);
+    },
+
+    async put(organizationId, fields) {
+      const records = await load();
+      records[organizationId] = { ...records[organizationId], ...fields, organization_id: organizationId };
+      await save(records);
+      return records[organizationId];
+    },
+
+    // Not safe against concurrent requests - fine for one developer's `vercel dev`
+    async updateSeats(organizationId, change) {
+      const records = await load();
+      if (!records[organizationId]) {
+        return null;
+      }
+      records[organizationId] = {
+        ...records[organizationId],
+        seat_emails: change(records[organizationId]),
+        updated_at: new Date().toISOString()
+      };
+      await save(records);
+      return records[organizationId];
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+// /lib/organizations/firestore-store.js
+// Firestore organization store - the production adapter.
+// One document per organization in the configured collection.
+
+import { getFirestore } from '../firebase.js';
+
+export function createFirestoreStore(collectionName) {
+  async function collection() {
+    const db = await getFirestore();
+    return db.collection(collectionName);
+  }
+
+  async function findOne(field, operator, value) {
+    const snapshot = await (await collection())
+      .where(field, operator, value)
+      .limit(1)
+      .get();
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  return {
+    name: 'firestore',
+
+    async get(organizationId) {
+      const snapshot = await (await collection()).doc(organizationId).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+
+    async findBySeatEmail(email) {
+      return findOne('seat_emails', 'array-contains', String(email).toLowerCase());
+    },
+
+    async findByInviteCode(code) {
+      return findOne('invite_code', '==', code);
+    },
+
+    async findByPaymentIntent(paymentIntentId) {
+      return findOne('payment_intent_id', '==', paymentIntentId);
+    },
+
+    async put(organizationId, fields) {
+      const ref = (await collection()).doc(organizationId);
+      await ref.set({ ...fields, organization_id: organizationId }, { merge: true });
+      return (await ref.get()).data();
+    },
+
+    // Runs in a transaction, so two students taking the last seat at once cannot
+    // both get it. Firestore may call change() again if the record moved meanwhile.
+    async updateSeats(organizationId, change) {
+      const db = await getFirestore();
+      const ref = db.collection(collectionName).doc(organizationId);
+      return db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        if (!snapshot.exists) {
+          return null;
+        }
+        const record = snapshot.data();
+        const fields = { seat_emails: change(record), updated_at: new Date().toISOString() };
+        transaction.set(ref, fields, { merge: true });
+        return { ...record, ...fields };
+      });
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+// /lib/organizations/index.js
+// Organization store - coaching centres that bought seats for their students.
+//
+// Every adapter exposes the same async interface, keyed by organization ID:
+//   get(organizationId)                   -> organization or null
+//   findBySeatEmail(email)                -> organization holding a seat for email, or null
+//   findByInviteCode(code)                -> organization or null
+//   findByPaymentIntent(paymentIntentId)  -> organization the payment bought, or null
+//   put(organizationId, fields)           -> merges fields into the record and returns it
+//   updateSeats(organizationId, change)   -> atomically replaces seat_emails with
+//                                            change(record), which may throw; returns
+//                                            the record, or null when there is none
+//
+// An organization record looks like:
+//   {
+//     organization_id, name,
+//     owner_uid, owner_email,          // the payer - manages seats
+//     customer_id,                     // the payer's Stripe customer
+//     plan_type, seats, status,        // status 'pending' until the payment succeeds
+//     start_date, end_date,            // ISO strings - every seat holder's access period
+//     cancel_at_period_end,
+//     payment_intent_id, subscription_id, invoice_id,
+//     payment_gateway, gateway_payment_id,
+//     currency, amount,
+//     invite_code,                     // students join with it while seats are free
+//     seat_emails,                     // seat holders, oldest first
+//     created_at, updated_at
+//   }
+//
+// Seat holders get no entitlement record of their own - /api/subscription reads
+// their access from the organization, so it always follows the organization's period.
+//
+// The adapter follows ENTITLEMENT_STORE=firestore|file|memory.
+
+import crypto from 'crypto';
+import { logger } from '../logger.js';
+import { getStoreType, isEntitlementActive } from '../entitlements/index.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createFirestoreStore } from './firestore-store.js';
+
+let store;
+
+function createStore() {
+  const type = getStoreType();
+
+  switch (type) {
+    case 'firestore':
+      return createFirestoreStore(process.env.ORGANIZATION_COLLECTION || 'organizations');
+    case 'file':
+      return createFileStore(process.env.ORGANIZATION_STORE_FILE || '.data/organizations.json');
+    case 'memory':
+      logger.warn('Using in-memory organization store - records will not persist');
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown ENTITLEMENT_STORE: ${type}`);
+  }
+}
+
+export function getOrganizationStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Swap the store, e.g. for a memory store in tests
+export function setOrganizationStore(newStore) {
+  store = newStore;
+}
+
+// A purchase retried with the same Idempotency-Key gets the same ID, so the
+// retried Stripe calls carry the same metadata and no second record is made
+export function createOrganizationId(idempotencyKey) {
+  const id = idempotencyKey
+    ? crypto.createHash('sha256').update(`organization:${idempotencyKey}`).digest('hex').slice(0, 16)
+    : crypto.randomBytes(8).toString('hex');
+  return `org_${id}`;
+}
+
+// Short enough to read out in a classroom, long enough not to be guessed
+export function createInviteCode() {
+  return crypto.randomBytes(6).toString('base64url').replace(/[-_]/g, 'X').toUpperCase();
+}
+
+// Seats grant access on the same terms as a student's own entitlement
+export function isOrganizationActive(organization, now = new Date()) {
+  return isEntitlementActive(organization, now);
+}
+
+export { createMemoryStore, createFileStore, createFirestoreStore };
\ No newline at end of file
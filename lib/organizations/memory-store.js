@@ -0,0 +1,55 @@
+// /lib/organizations/memory-store.js
+// In-memory organization store - for tests and local development only.
+// Data is lost whenever the serverless function instance is recycled.
+
+export function createMemoryStore() {
+  const records = new Map();
+
+  function find(matches) {
+    for (const record of records.values()) {
+      if (matches(record)) {
+        return { ...record, seat_emails: [...(record.seat_emails || [])] };
+      }
+    }
+    return null;
+  }
+
+  return {
+    name: 'memory',
+
+    async get(organizationId) {
+      return find(record => record.organization_id === organizationId);
+    },
+
+    async findBySeatEmail(email) {
+      const wanted = String(email).toLowerCase();
+      return find(record => (record.seat_emails || []).includes(wanted));
+    },
+
+    async findByInviteCode(code) {
+      return find(record => record.invite_code === code);
+    },
+
+    async findByPaymentIntent(paymentIntentId) {
+      return find(record => record.payment_intent_id === paymentIntentId);
+    },
+
+    async put(organizationId, fields) {
+      const record = { ...records.get(organizationId), ...fields, organization_id: organizationId };
+      records.set(organizationId, record);
+      return { ...record, seat_emails: [...(record.seat_emails || [])] };
+    },
+
+    // Read, change and write with no await in between - atomic within the process
+    async updateSeats(organizationId, change) {
+      const existing = records.get(organizationId);
+      if (!existing) {
+        return null;
+      }
+      const seatEmails = change({ ...existing, seat_emails: [...(existing.seat_emails || [])] });
+      const record = { ...existing, seat_emails: seatEmails, updated_at: new Date().toISOString() };
+      records.set(organizationId, record);
+      return { ...record, seat_emails: [...seatEmails] };
+    }
+  };
+}
\ No newline at end of file
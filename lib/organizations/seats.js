@@ -0,0 +1,139 @@
+// /lib/organizations/seats.js
+// Seat assignment for organization licences. A student email holds at most one
+// seat at a time, and an organization never has more seat holders than seats.
+
+import { getOrganizationStore, isOrganizationActive, createInviteCode } from './index.js';
+import { isAdmin } from '../auth.js';
+import { ERROR_CODES } from '../validation.js';
+import { logger } from '../logger.js';
+
+export class SeatError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SeatError';
+    this.code = code;
+  }
+}
+
+// Helper function to decide whether a signed-in user may manage the seats:
+// the payer or support staff
+export function canManageSeats(organization, user) {
+  if (!organization || !user) {
+    return false;
+  }
+  return organization.owner_uid === user.uid || isAdmin(user);
+}
+
+// Give a student a seat. Throws a SeatError when the organization is full or
+// the email already holds a seat in another organization that still has access.
+// The seat count is checked against the stored record in the same atomic update
+// that takes the seat, so concurrent joins cannot overfill the organization.
+export async function assignSeat(organization, email) {
+  const wanted = email.toLowerCase();
+  await releaseOtherSeat(organization, wanted);
+
+  const updated = await getOrganizationStore().updateSeats(organization.organization_id, record => {
+    const seatEmails = record.seat_emails || [];
+    if (seatEmails.includes(wanted)) {
+      return seatEmails;
+    }
+    if (seatEmails.length >= record.seats) {
+      throw new SeatError(ERROR_CODES.SEATS_FULL, `All ${record.seats} seats are assigned`);
+    }
+    return [...seatEmails, wanted];
+  });
+
+  logger.info('Seat assigned', { organization_id: organization.organization_id });
+  return updated;
+}
+
+export async function removeSeat(organization, email) {
+  const wanted = email.toLowerCase();
+  const updated = await getOrganizationStore().updateSeats(organization.organization_id, record => {
+    const seatEmails = record.seat_emails || [];
+    if (!seatEmails.includes(wanted)) {
+      throw new SeatError(ERROR_CODES.SEAT_NOT_FOUND, 'This student does not hold a seat');
+    }
+    return seatEmails.filter(seat => seat !== wanted);
+  });
+
+  logger.info('Seat removed', { organization_id: organization.organization_id });
+  return updated;
+}
+
+// Move a seat to another student in one update - the old holder only loses
+// access if the new one gets it, so a failed reassignment changes nothing
+export async function reassignSeat(organization, email, newEmail) {
+  const wanted = email.toLowerCase();
+  const replacement = newEmail.toLowerCase();
+  if (replacement !== wanted) {
+    await releaseOtherSeat(organization, replacement);
+  }
+
+  const updated = await getOrganizationStore().updateSeats(organization.organization_id, record => {
+    const seatEmails = record.seat_emails || [];
+    if (!seatEmails.includes(wanted)) {
+      throw new SeatError(ERROR_CODES.SEAT_NOT_FOUND, 'This student does not hold a seat');
+    }
+    if (seatEmails.includes(replacement)) {
+      // Already seated (or the same student) - there is no seat to hand over
+      return replacement === wanted ? seatEmails : seatEmails.filter(seat => seat !== wanted);
+    }
+    return seatEmails.map(seat => (seat === wanted ? replacement : seat));
+  });
+
+  logger.info('Seat reassigned', { organization_id: organization.organization_id });
+  return updated;
+}
+
+export async function rotateInviteCode(organization) {
+  return getOrganizationStore().put(organization.organization_id, {
+    invite_code: createInviteCode(),
+    updated_at: new Date().toISOString()
+  });
+}
+
+// When the seat count drops (fewer subscription seats, a partial refund) the
+// most recently assigned students lose their seats first
+export function trimSeats(seatEmails, seats) {
+  return (seatEmails || []).slice(0, Math.max(0, seats));
+}
+
+// Public shape of an organization for its managers
+export function describeOrganization(organization) {
+  const seatEmails = organization.seat_emails || [];
+  return {
+    id: organization.organization_id,
+    name: organization.name,
+    plan_type: organization.plan_type,
+    status: organization.status,
+    active: isOrganizationActive(organization),
+    start_date: organization.start_date || null,
+    expires_at: organization.end_date || null,
+    seats: organization.seats,
+    seats_assigned: seatEmails.length,
+    seats_available: Math.max(0, organization.seats - seatEmails.length),
+    seat_emails: seatEmails,
+    invite_code: organization.invite_code,
+    subscription_id: organization.subscription_id || null
+  };
+}
+
+// Helper function to make sure email holds no seat in another organization that
+// still has access. A lapsed organization's seat is given up so lookups find the new one.
+// The holder's status is checked inside its atomic update, so an organization
+// renewed meanwhile keeps the seat.
+async function releaseOtherSeat(organization, email) {
+  const store = getOrganizationStore();
+  const holder = await store.findBySeatEmail(email);
+  if (!holder || holder.organization_id === organization.organization_id) {
+    return;
+  }
+  await store.updateSeats(holder.organization_id, record => {
+    const seatEmails = record.seat_emails || [];
+    if (seatEmails.includes(email) && isOrganizationActive(record)) {
+      throw new SeatError(ERROR_CODES.SEAT_TAKEN, 'This student already has a seat in another organization');
+    }
+    return seatEmails.filter(seat => seat !== email);
+  });
+}
\ No newline at end of file
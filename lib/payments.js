@@ -0,0 +1,128 @@
+// /lib/payments.js
+// Shared response shape for one-off plan payments, so the initial call and the
+// 3D Secure completion call answer the frontend in exactly the same way
+
+import { calculateEndDate } from './plans.js';
+import { paidPeriodStart } from './trials.js';
+import { logger } from './logger.js';
+
+// Map a PaymentIntent onto { status, body } for the HTTP response
+export function describePaymentIntent(paymentIntent, customer) {
+  if (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action') {
+    // 3D Secure authentication required
+    logger.info('Payment requires 3D Secure authentication', { payment_intent_id: paymentIntent.id });
+    return {
+      status: 200,
+      body: {
+        success: false,
+        requires_action: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          client_secret: paymentIntent.client_secret,
+          status: paymentIntent.status
+        },
+        message: '3D Secure authentication required'
+      }
+    };
+  }
+
+  if (paymentIntent.status === 'requires_payment_method' && !paymentIntent.last_payment_error) {
+    // Created without a payment method (or the student left the redirect) -
+    // the frontend confirms it with the Payment Element
+    logger.info('Payment waiting for confirmation', { payment_intent_id: paymentIntent.id });
+    return {
+      status: 200,
+      body: {
+        success: false,
+        requires_confirmation: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          client_secret: paymentIntent.client_secret,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          status: paymentIntent.status
+        },
+        message: 'Confirm the payment with Stripe.js'
+      }
+    };
+  }
+
+  if (paymentIntent.status === 'processing') {
+    // UPI and bank debits can take a while to settle - payment_intent.succeeded
+    // grants access when they do
+    logger.info('Payment processing', { payment_intent_id: paymentIntent.id });
+    return {
+      status: 200,
+      body: {
+        success: false,
+        processing: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          status: paymentIntent.status
+        },
+        message: 'Payment is processing - access starts as soon as it clears'
+      }
+    };
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    // Payment successful
+    logger.info('Payment succeeded', { payment_intent_id: paymentIntent.id });
+
+    // Same period the webhook writes to the entitlement store
+    const planType = paymentIntent.metadata?.plan_type || 'monthly';
+    const startDate = new Date(paymentIntent.created * 1000);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          status: paymentIntent.status
+        },
+        customer: {
+          id: customer.id,
+          email: customer.email,
+          name: customer.name
+        },
+        subscription_data: {
+          plan_type: planType,
+          start_date: startDate.toISOString(),
+          end_date: calculateEndDate(paidPeriodStart(paymentIntent), planType).toISOString()
+        },
+        discount: describeDiscount(paymentIntent)
+      }
+    };
+  }
+
+  // Payment failed or incomplete
+  logger.warn('Payment failed', { payment_intent_id: paymentIntent.id, status: paymentIntent.status });
+  return {
+    status: 400,
+    body: {
+      success: false,
+      error: 'Payment failed',
+      payment_intent: {
+        id: paymentIntent.id,
+        status: paymentIntent.status,
+        last_payment_error: paymentIntent.last_payment_error
+      }
+    }
+  };
+}
+
+// Helper function to report the promo code recorded on a PaymentIntent
+function describeDiscount(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+  if (!metadata.promo_code) {
+    return null;
+  }
+  return {
+    promo_code: metadata.promo_code,
+    original_amount: Number(metadata.original_amount),
+    discount_amount: Number(metadata.discount_amount)
+  };
+}
\ No newline at end of file
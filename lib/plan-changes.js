@@ -0,0 +1,164 @@
+// /lib/plan-changes.js
+// Moving a student with an active plan to another plan. The unused part of the
+// current period is credited against the new one, so nobody pays twice for the
+// same days. /api/stripe/change-plan uses it for both kinds of plan:
+//
+// One-off payments - the credit is the current period's value (period_value on
+// the entitlement) times the unused share of the period. The rest of the new
+// plan's price is charged and a full new period starts now. When the credit
+// covers the new price (usually a downgrade), nothing is charged and the credit
+// buys that much time on the new plan instead.
+//
+// Stripe Billing subscriptions - the subscription's Price is swapped and Stripe
+// prorates: the unused time is credited on an immediate invoice for the new plan.
+
+import { getPlanPriceInCurrency, getPlanTypeForPriceId, calculateEndDate, minimumChargeAmount, formatPrice } from './plans.js';
+import { ERROR_CODES } from './validation.js';
+
+// How old a quoted proration_date may be when the change is made
+export const PRORATION_WINDOW_SECONDS = 15 * 60;
+
+// Subscriptions in these states can change plan; others must be settled first
+export const CHANGEABLE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+// code is one of the ERROR_CODES values, so routes can report it as a
+// plan_type validation error
+export class PlanChangeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PlanChangeError';
+    this.code = code;
+  }
+}
+
+// Quote a change of a one-off entitlement to planType, as of prorationDate
+// (unix seconds). Returns { from_plan_type, plan_type, currency, price, credit,
+// amount_due, period_value, start_date, end_date, proration_date } or throws a
+// PlanChangeError.
+export async function quoteOneOffChange(stripe, entitlement, planType, prorationDate) {
+  const { value, currency } = await getPeriodValue(stripe, entitlement);
+
+  const price = getPlanPriceInCurrency(planType, currency);
+  if (!price) {
+    throw new PlanChangeError(ERROR_CODES.INVALID_STATE, `The ${planType} plan is not sold in ${currency.toUpperCase()}`);
+  }
+
+  const changedAt = new Date(prorationDate * 1000);
+  const start = new Date(entitlement.start_date).getTime();
+  const end = new Date(entitlement.end_date).getTime();
+  const unusedShare = end > start ? Math.min(1, Math.max(0, (end - changedAt.getTime()) / (end - start))) : 0;
+  const credit = Math.round(value * unusedShare);
+
+  // Differences below Stripe's minimum charge are not charged - the credit
+  // then buys slightly less than a full period
+  const difference = price.amount - credit;
+  const charged = difference >= minimumChargeAmount(currency);
+  const fullPeriodMs = calculateEndDate(changedAt, planType).getTime() - changedAt.getTime();
+  const periodMs = charged ? fullPeriodMs : Math.round(fullPeriodMs * credit / price.amount);
+
+  return {
+    from_plan_type: entitlement.plan_type,
+    plan_type: planType,
+    currency: currency,
+    price: price,
+    credit: credit,
+    amount_due: charged ? difference : 0,
+    period_value: charged ? price.amount : credit,
+    start_date: changedAt.toISOString(),
+    end_date: new Date(changedAt.getTime() + periodMs).toISOString(),
+    proration_date: prorationDate
+  };
+}
+
+// Quote a subscription's move to priceId from Stripe's upcoming invoice, with the
+// same proration settings changeSubscriptionPlan() uses
+export async function quoteSubscriptionChange(stripe, subscription, planType, priceId, prorationDate) {
+  const invoice = await stripe.invoices.retrieveUpcoming({
+    customer: subscription.customer,
+    subscription: subscription.id,
+    subscription_items: [{ id: subscription.items.data[0].id, price: priceId }],
+    subscription_proration_behavior: 'always_invoice',
+    subscription_proration_date: prorationDate
+  });
+
+  return quoteFromInvoice(invoice, subscription, planType, prorationDate);
+}
+
+// Swap the subscription's Price and invoice the prorated difference now.
+// pending_if_incomplete keeps the old plan until that invoice is paid, so a
+// declined card or unfinished 3D Secure never leaves a half-changed plan.
+// Returns { subscription, quote } - quote comes from the invoice Stripe created.
+export async function changeSubscriptionPlan(stripe, subscription, priceId, planType, prorationDate, requestOptions) {
+  const updated = await stripe.subscriptions.update(subscription.id, {
+    items: [{ id: subscription.items.data[0].id, price: priceId }],
+    proration_behavior: 'always_invoice',
+    proration_date: prorationDate,
+    payment_behavior: 'pending_if_incomplete',
+    expand: ['latest_invoice.payment_intent']
+  }, requestOptions);
+
+  return {
+    subscription: updated,
+    quote: updated.latest_invoice?.lines ? quoteFromInvoice(updated.latest_invoice, subscription, planType, prorationDate) : null
+  };
+}
+
+// Public shape of a plan change quote
+export function describePlanChange(quote, billing) {
+  return {
+    billing: billing,
+    from_plan_type: quote.from_plan_type,
+    plan_type: quote.plan_type,
+    currency: quote.currency,
+    price: quote.price ? quote.price.amount : null,
+    credit: quote.credit,
+    display_credit: formatPrice(quote.credit, quote.currency),
+    amount_due: quote.amount_due,
+    display_amount_due: formatPrice(quote.amount_due, quote.currency),
+    start_date: quote.start_date,
+    end_date: quote.end_date,
+    proration_date: quote.proration_date
+  };
+}
+
+// Helper function to read a proration invoice: credit lines for the unused time
+// on the old Price and one line for the new plan's period
+function quoteFromInvoice(invoice, subscription, planType, prorationDate) {
+  const lines = invoice.lines?.data || [];
+  const credit = -lines
+    .filter(line => line.proration && line.amount < 0)
+    .reduce((total, line) => total + line.amount, 0);
+  const planLine = lines.find(line => !line.proration);
+  const currentPriceId = subscription.items.data[0].price?.id;
+
+  return {
+    from_plan_type: getPlanTypeForPriceId(currentPriceId) || subscription.metadata?.plan_type || null,
+    plan_type: planType,
+    currency: invoice.currency,
+    price: planLine ? { amount: planLine.amount, currency: invoice.currency } : null,
+    credit: credit,
+    amount_due: invoice.amount_due,
+    start_date: planLine ? new Date(planLine.period.start * 1000).toISOString() : null,
+    end_date: planLine ? new Date(planLine.period.end * 1000).toISOString() : null,
+    proration_date: prorationDate
+  };
+}
+
+// Helper function to find what the current one-off period is worth. Older
+// records without period_value fall back to the payment that granted them.
+async function getPeriodValue(stripe, entitlement) {
+  if (typeof entitlement.period_value === 'number' && entitlement.currency) {
+    return { value: entitlement.period_value, currency: entitlement.currency };
+  }
+
+  if (!entitlement.payment_intent_id) {
+    throw new PlanChangeError(ERROR_CODES.INVALID_STATE, 'Your current plan cannot be changed - please contact support');
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(entitlement.payment_intent_id, { expand: ['latest_charge'] });
+  const refunded = paymentIntent.latest_charge?.amount_refunded || 0;
+  return {
+    value: Math.max(0, paymentIntent.amount - refunded),
+    currency: paymentIntent.currency
+  };
+}
\ No newline at end of file
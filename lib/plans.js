@@ -0,0 +1,165 @@
+// /lib/plans.js
+// Server-owned plan catalog - the only place plan prices are defined
+
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+// Prices are in the smallest currency unit Stripe uses, per currency: cents for
+// usd, paise for inr, whole yen for jpy (see ZERO_DECIMAL_CURRENCIES)
+export const PLANS = {
+  weekly: {
+    name: 'Weekly Plan',
+    duration_days: 7,
+    prices: { usd: 799, cad: 999, gbp: 599, eur: 699, aud: 1199, inr: 29900, jpy: 1200 }
+  },
+  monthly: {
+    name: 'Monthly Plan',
+    duration_days: 30,
+    prices: { usd: 1999, cad: 2499, gbp: 1599, eur: 1799, aud: 2999, inr: 79900, jpy: 2980 }
+  },
+  quarterly: {
+    name: 'Quarterly Plan',
+    duration_days: 90,
+    prices: { usd: 4999, cad: 5999, gbp: 3999, eur: 4499, aud: 7499, inr: 199900, jpy: 7480 }
+  }
+};
+
+export const PLAN_TYPES = Object.keys(PLANS);
+
+// Free trial - never sold, so it stays out of PLANS and the catalog. It lasts
+// TRIAL_DAYS (default 7), see lib/trials.js.
+export const TRIAL_PLAN_TYPE = 'trial';
+
+// Every currency the catalog has prices in
+export const CURRENCIES = [...new Set(PLAN_TYPES.flatMap(planType => Object.keys(PLANS[planType].prices)))];
+
+// Which currency a student is billed in, by ISO country code
+export const COUNTRY_CURRENCIES = {
+  US: 'usd',
+  CA: 'cad',
+  GB: 'gbp',
+  IE: 'eur',
+  DE: 'eur',
+  FR: 'eur',
+  ES: 'eur',
+  IT: 'eur',
+  NL: 'eur',
+  AU: 'aud',
+  IN: 'inr',
+  JP: 'jpy'
+};
+
+export const DEFAULT_CURRENCY = 'usd';
+
+// Currencies Stripe charges in whole units (amount 500 = ¥500, not ¥5.00)
+export const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+// Smallest charge Stripe accepts per currency, in the same units as PLANS
+export const MINIMUM_CHARGE_AMOUNTS = {
+  usd: 50,
+  cad: 50,
+  gbp: 30,
+  eur: 50,
+  aud: 50,
+  inr: 50,
+  jpy: 50
+};
+
+export function isZeroDecimalCurrency(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase());
+}
+
+export function minimumChargeAmount(currency) {
+  return MINIMUM_CHARGE_AMOUNTS[String(currency).toLowerCase()] || MINIMUM_CHARGE_AMOUNTS[DEFAULT_CURRENCY];
+}
+
+// Helper function to turn a Stripe amount into the number people read (2499 usd -> 24.99, 1200 jpy -> 1200)
+export function toMajorUnits(amount, currency) {
+  return isZeroDecimalCurrency(currency) ? amount : amount / 100;
+}
+
+// Helper function to format a Stripe amount for display, e.g. "$24.99" or "¥1,200"
+export function formatPrice(amount, currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency: currency.toUpperCase() })
+    .format(toMajorUnits(amount, currency));
+}
+
+// Helper function to pick the billing currency for a country
+export function currencyForCountry(userCountry) {
+  const country = typeof userCountry === 'string' ? userCountry.trim().toUpperCase() : '';
+  return COUNTRY_CURRENCIES[country] || DEFAULT_CURRENCY;
+}
+
+// Look up the price of a plan for a student's country.
+// Returns null when the plan type is not in the catalog.
+export function getPlanPrice(planType, userCountry) {
+  return getPlanPriceInCurrency(planType, currencyForCountry(userCountry));
+}
+
+// Price of a plan in a given currency, e.g. the one a student already paid in.
+// Returns null when the plan is not sold in that currency.
+export function getPlanPriceInCurrency(planType, currency) {
+  const plan = PLANS[planType];
+  const amount = plan?.prices[currency];
+  if (amount === undefined) {
+    return null;
+  }
+
+  return {
+    plan_type: planType,
+    name: plan.name,
+    duration_days: plan.duration_days,
+    currency: currency,
+    amount: amount,
+    display_amount: formatPrice(amount, currency)
+  };
+}
+
+// Name and length of the free trial
+export function getTrialPlan() {
+  return { name: 'Free Trial', duration_days: getConfig().trialDays };
+}
+
+// Helper function to calculate subscription end date.
+// Unknown plan types fall back to the monthly period.
+export function calculateEndDate(startDate, planType) {
+  const plan = planType === TRIAL_PLAN_TYPE ? getTrialPlan() : PLANS[planType] || PLANS.monthly;
+  const endDate = new Date(startDate.getTime());
+
+  endDate.setDate(endDate.getDate() + plan.duration_days);
+  logger.debug('Calculated plan end date', { plan: plan.name, duration_days: plan.duration_days });
+
+  return endDate;
+}
+
+// Stripe Billing Price ID for a recurring plan, from STRIPE_PRICE_<PLAN> env vars.
+// Each Price must bill the catalog amounts above (use currency_options for
+// non-default currencies) on the matching interval. Returns null when unset.
+export function getStripePriceId(planType) {
+  return getConfig().stripePriceIds[planType] || null;
+}
+
+// The plan a Stripe Billing Price ID bills for, or null for unknown prices
+export function getPlanTypeForPriceId(priceId) {
+  if (!priceId) {
+    return null;
+  }
+  const match = Object.entries(getConfig().stripePriceIds).find(([, id]) => id === priceId);
+  return match ? match[0] : null;
+}
+
+// Public view of the catalog, localized to a country when one is given
+export function getCatalog(userCountry) {
+  const currency = currencyForCountry(userCountry);
+
+  return {
+    currency: currency,
+    plans: PLAN_TYPES.map(planType => ({
+      ...getPlanPrice(planType, userCountry),
+      prices: { ...PLANS[planType].prices }
+    }))
+  };
+}
\ No newline at end of file
@@ -0,0 +1,226 @@
+// /lib/promotions.js
+// Discount codes for one-off plan payments. A promo_code is looked up in the
+// local coupon table (LOCAL_COUPONS) first, then in Stripe promotion codes.
+//
+// Local coupon entry:
+//   {
+//     "code": "STUDENT10",
+//     "percent_off": 10,                 // or "amount_off": { "usd": 500, "inr": 20000 }
+//     "expires_at": "2026-12-31T23:59:59Z",
+//     "max_redemptions": 500,
+//     "countries": ["IN", "CA"],         // optional - limit by user_country
+//     "plan_types": ["monthly"]          // optional - limit by plan
+//   }
+// amount_off currency keys may be in either case.
+// Stripe promotion codes use their coupon's percent_off/amount_off (and the
+// amount_off in its currency_options for other currencies), expires_at and
+// max_redemptions; country limits go in the promotion code metadata
+// (countries: "IN,CA") and plan limits in plan_types: "monthly,quarterly".
+// A minimum_amount restriction is checked against the plan price. Codes limited
+// to one customer, to first-time purchases or to products (coupon applies_to)
+// are refused - a quote has no customer, and one-off plans have no Stripe product.
+//
+// PaymentIntents do not count towards a Stripe promotion code's times_redeemed,
+// so redemptions of both kinds are counted from succeeded PaymentIntents whose
+// metadata carries the code (Stripe search - may lag about a minute).
+
+import { getConfig } from './config.js';
+import { minimumChargeAmount } from './plans.js';
+import { logger } from './logger.js';
+import { ERROR_CODES } from './validation.js';
+
+// code is one of the ERROR_CODES.PROMO_* values, so routes can report it as a
+// promo_code validation error
+export class PromotionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PromotionError';
+    this.code = code;
+  }
+}
+
+// Apply a promo code to a catalog price from getPlanPrice().
+// Returns { promo_code, source, coupon_id, promotion_code_id, original_amount,
+// discount_amount, amount } or throws a PromotionError.
+export async function applyPromotion(stripe, promoCode, price, userCountry) {
+  const code = promoCode.trim().toUpperCase();
+  const promotion = findLocalCoupon(code) || await findStripePromotion(stripe, code);
+
+  if (!promotion) {
+    throw new PromotionError(ERROR_CODES.PROMO_NOT_FOUND, 'This promo code does not exist');
+  }
+
+  if (!promotion.active || (promotion.expires_at && new Date(promotion.expires_at) <= new Date())) {
+    throw new PromotionError(ERROR_CODES.PROMO_EXPIRED, 'This promo code has expired');
+  }
+
+  if (promotion.unsupported) {
+    throw new PromotionError(ERROR_CODES.PROMO_NOT_AVAILABLE, promotion.unsupported);
+  }
+  if (promotion.minimum_amount && !(price.amount >= promotion.minimum_amount[price.currency])) {
+    throw new PromotionError(ERROR_CODES.PROMO_NOT_AVAILABLE, `This promo code cannot be used for the ${price.name}`);
+  }
+
+  const country = (userCountry || '').toUpperCase();
+  if (promotion.countries.length > 0 && !promotion.countries.includes(country)) {
+    throw new PromotionError(ERROR_CODES.PROMO_NOT_AVAILABLE, 'This promo code is not available in your country');
+  }
+  if (promotion.plan_types.length > 0 && !promotion.plan_types.includes(price.plan_type)) {
+    throw new PromotionError(ERROR_CODES.PROMO_NOT_AVAILABLE, `This promo code cannot be used for the ${price.name}`);
+  }
+
+  let discount;
+  if (promotion.percent_off) {
+    discount = Math.round(price.amount * promotion.percent_off / 100);
+  } else {
+    discount = promotion.amount_off[price.currency];
+    if (!discount) {
+      throw new PromotionError(ERROR_CODES.PROMO_NOT_AVAILABLE, 'This promo code cannot be used in your currency');
+    }
+  }
+
+  const amount = price.amount - discount;
+  // Stripe refuses charges below its per-currency minimum
+  if (amount < minimumChargeAmount(price.currency)) {
+    throw new PromotionError(ERROR_CODES.PROMO_TOO_LARGE, 'This promo code cannot be used for this plan');
+  }
+
+  if (promotion.max_redemptions && await countRedemptions(stripe, code, promotion.max_redemptions) >= promotion.max_redemptions) {
+    throw new PromotionError(ERROR_CODES.PROMO_EXHAUSTED, 'This promo code has been fully redeemed');
+  }
+
+  logger.info('Promo code applied', { promo_code: code, source: promotion.source, discount_amount: discount });
+
+  return {
+    promo_code: code,
+    source: promotion.source,
+    coupon_id: promotion.coupon_id,
+    promotion_code_id: promotion.promotion_code_id,
+    original_amount: price.amount,
+    discount_amount: discount,
+    amount: amount
+  };
+}
+
+// PaymentIntent metadata recording the discount, read by the webhook and reports
+export function promotionMetadata(promotion) {
+  if (!promotion) {
+    return {};
+  }
+  return {
+    promo_code: promotion.promo_code,
+    promo_source: promotion.source,
+    coupon_id: promotion.coupon_id || '',
+    promotion_code_id: promotion.promotion_code_id || '',
+    original_amount: String(promotion.original_amount),
+    discount_amount: String(promotion.discount_amount)
+  };
+}
+
+// Helper function to normalize a LOCAL_COUPONS entry
+function findLocalCoupon(code) {
+  const coupon = getConfig().localCoupons.find(entry => entry.code === code);
+  if (!coupon) {
+    return null;
+  }
+  return {
+    source: 'local',
+    active: coupon.active !== false,
+    percent_off: coupon.percent_off || null,
+    amount_off: coupon.amount_off
+      ? Object.fromEntries(Object.entries(coupon.amount_off).map(([currency, amount]) => [currency.toLowerCase(), amount]))
+      : null,
+    expires_at: coupon.expires_at || null,
+    max_redemptions: coupon.max_redemptions || null,
+    countries: (coupon.countries || []).map(country => country.toUpperCase()),
+    plan_types: coupon.plan_types || [],
+    minimum_amount: null,
+    unsupported: null,
+    coupon_id: null,
+    promotion_code_id: null
+  };
+}
+
+// Helper function to normalize a Stripe promotion code and its coupon
+async function findStripePromotion(stripe, code) {
+  const promotionCodes = await stripe.promotionCodes.list({
+    code: code,
+    limit: 1,
+    expand: ['data.coupon.applies_to', 'data.coupon.currency_options']
+  });
+  const promotionCode = promotionCodes.data[0];
+  if (!promotionCode) {
+    return null;
+  }
+
+  const coupon = promotionCode.coupon;
+  const restrictions = promotionCode.restrictions || {};
+  const expiresAt = [promotionCode.expires_at, coupon.redeem_by].filter(Boolean).sort((a, b) => a - b)[0];
+
+  return {
+    source: 'stripe',
+    active: promotionCode.active && coupon.valid,
+    percent_off: coupon.percent_off || null,
+    amount_off: amountsByCurrency(coupon.currency, coupon.amount_off, coupon.currency_options, 'amount_off'),
+    expires_at: expiresAt ? new Date(expiresAt * 1000).toISOString() : null,
+    max_redemptions: [promotionCode.max_redemptions, coupon.max_redemptions].filter(Boolean).sort((a, b) => a - b)[0] || null,
+    countries: splitList(promotionCode.metadata?.countries).map(country => country.toUpperCase()),
+    plan_types: splitList(promotionCode.metadata?.plan_types),
+    minimum_amount: amountsByCurrency(restrictions.minimum_amount_currency, restrictions.minimum_amount,
+      restrictions.currency_options, 'minimum_amount'),
+    unsupported: unsupportedRestriction(promotionCode),
+    coupon_id: coupon.id,
+    promotion_code_id: promotionCode.id
+  };
+}
+
+// Helper function to map a Stripe amount and its currency_options overrides to
+// { currency: amount }, or null when there is no amount
+function amountsByCurrency(currency, amount, currencyOptions, field) {
+  if (!amount) {
+    return null;
+  }
+  const amounts = { [currency.toLowerCase()]: amount };
+  for (const [optionCurrency, options] of Object.entries(currencyOptions || {})) {
+    if (options?.[field]) {
+      amounts[optionCurrency.toLowerCase()] = options[field];
+    }
+  }
+  return amounts;
+}
+
+// Helper function to name a Stripe restriction we cannot check, or null
+function unsupportedRestriction(promotionCode) {
+  if (promotionCode.customer) {
+    return 'This promo code is reserved for another customer';
+  }
+  if (promotionCode.restrictions?.first_time_transaction) {
+    return 'This promo code is only for first-time purchases';
+  }
+  if (promotionCode.coupon.applies_to?.products?.length > 0) {
+    return 'This promo code only applies to other products';
+  }
+  return null;
+}
+
+// Count succeeded payments that used a code, stopping once upTo is reached
+async function countRedemptions(stripe, code, upTo) {
+  let count = 0;
+  let page;
+
+  do {
+    const result = await stripe.paymentIntents.search({
+      query: `status:'succeeded' AND metadata['promo_code']:'${code}'`,
+      limit: 100,
+      page: page
+    });
+    count += result.data.length;
+    page = result.next_page;
+  } while (page && count < upTo);
+
+  return count;
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
\ No newline at end of file
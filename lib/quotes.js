@@ -0,0 +1,43 @@
+// /lib/quotes.js
+// The price a student will be charged for a plan: catalog price for their
+// country, less any promo code. /api/quote shows it before checkout and
+// create-payment-intent charges it, so both always agree.
+
+import { getPlanPrice, formatPrice, isZeroDecimalCurrency } from './plans.js';
+import { applyPromotion } from './promotions.js';
+
+// Throws a PromotionError when promoCode cannot be used
+export async function quotePlan(stripe, { planType, country, promoCode }) {
+  const price = getPlanPrice(planType, country);
+  const promotion = promoCode ? await applyPromotion(stripe, promoCode, price, country) : null;
+  const amount = promotion ? promotion.amount : price.amount;
+
+  return {
+    price: price,
+    promotion: promotion,
+    amount: amount,
+    currency: price.currency
+  };
+}
+
+// Public shape of a quote
+export function describeQuote(quote, { country, source }) {
+  return {
+    plan_type: quote.price.plan_type,
+    name: quote.price.name,
+    duration_days: quote.price.duration_days,
+    country: country,
+    country_source: source,
+    currency: quote.currency,
+    amount: quote.amount,
+    display_amount: formatPrice(quote.amount, quote.currency),
+    zero_decimal: isZeroDecimalCurrency(quote.currency),
+    discount: quote.promotion
+      ? {
+        promo_code: quote.promotion.promo_code,
+        original_amount: quote.promotion.original_amount,
+        discount_amount: quote.promotion.discount_amount
+      }
+      : null
+  };
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+// /lib/rate-limit/index.js
+// Abuse protection for the payment and portal routes: per-IP and per-email
+// request limits, plus a temporary block after repeated card declines (card
+// testing with stolen payment_method_ids).
+//
+// Every store exposes the same async interface:
+//   hit(key, windowMs)  -> { count, reset_at }  counts one hit in the key's current window
+//   peek(key)           -> { count, reset_at } or null
+//   reset(key)          -> forgets the key
+//
+// RATE_LIMIT_STORE=memory (default, per instance) | redis (shared, production).
+// Limits come from the RATE_LIMIT_* / CARD_DECLINE_* settings in lib/config.js.
+// A store outage lets requests through - payments matter more than limits.
+
+import { getConfig } from '../config.js';
+import { logger } from '../logger.js';
+import { hashKey } from '../idempotency/index.js';
+import { createMemoryStore } from './memory-store.js';
+import { createRedisStore } from './redis-store.js';
+
+let store;
+
+function createStore() {
+  const config = getConfig();
+
+  switch (config.rateLimitStore) {
+    case 'redis':
+      return createRedisStore(config.rateLimitRedisUrl, config.rateLimitRedisToken);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${config.rateLimitStore}`);
+  }
+}
+
+export function getRateLimitStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Swap the store, e.g. for a fresh memory store in tests
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+// The caller's IP as Vercel reports it
+export function getClientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return req.headers['x-real-ip'] || forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+// Helper for routes, called after authentication with a rule from config.rateLimits
+// ('payment' or 'portal'). Sends a 429 and returns false when the caller is over
+// a limit or blocked for card declines; otherwise counts the request and returns true.
+export async function enforceRateLimit(req, res, rule, user) {
+  const limits = getConfig().rateLimits;
+  const subjects = rateLimitSubjects(req, user);
+
+  try {
+    const rateLimitStore = getRateLimitStore();
+
+    if (rule === 'payment') {
+      for (const subject of subjects) {
+        const block = await rateLimitStore.peek(`block:${subject.key}`);
+        if (block) {
+          logger.warn('Payment refused - too many card declines', { subject: subject.type });
+          return sendTooManyRequests(res, block.reset_at, 'Too many declined payments. Please try again later or contact support.');
+        }
+      }
+    }
+
+    for (const subject of subjects) {
+      const counter = await rateLimitStore.hit(`${rule}:${subject.key}`, limits.windowMs);
+      if (counter.count > limits[rule][subject.type]) {
+        logger.warn('Rate limit exceeded', { rule: rule, subject: subject.type, count: counter.count });
+        return sendTooManyRequests(res, counter.reset_at, 'Too many requests. Please try again later.');
+      }
+    }
+  } catch (error) {
+    logger.error('Rate limit store error - request allowed', error);
+  }
+
+  return true;
+}
+
+// Count a card decline for the caller; after CARD_DECLINE_LIMIT declines within
+// the block period, payments from that IP and email are refused for the period
+export async function recordCardDecline(req, user) {
+  const { cardDeclineLimit, cardDeclineBlockMs } = getConfig().rateLimits;
+
+  try {
+    const rateLimitStore = getRateLimitStore();
+
+    for (const subject of rateLimitSubjects(req, user)) {
+      const declines = await rateLimitStore.hit(`declines:${subject.key}`, cardDeclineBlockMs);
+      if (declines.count >= cardDeclineLimit) {
+        await rateLimitStore.hit(`block:${subject.key}`, cardDeclineBlockMs);
+        await rateLimitStore.reset(`declines:${subject.key}`);
+        logger.warn('Blocking payments after repeated card declines', { subject: subject.type, declines: declines.count });
+      }
+    }
+  } catch (error) {
+    logger.error('Rate limit store error - decline not recorded', error);
+  }
+}
+
+// Helper function to list who a request is counted against. Keys are hashed
+// so IPs and emails never reach the store in the clear.
+function rateLimitSubjects(req, user) {
+  const subjects = [{ type: 'ip', key: `ip:${hashKey('ip', getClientIp(req))}` }];
+  const email = (user?.email || '').toLowerCase() || user?.uid;
+  if (email) {
+    subjects.push({ type: 'email', key: `email:${hashKey('email', email)}` });
+  }
+  return subjects;
+}
+
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    error: message,
+    type: 'rate_limited',
+    retry_after: retryAfter
+  });
+  return false;
+}
+
+export { createMemoryStore, createRedisStore };
\ No newline at end of file
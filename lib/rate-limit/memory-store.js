@@ -0,0 +1,36 @@
+// /lib/rate-limit/memory-store.js
+// In-memory rate limit counters - for tests and local development only.
+// Each serverless instance counts on its own, so limits are not global.
+
+export function createMemoryStore() {
+  const counters = new Map();
+
+  function live(key) {
+    const counter = counters.get(key);
+    if (counter && counter.reset_at <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  }
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      const counter = live(key) || { count: 0, reset_at: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async peek(key) {
+      const counter = live(key);
+      return counter ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+}
\ No newline at end of file
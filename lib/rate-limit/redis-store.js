@@ -0,0 +1,56 @@
+// /lib/rate-limit/redis-store.js
+// Rate limit counters in Redis over its REST API (Upstash, Vercel KV or any
+// service speaking the same protocol), so every serverless instance shares them.
+// Needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN.
+
+export function createRedisStore(url, token) {
+  const baseUrl = url.replace(/\/$/, '');
+
+  // Run several commands in one round trip
+  async function pipeline(commands) {
+    const response = await fetch(`${baseUrl}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(commands)
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !Array.isArray(body)) {
+      throw new Error(`Redis REST error ${response.status}`);
+    }
+    const failed = body.find(entry => entry.error);
+    if (failed) {
+      throw new Error(`Redis REST error: ${failed.error}`);
+    }
+    return body.map(entry => entry.result);
+  }
+
+  return {
+    name: 'redis',
+
+    // Fixed window: the first hit starts the window's expiry
+    async hit(key, windowMs) {
+      const [count, , ttl] = await pipeline([
+        ['INCR', key],
+        ['PEXPIRE', key, String(windowMs), 'NX'],
+        ['PTTL', key]
+      ]);
+      return { count: Number(count), reset_at: Date.now() + Math.max(Number(ttl), 0) };
+    },
+
+    async peek(key) {
+      const [count, ttl] = await pipeline([['GET', key], ['PTTL', key]]);
+      if (count === null || Number(ttl) <= 0) {
+        return null;
+      }
+      return { count: Number(count), reset_at: Date.now() + Number(ttl) };
+    },
+
+    async reset(key) {
+      await pipeline([['DEL', key]]);
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,19 @@
+// /lib/stripe.js
+// Shared Stripe client, created from the central config on first use
+
+import Stripe from 'stripe';
+import { getConfig } from './config.js';
+
+let stripe;
+
+export function getStripe() {
+  if (!stripe) {
+    stripe = new Stripe(getConfig().stripeSecretKey);
+  }
+  return stripe;
+}
+
+// Swap the client, e.g. for the mock Stripe in tests (null goes back to the real one)
+export function setStripe(client) {
+  stripe = client;
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+// /lib/trials.js
+// Free trials - a card-free taste of premium, once per student (see /api/trial/start).
+//
+// A trial is an ordinary entitlement with plan_type 'trial' and status 'trialing',
+// so the app checks it exactly like a paid plan. Buying a plan while a trial is
+// running keeps the trial days left:
+//   one-off payments  - metadata.trial_end moves the end of the paid period back
+//   Stripe Billing    - the subscription's trial_end delays the first charge
+
+import { TRIAL_PLAN_TYPE } from './plans.js';
+import { getEntitlementStore, isEntitlementActive } from './entitlements/index.js';
+import { getIdempotencyStore, hashKey } from './idempotency/index.js';
+
+// Claim the student's one trial by Firebase user and by email, so neither a new
+// account on the same email nor a changed email gets a second one. Returns false
+// (and claims nothing) when either was already used.
+export async function claimTrial(user) {
+  const grants = getIdempotencyStore('trials');
+  const uidKey = hashKey('trial-uid', user.uid);
+  const emailKey = hashKey('trial-email', user.email.toLowerCase());
+
+  if (!(await grants.claim(uidKey))) {
+    return false;
+  }
+  if (!(await grants.claim(emailKey))) {
+    await grants.release(uidKey);
+    return false;
+  }
+  return true;
+}
+
+// Give the trial back, e.g. when the entitlement could not be written
+export async function releaseTrial(user) {
+  const grants = getIdempotencyStore('trials');
+  await grants.release(hashKey('trial-uid', user.uid));
+  await grants.release(hashKey('trial-email', user.email.toLowerCase()));
+}
+
+// Helper function to find when a student's running trial ends. Returns null
+// without an active trial.
+export async function findActiveTrialEnd(email) {
+  const entitlement = await getEntitlementStore().findByEmail(email);
+  if (entitlement?.plan_type !== TRIAL_PLAN_TYPE || !isEntitlementActive(entitlement)) {
+    return null;
+  }
+  return new Date(entitlement.end_date);
+}
+
+// Helper function for where a one-off plan period is counted from - the payment,
+// or the end of the trial it converts when that is later
+export function paidPeriodStart(paymentIntent) {
+  const paidAt = new Date(paymentIntent.created * 1000);
+  const trialEnd = paymentIntent.metadata?.trial_end ? new Date(paymentIntent.metadata.trial_end) : null;
+  return trialEnd && trialEnd > paidAt ? trialEnd : paidAt;
+}
\ No newline at end of file
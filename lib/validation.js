@@ -0,0 +1,207 @@
+// /lib/validation.js
+// Declarative request validation with one error envelope for every route.
+//
+// A schema maps field names to rules:
+//   {
+//     plan_type: fields.planType({ required: true }),
+//     amount: { type: 'integer', min: 0 }
+//   }
+// Rule keys: type ('string' | 'integer' | 'boolean' | 'email' | 'url' | 'date'), required,
+// default, enum, pattern, maxLength, min, max, lowercase, uppercase, allowedHosts.
+//
+// Failures are answered with:
+//   {
+//     success: false,
+//     error: 'Invalid request',
+//     type: 'validation_error',
+//     errors: [{ field: 'plan_type', code: 'invalid_enum', message: '...' }]
+//   }
+// The codes below are stable so the frontend can translate them.
+
+import { PLAN_TYPES, CURRENCIES } from './plans.js';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+export const ERROR_CODES = {
+  REQUIRED: 'required',
+  INVALID_TYPE: 'invalid_type',
+  INVALID_ENUM: 'invalid_enum',
+  INVALID_FORMAT: 'invalid_format',
+  INVALID_EMAIL: 'invalid_email',
+  INVALID_URL: 'invalid_url',
+  INVALID_DATE: 'invalid_date',
+  HOST_NOT_ALLOWED: 'host_not_allowed',
+  TOO_LONG: 'too_long',
+  OUT_OF_RANGE: 'out_of_range',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  CURRENCY_MISMATCH: 'currency_mismatch',
+  CURRENCY_NOT_SUPPORTED: 'currency_not_supported',
+  NOT_REFUNDABLE: 'not_refundable',
+  INVALID_STATE: 'invalid_state',
+  // promo_code problems, raised by lib/promotions.js
+  PROMO_NOT_FOUND: 'promo_not_found',
+  PROMO_EXPIRED: 'promo_expired',
+  PROMO_EXHAUSTED: 'promo_exhausted',
+  PROMO_NOT_AVAILABLE: 'promo_not_available',
+  PROMO_TOO_LARGE: 'promo_too_large',
+  // seat problems, raised by lib/organizations/seats.js
+  SEATS_FULL: 'seats_full',
+  SEAT_TAKEN: 'seat_taken',
+  SEAT_NOT_FOUND: 'seat_not_found',
+  INVITE_NOT_FOUND: 'invite_not_found'
+};
+
+// Deliberately simple - Stripe and Firebase do the strict checks
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Reusable field definitions shared by the route schemas
+export const fields = {
+  planType: (rules = {}) => ({ type: 'string', enum: PLAN_TYPES, ...rules }),
+  currency: (rules = {}) => ({ type: 'string', enum: CURRENCIES, lowercase: true, ...rules }),
+  country: (rules = {}) => ({ type: 'string', pattern: /^[A-Za-z]{2}$/, uppercase: true, ...rules }),
+  amount: (rules = {}) => ({ type: 'integer', min: 0, ...rules }),
+  customerName: (rules = {}) => ({ type: 'string', maxLength: 100, ...rules }),
+  paymentMethodId: (rules = {}) => ({ type: 'string', pattern: /^pm_[A-Za-z0-9_]+$/, ...rules }),
+  paymentIntentId: (rules = {}) => ({ type: 'string', pattern: /^pi_[A-Za-z0-9_]+$/, ...rules }),
+  customerId: (rules = {}) => ({ type: 'string', pattern: /^cus_[A-Za-z0-9]+$/, ...rules }),
+  email: (rules = {}) => ({ type: 'email', maxLength: 254, ...rules }),
+  promoCode: (rules = {}) => ({ type: 'string', pattern: /^[A-Za-z0-9_-]{2,40}$/, uppercase: true, ...rules }),
+  organizationId: (rules = {}) => ({ type: 'string', pattern: /^org_[a-f0-9]{16}$/, ...rules }),
+  inviteCode: (rules = {}) => ({ type: 'string', pattern: /^[A-Z0-9]{8}$/, uppercase: true, ...rules }),
+  // ISO 8601 date or date-time, normalized to an ISO timestamp
+  date: (rules = {}) => ({ type: 'date', ...rules }),
+  // Redirect targets must point at one of our own sites
+  returnUrl: (rules = {}) => ({ type: 'url', allowedHosts: () => getConfig().returnUrlHosts, ...rules })
+};
+
+export function fieldError(field, code, message) {
+  return { field: field, code: code, message: message };
+}
+
+// Check one value against its rules. Returns { value } or { error }.
+function checkField(field, rules, raw) {
+  if (raw === undefined || raw === null || raw === '') {
+    if (rules.required) {
+      return { error: fieldError(field, ERROR_CODES.REQUIRED, `${field} is required`) };
+    }
+    return { value: rules.default };
+  }
+
+  let value = raw;
+
+  switch (rules.type) {
+    case 'integer':
+      // Digit-only strings are accepted for older clients that send "2499"
+      if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+        value = Number(value);
+      }
+      if (!Number.isInteger(value)) {
+        return { error: fieldError(field, ERROR_CODES.INVALID_TYPE, `${field} must be a whole number`) };
+      }
+      if ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max)) {
+        return { error: fieldError(field, ERROR_CODES.OUT_OF_RANGE, `${field} is out of range`) };
+      }
+      return { value: value };
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { error: fieldError(field, ERROR_CODES.INVALID_TYPE, `${field} must be true or false`) };
+      }
+      return { value: value };
+
+    default:
+      if (typeof value !== 'string') {
+        return { error: fieldError(field, ERROR_CODES.INVALID_TYPE, `${field} must be a string`) };
+      }
+  }
+
+  value = value.trim();
+  if (rules.lowercase || rules.type === 'email') {
+    value = value.toLowerCase();
+  }
+  if (rules.uppercase) {
+    value = value.toUpperCase();
+  }
+
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return { error: fieldError(field, ERROR_CODES.TOO_LONG, `${field} must be at most ${rules.maxLength} characters`) };
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return { error: fieldError(field, ERROR_CODES.INVALID_ENUM, `${field} must be one of: ${rules.enum.join(', ')}`) };
+  }
+
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return { error: fieldError(field, ERROR_CODES.INVALID_FORMAT, `${field} has an invalid format`) };
+  }
+
+  if (rules.type === 'email' && !EMAIL_PATTERN.test(value)) {
+    return { error: fieldError(field, ERROR_CODES.INVALID_EMAIL, `${field} must be a valid email address`) };
+  }
+
+  if (rules.type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+      return { error: fieldError(field, ERROR_CODES.INVALID_DATE, `${field} must be a date like 2024-01-31`) };
+    }
+    return { value: new Date(value).toISOString() };
+  }
+
+  if (rules.type === 'url') {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return { error: fieldError(field, ERROR_CODES.INVALID_URL, `${field} must be a valid URL`) };
+    }
+    if (!['https:', 'http:'].includes(url.protocol)) {
+      return { error: fieldError(field, ERROR_CODES.INVALID_URL, `${field} must be an http(s) URL`) };
+    }
+    const allowedHosts = typeof rules.allowedHosts === 'function' ? rules.allowedHosts() : rules.allowedHosts;
+    if (allowedHosts && !allowedHosts.includes(url.host)) {
+      return { error: fieldError(field, ERROR_CODES.HOST_NOT_ALLOWED, `${field} must point to an allowed site`) };
+    }
+  }
+
+  return { value: value };
+}
+
+// Validate input against a schema. Returns { value, errors } - value holds only
+// the schema's fields, normalized; unknown fields are dropped.
+export function validate(schema, input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const result = checkField(field, rules, source[field]);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value: value, errors: errors };
+}
+
+// Send the shared validation error envelope
+export function sendValidationError(res, errors) {
+  logger.info('Validation failed', { errors: errors.map(error => `${error.field}:${error.code}`) });
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request',
+    type: 'validation_error',
+    errors: errors
+  });
+}
+
+// Helper for routes: validate and answer 400 on failure.
+// Returns the normalized value, or null when the error response was sent.
+export function validateRequest(res, schema, input) {
+  const { value, errors } = validate(schema, input);
+  if (errors.length > 0) {
+    sendValidationError(res, errors);
+    return null;
+  }
+  return value;
+}
\ No newline at end of file
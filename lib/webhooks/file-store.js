@@ -0,0 +1,59 @@
+// /lib/webhooks/file-store.js
+// JSON file webhook event store - for `vercel dev`. Not for production.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function createFileStore(filePath) {
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  async function save(records) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(records, null, 2));
+  }
+
+  return {
+    name: 'file',
+
+    async get(eventId) {
+      const records = await load();
+      return records[eventId] || null;
+    },
+
+    async put(eventId, fields) {
+      const records = await load();
+      records[eventId] = { ...records[eventId], ...fields, event_id: eventId };
+      await save(records);
+      return records[eventId];
+    },
+
+    // Not safe against concurrent requests - the file store is for local development
+    async reclaim(eventId, updatedAt) {
+      const records = await load();
+      const record = records[eventId];
+      if (record?.status !== 'processing' || record.updated_at !== updatedAt) {
+        return false;
+      }
+      records[eventId] = { ...record, updated_at: new Date().toISOString() };
+      await save(records);
+      return true;
+    },
+
+    async list({ statuses, limit }) {
+      const records = await load();
+      return Object.values(records)
+        .filter(record => statuses.includes(record.status))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit);
+    }
+  };
+}
\ No newline at end of file
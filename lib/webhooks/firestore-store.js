@@ -0,0 +1,53 @@
+// /lib/webhooks/firestore-store.js
+// Firestore webhook event store - the production adapter, one document per
+// event ID. list() needs a composite index on status + updated_at (descending);
+// Firestore's error message links to create it on first use.
+
+import { getFirestore } from '../firebase.js';
+
+export function createFirestoreStore(collectionName) {
+  async function collection() {
+    const db = await getFirestore();
+    return db.collection(collectionName);
+  }
+
+  return {
+    name: 'firestore',
+
+    async get(eventId) {
+      const snapshot = await (await collection()).doc(eventId).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+
+    async put(eventId, fields) {
+      const ref = (await collection()).doc(eventId);
+      await ref.set({ ...fields, event_id: eventId }, { merge: true });
+      return (await ref.get()).data();
+    },
+
+    // Runs in a transaction, so two retries finding the same stale record cannot
+    // both take it over - the second sees the new updated_at
+    async reclaim(eventId, updatedAt) {
+      const db = await getFirestore();
+      const ref = db.collection(collectionName).doc(eventId);
+      return db.runTransaction(async transaction => {
+        const snapshot = await transaction.get(ref);
+        const record = snapshot.exists ? snapshot.data() : null;
+        if (record?.status !== 'processing' || record.updated_at !== updatedAt) {
+          return false;
+        }
+        transaction.update(ref, { updated_at: new Date().toISOString() });
+        return true;
+      });
+    },
+
+    async list({ statuses, limit }) {
+      const snapshot = await (await collection())
+        .where('status', 'in', statuses)
+        .orderBy('updated_at', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => doc.data());
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,693 @@
+// /lib/webhooks/handlers.js
+// What each Stripe webhook event does to entitlements and student emails.
+// Payments and subscriptions with metadata.organization_id bought seats for a
+// coaching centre - they update the organization (lib/organizations/) instead.
+// Handlers throw when they cannot finish (e.g. the entitlement store is down) so
+// the event is marked failed and retried - see lib/webhooks/index.js.
+
+import { getStripe } from '../stripe.js';
+import { calculateEndDate, getPlanTypeForPriceId } from '../plans.js';
+import { getEntitlementStore } from '../entitlements/index.js';
+import { getOrganizationStore } from '../organizations/index.js';
+import { trimSeats } from '../organizations/seats.js';
+import { paidPeriodStart } from '../trials.js';
+import { logger } from '../logger.js';
+import { sendNotification, getDunningStep } from '../notifications/index.js';
+
+// Subscription statuses that grant no access. They are only written onto an
+// entitlement the subscription already owns, so an abandoned 3D Secure attempt
+// or an old subscription never ends access the student paid for another way.
+const NON_GRANTING_SUBSCRIPTION_STATUSES = ['incomplete', 'incomplete_expired', 'canceled', 'unpaid'];
+
+// Run the handler for one verified event. Unknown event types are acknowledged.
+export async function dispatchEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      const paymentIntent = event.data.object;
+      await handlePaymentSuccess(paymentIntent);
+      break;
+    
+    case 'payment_intent.payment_failed':
+      const failedPayment = event.data.object;
+      await handlePaymentFailed(failedPayment);
+      break;
+    
+    case 'customer.subscription.created':
+      const subscription = event.data.object;
+      await handleSubscriptionCreated(subscription);
+      break;
+    
+    case 'customer.subscription.updated':
+      const updatedSubscription = event.data.object;
+      await handleSubscriptionUpdated(updatedSubscription);
+      break;
+    
+    case 'customer.subscription.deleted':
+      const deletedSubscription = event.data.object;
+      await handleSubscriptionCancelled(deletedSubscription);
+      break;
+    
+    case 'invoice.payment_succeeded':
+      const invoice = event.data.object;
+      await handleInvoicePayment(invoice);
+      break;
+    
+    case 'invoice.payment_failed':
+      const failedInvoice = event.data.object;
+      await handleInvoicePaymentFailed(failedInvoice);
+      break;
+
+    case 'charge.refunded':
+      const refundedCharge = event.data.object;
+      await handleChargeRefunded(refundedCharge);
+      break;
+
+    case 'charge.dispute.created':
+      const dispute = event.data.object;
+      await handleDisputeCreated(dispute);
+      break;
+
+    case 'charge.dispute.closed':
+      const closedDispute = event.data.object;
+      await handleDisputeClosed(closedDispute);
+      break;
+
+    case 'invoice.upcoming':
+      const upcomingInvoice = event.data.object;
+      await handleInvoiceUpcoming(upcomingInvoice);
+      break;
+
+    // A one-off plan paid through another gateway (lib/gateways/) - its payment
+    // has the fields handlePaymentSuccess reads from a PaymentIntent
+    case 'gateway.payment.succeeded':
+      const gatewayPayment = event.data.object;
+      await handlePaymentSuccess(gatewayPayment);
+      break;
+
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      const checkoutSession = event.data.object;
+      await handleCheckoutCompleted(checkoutSession);
+      break;
+
+    default:
+      logger.info('Unhandled event type', { event_type: event.type });
+  }
+}
+
+// Handler functions for different webhook events
+async function handlePaymentSuccess(paymentIntent) {
+  // Subscription invoices are paid through PaymentIntents too - their access
+  // period comes from invoice.payment_succeeded, not calculateEndDate
+  if (paymentIntent.invoice) {
+    logger.info('Subscription invoice payment, handled by invoice.payment_succeeded', { payment_intent_id: paymentIntent.id });
+    return;
+  }
+
+  if (paymentIntent.metadata?.organization_id) {
+    await handleOrganizationPayment(paymentIntent);
+    return;
+  }
+
+  // Extract metadata
+  const planType = paymentIntent.metadata?.plan_type || 'monthly';
+  const userCountry = paymentIntent.metadata?.user_country || 'Unknown';
+
+  logger.info('Payment succeeded', {
+    payment_intent_id: paymentIntent.id,
+    customer_id: paymentIntent.customer,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    plan_type: planType,
+    user_country: userCountry
+  });
+
+  // Grant access for the plan period, starting when the payment was made - or
+  // when the free trial it converts ends, so no trial days are lost.
+  // period_value is what the period is worth for plan changes - a plan change
+  // payment only charges the difference, so it carries the full value in metadata.
+  const startDate = new Date(paymentIntent.created * 1000);
+  const entitlement = await saveEntitlement(paymentIntent.customer, {
+    plan_type: planType,
+    status: 'active',
+    start_date: startDate.toISOString(),
+    end_date: calculateEndDate(paidPeriodStart(paymentIntent), planType).toISOString(),
+    cancel_at_period_end: false,
+    payment_intent_id: paymentIntent.gateway ? null : paymentIntent.id,
+    payment_gateway: paymentIntent.gateway || 'stripe',
+    gateway_payment_id: paymentIntent.gateway ? paymentIntent.id : null,
+    currency: paymentIntent.currency,
+    period_value: Number(paymentIntent.metadata?.period_value) || paymentIntent.amount,
+    plan_change_payment: paymentIntent.metadata?.plan_change === 'true',
+    firebase_uid: paymentIntent.metadata?.firebase_uid,
+    promo_code: paymentIntent.metadata?.promo_code || undefined
+  });
+  logger.info('Entitlement granted', { customer_id: paymentIntent.customer, end_date: entitlement?.end_date });
+
+  // Checkout sends both checkout.session.completed and payment_intent.succeeded
+  // for one payment - the dedupe key keeps it to a single receipt
+  await notify('receipt', entitlement?.email, {
+    customer_name: paymentIntent.metadata?.customer_name,
+    plan_type: planType,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    end_date: entitlement?.end_date
+  }, `receipt:${paymentIntent.id}`);
+}
+
+// A one-off seat purchase - the organization gets the plan period, and every
+// seat holder's access follows it
+async function handleOrganizationPayment(paymentIntent) {
+  const metadata = paymentIntent.metadata;
+  const planType = metadata.plan_type || 'monthly';
+
+  logger.info('Organization payment succeeded', {
+    payment_intent_id: paymentIntent.id,
+    organization_id: metadata.organization_id,
+    seats: metadata.seats,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency
+  });
+
+  const startDate = new Date(paymentIntent.created * 1000);
+  const organization = await saveOrganization(metadata.organization_id, paymentIntent.customer, {
+    owner_uid: metadata.firebase_uid,
+    plan_type: planType,
+    seats: Number(metadata.seats) || undefined,
+    status: 'active',
+    start_date: startDate.toISOString(),
+    end_date: calculateEndDate(startDate, planType).toISOString(),
+    cancel_at_period_end: false,
+    payment_intent_id: paymentIntent.gateway ? null : paymentIntent.id,
+    payment_gateway: paymentIntent.gateway || 'stripe',
+    gateway_payment_id: paymentIntent.gateway ? paymentIntent.id : null,
+    currency: paymentIntent.currency,
+    amount: paymentIntent.amount
+  });
+
+  await notify('receipt', organization.owner_email, {
+    customer_name: metadata.customer_name,
+    plan_type: planType,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    end_date: organization.end_date
+  }, `receipt:${paymentIntent.id}`);
+}
+
+async function handlePaymentFailed(paymentIntent) {
+  // Failed renewals are handled (and emailed) by invoice.payment_failed
+  if (paymentIntent.invoice) {
+    logger.info('Subscription invoice payment failure, handled by invoice.payment_failed', { payment_intent_id: paymentIntent.id });
+    return;
+  }
+
+  logger.info('Payment failed', {
+    payment_intent_id: paymentIntent.id,
+    customer_id: paymentIntent.customer,
+    reason: paymentIntent.last_payment_error?.message,
+    code: paymentIntent.last_payment_error?.code
+  });
+
+  // A failed one-off payment never revokes access that was already paid for,
+  // so only the failure itself is recorded here
+  const entitlement = await saveEntitlement(paymentIntent.customer, {
+    last_payment_status: 'failed',
+    last_payment_intent_id: paymentIntent.id
+  });
+
+  await notify('payment_failed', entitlement?.email, {
+    customer_name: paymentIntent.metadata?.customer_name,
+    plan_type: paymentIntent.metadata?.plan_type,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency
+  }, `payment_failed:${paymentIntent.id}`);
+}
+
+async function handleSubscriptionCreated(subscription) {
+  logger.info('Subscription created', {
+    subscription_id: subscription.id,
+    customer_id: subscription.customer,
+    status: subscription.status,
+    current_period_start: new Date(subscription.current_period_start * 1000).toISOString(),
+    current_period_end: new Date(subscription.current_period_end * 1000).toISOString()
+  });
+
+  await saveSubscription(subscription);
+}
+
+async function handleSubscriptionUpdated(subscription) {
+  logger.info('Subscription updated', {
+    subscription_id: subscription.id,
+    customer_id: subscription.customer,
+    status: subscription.status,
+    cancel_at_period_end: subscription.cancel_at_period_end
+  });
+
+  // Seats follow the subscription quantity
+  await saveSubscription(subscription);
+
+  // A plan change (see /api/stripe/change-plan) swaps the Price but cannot
+  // update the metadata in the same call - bring plan_type in line for reports
+  const planType = getPlanTypeForPriceId(subscription.items?.data?.[0]?.price?.id);
+  if (planType && subscription.metadata?.plan_type !== planType) {
+    await getStripe().subscriptions.update(subscription.id, { metadata: { plan_type: planType } });
+  }
+}
+
+async function handleSubscriptionCancelled(subscription) {
+  logger.info('Subscription cancelled', {
+    subscription_id: subscription.id,
+    customer_id: subscription.customer,
+    cancelled_at: new Date(subscription.canceled_at * 1000).toISOString(),
+    ended_at: subscription.ended_at ? new Date(subscription.ended_at * 1000).toISOString() : null
+  });
+
+  const organizationId = subscription.metadata?.organization_id;
+  if (!organizationId && !(await ownsEntitlement(subscription))) {
+    logger.info('Cancelled subscription does not hold the entitlement - access left as it is', {
+      subscription_id: subscription.id,
+      customer_id: subscription.customer
+    });
+    return;
+  }
+
+  // Access ends when Stripe ended the subscription
+  const endedAt = subscription.ended_at || subscription.canceled_at;
+  const fields = {
+    status: 'canceled',
+    end_date: endedAt ? new Date(endedAt * 1000).toISOString() : new Date().toISOString(),
+    cancel_at_period_end: false,
+    subscription_id: subscription.id
+  };
+  const entitlement = organizationId
+    ? await saveOrganization(organizationId, subscription.customer, fields)
+    : await saveEntitlement(subscription.customer, fields);
+
+  await notify('access_expired', recipientOf(entitlement), {
+    customer_name: subscription.metadata?.customer_name,
+    plan_type: subscription.metadata?.plan_type || entitlement?.plan_type,
+    end_date: entitlement?.end_date
+  }, `access_expired:${subscription.id}`);
+}
+
+async function handleInvoicePayment(invoice) {
+  logger.info('Invoice paid', {
+    invoice_id: invoice.id,
+    customer_id: invoice.customer,
+    subscription_id: invoice.subscription,
+    amount_paid: invoice.amount_paid,
+    currency: invoice.currency
+  });
+
+  // First payment, renewal or plan change - extend access to the end of the
+  // invoiced period. A plan change invoice also has proration lines for the
+  // unused time on the old plan, so the period comes from the plan line.
+  const subscriptionMetadata = invoice.subscription_details?.metadata || {};
+  const lines = invoice.lines?.data || [];
+  const planLine = lines.find(line => !line.proration) || lines[0];
+  const fields = {
+    plan_type: getPlanTypeForPriceId(planLine?.price?.id) || subscriptionMetadata.plan_type,
+    status: 'active',
+    invoice_id: invoice.id,
+    subscription_id: invoice.subscription || undefined
+  };
+  const period = planLine?.period;
+  if (period) {
+    fields.start_date = new Date(period.start * 1000).toISOString();
+    fields.end_date = new Date(period.end * 1000).toISOString();
+  }
+  const entitlement = subscriptionMetadata.organization_id
+    ? await saveOrganization(subscriptionMetadata.organization_id, invoice.customer, {
+      ...fields,
+      seats: planLine?.quantity
+    })
+    : await saveEntitlement(invoice.customer, { ...fields, firebase_uid: subscriptionMetadata.firebase_uid });
+
+  // $0 invoices (e.g. a 100% coupon) need no receipt
+  if (invoice.amount_paid > 0) {
+    await notify('receipt', recipientOf(entitlement), {
+      customer_name: subscriptionMetadata.customer_name,
+      plan_type: entitlement?.plan_type,
+      amount: invoice.amount_paid,
+      currency: invoice.currency,
+      end_date: entitlement?.end_date
+    }, `receipt:${invoice.id}`);
+  }
+}
+
+async function handleInvoicePaymentFailed(invoice) {
+  logger.info('Invoice payment failed', {
+    invoice_id: invoice.id,
+    customer_id: invoice.customer,
+    subscription_id: invoice.subscription,
+    attempt_count: invoice.attempt_count
+  });
+
+  // Stripe keeps retrying; access continues until end_date while past_due
+  const fields = {
+    status: 'past_due',
+    invoice_id: invoice.id,
+    subscription_id: invoice.subscription || undefined
+  };
+  const organizationId = invoice.subscription_details?.metadata?.organization_id;
+  const entitlement = organizationId
+    ? await saveOrganization(organizationId, invoice.customer, fields)
+    : await saveEntitlement(invoice.customer, fields);
+
+  // Dunning - which notice to send depends on how many attempts have failed
+  const step = getDunningStep(invoice);
+  logger.info('Dunning step', { invoice_id: invoice.id, attempt: step.attempt, stage: step.stage, final: step.final });
+
+  await notify('payment_failed', recipientOf(entitlement), {
+    customer_name: invoice.subscription_details?.metadata?.customer_name,
+    plan_type: entitlement?.plan_type,
+    amount: invoice.amount_due,
+    currency: invoice.currency,
+    end_date: entitlement?.end_date,
+    stage: step.stage,
+    final: step.final,
+    next_attempt_date: step.next_attempt_date
+  }, `payment_failed:${invoice.id}:${step.attempt}`);
+} 
+
+async function handleInvoiceUpcoming(invoice) {
+  logger.info('Invoice upcoming', {
+    customer_id: invoice.customer,
+    subscription_id: invoice.subscription,
+    amount_due: invoice.amount_due,
+    currency: invoice.currency
+  });
+
+  // Upcoming invoices have no ID yet - one reminder per subscription period
+  const renewsAt = invoice.next_payment_attempt || invoice.period_end;
+  await notify('renewal_upcoming', await getStudentEmail(invoice.customer), {
+    customer_name: invoice.subscription_details?.metadata?.customer_name,
+    plan_type: invoice.subscription_details?.metadata?.plan_type,
+    amount: invoice.amount_due,
+    currency: invoice.currency,
+    renewal_date: renewsAt ? new Date(renewsAt * 1000).toISOString() : null
+  }, `renewal_upcoming:${invoice.subscription}:${renewsAt}`);
+}
+
+async function handleCheckoutCompleted(session) {
+  // Delayed methods (e.g. bank debits) complete unpaid - access is granted
+  // by checkout.session.async_payment_succeeded once the money arrives
+  if (session.payment_status === 'unpaid') {
+    logger.info('Checkout payment still pending', { session_id: session.id });
+    return;
+  }
+
+  if (session.mode === 'subscription') {
+    const subscription = await getStripe().subscriptions.retrieve(session.subscription);
+    await saveSubscription(subscription);
+    return;
+  }
+
+  // One-off payment - grant exactly as a direct payment_intent.succeeded would
+  const paymentIntent = await getStripe().paymentIntents.retrieve(session.payment_intent);
+  await handlePaymentSuccess(paymentIntent);
+}
+
+// Helper function to write an entitlement for a Stripe customer.
+// The customer's email is stored too so the app can look students up by login.
+async function saveEntitlement(customerId, fields) {
+  if (!customerId) {
+    logger.warn('No customer on event - entitlement not saved');
+    return null;
+  }
+
+  const store = getEntitlementStore();
+  const existing = await store.get(customerId);
+  const email = existing?.email || await getCustomerEmail(customerId);
+
+  // Undefined fields leave the stored value untouched instead of clearing it
+  const updates = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+  return store.put(customerId, {
+    ...updates,
+    email: email,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// Helper function to write an organization's licence. The payer's email is kept
+// for receipts, and a lower seat count frees the most recently assigned seats.
+async function saveOrganization(organizationId, customerId, fields) {
+  const store = getOrganizationStore();
+  const existing = await store.get(organizationId);
+  if (!existing) {
+    logger.warn('Organization not in store - recording it from the event', { organization_id: organizationId });
+  }
+
+  const updates = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+  const organization = await store.put(organizationId, {
+    ...updates,
+    customer_id: customerId || existing?.customer_id,
+    owner_email: existing?.owner_email || (customerId ? await getCustomerEmail(customerId) : null),
+    updated_at: new Date().toISOString()
+  });
+  if (updates.seats === undefined) {
+    return organization;
+  }
+
+  // Trimmed in the same atomic update seat assignments use, so a student
+  // joining meanwhile is not lost or kept over the new seat count
+  return store.updateSeats(organizationId, record => {
+    const seatEmails = trimSeats(record.seat_emails, record.seats);
+    const removed = (record.seat_emails || []).length - seatEmails.length;
+    if (removed > 0) {
+      logger.info('Seats removed with the seat count', { organization_id: organizationId, seats: record.seats, removed: removed });
+    }
+    return seatEmails;
+  });
+}
+
+// Helper function to write a subscription onto the student's entitlement, or
+// onto the organization whose seats it bills (seats = the item quantity)
+async function saveSubscription(subscription) {
+  const organizationId = subscription.metadata?.organization_id;
+  if (!organizationId) {
+    if (NON_GRANTING_SUBSCRIPTION_STATUSES.includes(subscription.status) && !(await ownsEntitlement(subscription))) {
+      logger.info('Subscription grants no access - entitlement left as it is', {
+        subscription_id: subscription.id,
+        customer_id: subscription.customer,
+        status: subscription.status
+      });
+      return null;
+    }
+    return saveEntitlement(subscription.customer, subscriptionFields(subscription));
+  }
+
+  const { firebase_uid: ownerUid, ...fields } = subscriptionFields(subscription);
+  return saveOrganization(organizationId, subscription.customer, {
+    ...fields,
+    owner_uid: ownerUid,
+    seats: subscription.items?.data?.[0]?.quantity
+  });
+}
+
+// Helper function to check that the customer's entitlement was written from this subscription
+async function ownsEntitlement(subscription) {
+  const entitlement = await getEntitlementStore().get(subscription.customer);
+  return entitlement?.subscription_id === subscription.id;
+}
+
+// Helper function for who is emailed about a record - the student, or the
+// organization's payer
+function recipientOf(record) {
+  return record?.owner_email || record?.email;
+}
+
+async function handleChargeRefunded(charge) {
+  logger.info('Charge refunded', {
+    charge_id: charge.id,
+    payment_intent_id: charge.payment_intent,
+    customer_id: charge.customer,
+    amount: charge.amount,
+    amount_refunded: charge.amount_refunded
+  });
+
+  const organization = charge.payment_intent
+    ? await getOrganizationStore().findByPaymentIntent(charge.payment_intent)
+    : null;
+  if (organization) {
+    await handleOrganizationRefund(organization, charge);
+    return;
+  }
+
+  const entitlement = await findEntitlementForCharge(charge);
+  if (!entitlement) {
+    logger.info('Refunded payment did not grant the current entitlement - nothing to adjust', { charge_id: charge.id });
+    return;
+  }
+
+  // Full refund ends access now; a partial refund shortens the period the
+  // payment bought (calculateEndDate / invoice period) by the refunded share.
+  // Later refunds on the same charge work from the original end date.
+  // A plan change payment only charged the difference - the rest of the period
+  // is the credit for an earlier payment, so refunding it never ends access and
+  // the refunded share is measured against the whole period's value.
+  const sameCharge = entitlement.refunded_charge_id === charge.id;
+  const originalEndDate = sameCharge ? entitlement.original_end_date : entitlement.end_date;
+  const originalPeriodValue = sameCharge ? entitlement.original_period_value : entitlement.period_value;
+  const fields = {
+    refunded_charge_id: charge.id,
+    amount_refunded: charge.amount_refunded,
+    original_end_date: originalEndDate,
+    original_period_value: originalPeriodValue
+  };
+
+  const planChange = entitlement.plan_change_payment === true && originalPeriodValue > 0;
+  if (!planChange && (charge.refunded || charge.amount_refunded >= charge.amount)) {
+    fields.status = 'refunded';
+    fields.end_date = new Date().toISOString();
+  } else {
+    const keepFraction = 1 - charge.amount_refunded / (planChange ? originalPeriodValue : charge.amount);
+    fields.end_date = shortenPeriod(entitlement.start_date, originalEndDate, keepFraction);
+    // The shorter period is worth less if the plan is changed later
+    fields.period_value = originalPeriodValue === undefined ? undefined : Math.round(originalPeriodValue * keepFraction);
+  }
+
+  const updated = await saveEntitlement(entitlement.customer_id, fields);
+  logger.info('Entitlement adjusted for refund', { customer_id: entitlement.customer_id, status: updated?.status, end_date: updated?.end_date });
+}
+
+// A refunded seat purchase: a full refund ends every seat's access now, a
+// partial refund keeps only the seats still paid for. Later refunds on the
+// same charge work from the original seat count.
+async function handleOrganizationRefund(organization, charge) {
+  const sameCharge = organization.refunded_charge_id === charge.id;
+  const originalSeats = sameCharge ? organization.original_seats : organization.seats;
+  const fields = {
+    refunded_charge_id: charge.id,
+    amount_refunded: charge.amount_refunded,
+    original_seats: originalSeats
+  };
+
+  if (charge.refunded || charge.amount_refunded >= charge.amount) {
+    fields.status = 'refunded';
+    fields.end_date = new Date().toISOString();
+  } else {
+    fields.seats = Math.floor(originalSeats * (charge.amount - charge.amount_refunded) / charge.amount);
+  }
+
+  const updated = await saveOrganization(organization.organization_id, charge.customer, fields);
+  logger.info('Organization adjusted for refund', {
+    organization_id: organization.organization_id,
+    status: updated.status,
+    seats: updated.seats
+  });
+}
+
+async function handleDisputeCreated(dispute) {
+  logger.info('Dispute created', {
+    dispute_id: dispute.id,
+    charge_id: dispute.charge,
+    amount: dispute.amount,
+    reason: dispute.reason
+  });
+
+  // Disputes carry no customer - read it from the charge
+  const charge = await getStripe().charges.retrieve(dispute.charge);
+  const entitlement = await findEntitlementForCharge(charge);
+  if (!entitlement) {
+    logger.info('Disputed payment did not grant the current entitlement - nothing to adjust', { dispute_id: dispute.id });
+    return;
+  }
+
+  // Access is suspended while the bank decides; the old end date is kept so a
+  // won dispute can restore it
+  await saveEntitlement(entitlement.customer_id, {
+    status: 'disputed',
+    suspended_status: entitlement.status,
+    suspended_end_date: entitlement.end_date,
+    end_date: new Date().toISOString(),
+    dispute_id: dispute.id
+  });
+}
+
+async function handleDisputeClosed(dispute) {
+  logger.info('Dispute closed', { dispute_id: dispute.id, status: dispute.status });
+
+  const charge = await getStripe().charges.retrieve(dispute.charge);
+  const entitlement = charge.customer ? await getEntitlementStore().get(charge.customer) : null;
+  if (!entitlement || entitlement.dispute_id !== dispute.id) {
+    return;
+  }
+
+  // Won - give back the access that was suspended. Lost disputes stay revoked.
+  if (dispute.status === 'won') {
+    await saveEntitlement(entitlement.customer_id, {
+      status: entitlement.suspended_status || 'active',
+      end_date: entitlement.suspended_end_date
+    });
+  } else {
+    await saveEntitlement(entitlement.customer_id, { status: 'dispute_lost' });
+  }
+}
+
+// Helper function to find the entitlement a charge paid for. Only the record
+// written from the same payment (or subscription invoice) is touched, so
+// refunding an old payment never cuts a later renewal short.
+async function findEntitlementForCharge(charge) {
+  if (!charge.customer) {
+    return null;
+  }
+  const entitlement = await getEntitlementStore().get(charge.customer);
+  if (!entitlement) {
+    return null;
+  }
+
+  const fromPayment = charge.payment_intent && entitlement.payment_intent_id === charge.payment_intent;
+  const fromInvoice = charge.invoice && entitlement.invoice_id === charge.invoice;
+  return fromPayment || fromInvoice ? entitlement : null;
+}
+
+// Helper function to keep only part of an access period
+function shortenPeriod(startDate, endDate, keepFraction) {
+  const start = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+  return new Date(start + Math.max(0, end - start) * Math.max(0, keepFraction)).toISOString();
+}
+
+// Helper function to email a student. Every handler sends its email last, after
+// its writes, so a failed send fails the event and Stripe's retries (or an admin
+// replay of a dead-lettered event) send it - emails that did go out are not sent
+// twice because of the dedupe key.
+async function notify(template, email, data, dedupeKey) {
+  await sendNotification(template, email, data, { dedupeKey: dedupeKey });
+}
+
+async function getStudentEmail(customerId) {
+  if (!customerId) {
+    return null;
+  }
+  const existing = await getEntitlementStore().get(customerId);
+  return existing?.email || getCustomerEmail(customerId);
+}
+
+async function getCustomerEmail(customerId) {
+  const customer = await getStripe().customers.retrieve(customerId);
+  return customer.email ? customer.email.toLowerCase() : null;
+}
+
+// Helper function to map a Stripe subscription onto entitlement fields. The plan
+// follows the subscribed Price, so a plan change is picked up even before the
+// subscription metadata is updated.
+function subscriptionFields(subscription) {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  return {
+    plan_type: getPlanTypeForPriceId(priceId) || subscription.metadata?.plan_type || undefined,
+    firebase_uid: subscription.metadata?.firebase_uid || undefined,
+    status: subscription.status,
+    start_date: new Date(subscription.current_period_start * 1000).toISOString(),
+    end_date: new Date(subscription.current_period_end * 1000).toISOString(),
+    cancel_at_period_end: subscription.cancel_at_period_end,
+    subscription_id: subscription.id
+  };
+}
\ No newline at end of file
@@ -0,0 +1,199 @@
+// /lib/webhooks/index.js
+// Webhook event store - every verified Stripe event is kept with its processing
+// status, so a failed event is never lost and can be replayed later. Payments
+// through other gateways are stored the same way (see lib/gateways/).
+//
+// Every adapter exposes the same async interface, keyed by Stripe event ID:
+//   get(eventId)               -> record or null
+//   put(eventId, fields)       -> merges fields into the record and returns it
+//   reclaim(eventId, updatedAt) -> atomically bumps updated_at if the record is still
+//                                 processing with that updated_at; true when it did
+//   list({ statuses, limit })  -> records in those statuses, most recently updated first
+//
+// An event record looks like:
+//   {
+//     event_id, type, livemode, created,      // from the Stripe event
+//     status,                                 // see EVENT_STATUSES
+//     attempts, last_error,
+//     received_at, updated_at, processed_at,  // ISO strings
+//     payload                                 // the verified event
+//   }
+//
+// The backend follows ENTITLEMENT_STORE; Firestore uses WEBHOOK_EVENT_COLLECTION.
+
+import { getConfig } from '../config.js';
+import { getStoreType } from '../entitlements/index.js';
+import { getIdempotencyStore } from '../idempotency/index.js';
+import { logger, redact } from '../logger.js';
+import { dispatchEvent } from './handlers.js';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createFirestoreStore } from './firestore-store.js';
+
+// processing   a handler is running (or the function died while it was - see
+//              isStaleProcessing)
+// processed    handled - nothing left to do
+// failed       a handler threw; Stripe will deliver the event again
+// dead_letter  failed WEBHOOK_MAX_ATTEMPTS times - waits for an admin replay
+export const EVENT_STATUSES = ['processing', 'processed', 'failed', 'dead_letter'];
+
+// Webhook functions run for at most 30 seconds (vercel.json maxDuration). An
+// event still processing well after that was left behind by a function that
+// timed out or crashed mid-handler, and is handled again on the next delivery.
+export const STALE_PROCESSING_MS = 2 * 60 * 1000;
+
+let store;
+
+function createStore() {
+  const type = getStoreType();
+
+  switch (type) {
+    case 'firestore':
+      return createFirestoreStore(process.env.WEBHOOK_EVENT_COLLECTION || 'webhook_events');
+    case 'file':
+      return createFileStore('.data/webhook_events.json');
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown ENTITLEMENT_STORE: ${type}`);
+  }
+}
+
+export function getWebhookEventStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+// Swap the store, e.g. for a memory store in tests
+export function setWebhookEventStore(newStore) {
+  store = newStore;
+}
+
+// Record an event, run its handler and record the outcome.
+// Returns { status, attempts, error } - status is 'processed', 'failed' or
+// 'dead_letter'. Errors from the event store itself are thrown.
+export async function processWebhookEvent(event, options = {}) {
+  const eventStore = getWebhookEventStore();
+  const existing = await eventStore.get(event.id);
+  const attempts = (existing?.attempts || 0) + 1;
+  const now = new Date().toISOString();
+
+  await eventStore.put(event.id, {
+    type: event.type,
+    livemode: Boolean(event.livemode),
+    created: new Date(event.created * 1000).toISOString(),
+    payload: existing?.payload || event,
+    status: 'processing',
+    attempts: attempts,
+    received_at: existing?.received_at || now,
+    updated_at: now
+  });
+
+  try {
+    await dispatchEvent(event);
+  } catch (error) {
+    // A dead-lettered event that fails again on replay stays dead-lettered
+    const deadLetter = attempts >= getConfig().webhookMaxAttempts || existing?.status === 'dead_letter';
+    const status = deadLetter ? 'dead_letter' : 'failed';
+
+    logger.error('Webhook handler failed', {
+      event_id: event.id,
+      event_type: event.type,
+      attempts: attempts,
+      status: status,
+      replay: Boolean(options.replay),
+      error: error
+    });
+
+    await eventStore.put(event.id, {
+      status: status,
+      last_error: redact(error.message || String(error)),
+      updated_at: new Date().toISOString()
+    });
+    return { status: status, attempts: attempts, error: error };
+  }
+
+  await eventStore.put(event.id, {
+    status: 'processed',
+    last_error: null,
+    processed_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  });
+  logger.info('Webhook event processed', { event_id: event.id, event_type: event.type, attempts: attempts });
+
+  return { status: 'processed', attempts: attempts, error: null };
+}
+
+export function isStaleProcessing(record, now = Date.now()) {
+  return record?.status === 'processing' &&
+    now - new Date(record.updated_at).getTime() > STALE_PROCESSING_MS;
+}
+
+// Take over an event left in processing. The store only moves updated_at if no
+// one else has since, so of two retries racing for the event only one runs it.
+export async function reclaimStaleEvent(record) {
+  return isStaleProcessing(record) && getWebhookEventStore().reclaim(record.event_id, record.updated_at);
+}
+
+// Helper for the webhook routes: skip duplicate deliveries of a verified event,
+// process it and answer the sender. Failures get a 500 so the sender retries.
+export async function receiveWebhookEvent(res, event) {
+  const processedEvents = getIdempotencyStore('webhook_events');
+  let claimed = false;
+
+  try {
+    // Senders retry deliveries - skip events we have already processed so a
+    // retry can never grant or revoke access twice
+    if (!(await processedEvents.claim(event.id))) {
+      // The claim is still held by an attempt that died - take it over
+      const record = await getWebhookEventStore().get(event.id);
+      if (!(await reclaimStaleEvent(record))) {
+        logger.info('Duplicate webhook event skipped', { event_id: event.id });
+        return res.json({ received: true, duplicate: true, event_type: event.type });
+      }
+      logger.warn('Reprocessing webhook event left in processing', { event_id: event.id, updated_at: record.updated_at });
+    }
+    claimed = true;
+
+    // Handle the event
+    logger.info('Processing webhook event', { event_id: event.id, event_type: event.type });
+    logger.debug('Event data', { data: event.data });
+
+    // Every verified event is stored with its status before and after its handler runs
+    const result = await processWebhookEvent(event);
+
+    if (result.status === 'failed') {
+      // Non-2xx so the event is delivered again
+      await releaseEvent(processedEvents, event.id);
+      return res.status(500).json({ received: false, event_id: event.id, error: 'Webhook processing failed' });
+    }
+
+    // Dead-lettered events stay claimed - the sender can stop retrying and an
+    // admin replays them from /api/admin/webhook-events once the cause is fixed
+    if (result.status === 'dead_letter') {
+      return res.json({ received: true, dead_letter: true, event_type: event.type });
+    }
+
+    return res.json({ received: true, event_type: event.type });
+
+  } catch (error) {
+    logger.error('Webhook processing error', error);
+
+    // Let the sender's retry process the event again
+    if (claimed) {
+      await releaseEvent(processedEvents, event.id);
+    }
+    return res.status(500).send('Webhook processing failed');
+  }
+}
+
+// Helper function to forget a claimed event so the next delivery is processed
+async function releaseEvent(processedEvents, eventId) {
+  await processedEvents.release(eventId).catch(releaseError => {
+    logger.error('Could not release webhook event', releaseError);
+  });
+}
+
+export { dispatchEvent, createMemoryStore, createFileStore, createFirestoreStore };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// /lib/webhooks/memory-store.js
+// In-memory webhook event store - for tests and local development only.
+
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(eventId) {
+      const record = records.get(eventId);
+      return record ? { ...record } : null;
+    },
+
+    async put(eventId, fields) {
+      const record = { ...records.get(eventId), ...fields, event_id: eventId };
+      records.set(eventId, record);
+      return { ...record };
+    },
+
+    // Read and write with no await in between - atomic within the process
+    async reclaim(eventId, updatedAt) {
+      const record = records.get(eventId);
+      if (record?.status !== 'processing' || record.updated_at !== updatedAt) {
+        return false;
+      }
+      records.set(eventId, { ...record, updated_at: new Date().toISOString() });
+      return true;
+    },
+
+    async list({ statuses, limit }) {
+      return [...records.values()]
+        .filter(record => statuses.includes(record.status))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit)
+        .map(record => ({ ...record }));
+    }
+  };
+}
\ No newline at end of file
@@ -0,0 +1,161 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import metrics from '../api/admin/metrics.js';
+
+let stripe;
+
+const DAY = 24 * 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function getMetrics(query = {}, headers = authHeader({ sub: 'uid_support', admin: true })) {
+  return invoke(metrics, { method: 'GET', headers: headers, query: query });
+}
+
+async function payment({ amount = 2499, currency = 'cad', plan = 'monthly', country = 'CA', customer, paymentMethod = 'pm_card_visa', created = now() - DAY } = {}) {
+  const params = {
+    amount: amount,
+    currency: currency,
+    customer: customer,
+    payment_method: paymentMethod,
+    metadata: { plan_type: plan, user_country: country, app_source: 'IELTS_Practice' }
+  };
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({ ...params, confirm: true });
+  } catch (error) {
+    paymentIntent = error.raw.payment_intent;
+    paymentIntent.last_payment_error = { code: error.code, decline_code: error.decline_code };
+  }
+  paymentIntent.created = created;
+  return paymentIntent;
+}
+
+test('reports revenue by plan, country and currency', async () => {
+  const customer = await stripe.customers.create({ email: 'a@example.com' });
+  await payment({ customer: customer.id });
+  await payment({ customer: customer.id, plan: 'weekly', amount: 999 });
+  const indian = await payment({ customer: customer.id, currency: 'inr', country: 'IN', amount: 49900 });
+  await stripe.refunds.create({ payment_intent: indian.id, amount: 9900 });
+  await stripe.paymentIntents.create({ amount: 5000, currency: 'usd', confirm: true, payment_method: 'pm_card_visa', metadata: { app_source: 'Other_App' } });
+
+  const res = await getMetrics();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.revenue.by_currency.map(row => [row.key, row.gross, row.refunded, row.net]), [
+    ['inr', 49900, 9900, 40000],
+    ['cad', 3498, 0, 3498]
+  ]);
+  assert.deepEqual(res.body.revenue.by_plan.map(row => [row.key, row.currency, row.net]), [
+    ['monthly', 'inr', 40000],
+    ['monthly', 'cad', 2499],
+    ['weekly', 'cad', 999]
+  ]);
+  assert.deepEqual(res.body.revenue.by_country.map(row => [row.key, row.currency]), [['IN', 'inr'], ['CA', 'cad']]);
+});
+
+test('counts new and returning customers', async () => {
+  const returning = await stripe.customers.create({ email: 'old@example.com' });
+  returning.created = now() - 90 * DAY;
+  const fresh = await stripe.customers.create({ email: 'new@example.com' });
+  await payment({ customer: returning.id });
+  await payment({ customer: fresh.id });
+  await payment({ customer: fresh.id });
+
+  const res = await getMetrics();
+
+  assert.deepEqual(res.body.customers, { total: 2, new: 1, returning: 1 });
+});
+
+test('reports failure rates by decline code', async () => {
+  await payment();
+  await payment();
+  await payment({ paymentMethod: 'pm_card_chargeDeclined' });
+  await stripe.paymentIntents.create({ amount: 2499, currency: 'cad', metadata: { app_source: 'IELTS_Practice' } });
+
+  const res = await getMetrics();
+
+  assert.equal(res.body.failures.attempts, 3);
+  assert.equal(res.body.failures.failure_rate, 0.3333);
+  assert.deepEqual(res.body.failures.by_decline_code, [{ decline_code: 'generic_decline', count: 1, rate: 0.3333 }]);
+});
+
+test('counts active subscribers over the range', async () => {
+  const subscription = (id, fields) => stripe.subscriptions.data.set(id, {
+    id: id, object: 'subscription', created: fields.start_date, ended_at: null, current_period_end: now() + 20 * DAY,
+    metadata: { plan_type: 'monthly', app_source: 'IELTS_Practice' }, ...fields
+  });
+  subscription('sub_long', { status: 'active', start_date: now() - 60 * DAY });
+  subscription('sub_new', { status: 'active', start_date: now() - 5 * DAY, metadata: { plan_type: 'weekly', app_source: 'IELTS_Practice' } });
+  subscription('sub_churned', { status: 'canceled', start_date: now() - 60 * DAY, ended_at: now() - 10 * DAY, current_period_end: now() - 10 * DAY });
+  subscription('sub_never', { status: 'incomplete_expired', start_date: now() - 3 * DAY });
+  // Ended long before the range - not even listed
+  subscription('sub_ancient', { status: 'canceled', start_date: now() - 400 * DAY, ended_at: now() - 300 * DAY, current_period_end: now() - 300 * DAY });
+
+  const res = await getMetrics();
+
+  assert.deepEqual(res.body.subscribers, {
+    active_at_start: 2,
+    active_at_end: 2,
+    started: 2,
+    ended: 1,
+    by_plan: { monthly: 1, weekly: 1 }
+  });
+  const listed = stripe.calls.find(call => call.method === 'subscriptions.list');
+  assert.ok(listed.params.current_period_end.gte > now() - 31 * DAY);
+});
+
+test('pages through every payment in the range', async () => {
+  for (let i = 0; i < 105; i++) {
+    await payment({ amount: 100 });
+  }
+  await payment({ amount: 100, created: now() - 40 * DAY });
+
+  const res = await getMetrics();
+
+  assert.equal(res.body.revenue.by_currency[0].payments, 105);
+  assert.equal(stripe.calls.filter(call => call.method === 'paymentIntents.list').length, 2);
+});
+
+test('exports CSV', async () => {
+  await payment();
+
+  const res = await getMetrics({ format: 'csv', from: '2024-01-01', to: '2024-12-31' });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/csv/);
+  assert.match(res.headers['content-disposition'], /metrics-2024-01-01-to-2024-12-31\.csv/);
+  assert.equal(res.body.split('\r\n')[0], 'section,dimension,currency,metric,value');
+  assert.match(res.body, /customers,all,,total,0/);
+});
+
+test('keeps metadata from running as a spreadsheet formula', async () => {
+  await payment({ plan: '=HYPERLINK("https://evil.example")', country: '+CA' });
+
+  const res = await getMetrics({ format: 'csv' });
+
+  assert.match(res.body, /revenue_by_plan,"'=HYPERLINK\(""https:\/\/evil\.example""\)",cad,gross,2499/);
+  assert.match(res.body, /revenue_by_country,'\+CA,cad,gross,2499/);
+});
+
+test('rejects a bad date range', async () => {
+  const reversed = await getMetrics({ from: '2024-02-01', to: '2024-01-01' });
+  const tooLong = await getMetrics({ from: '2022-01-01', to: '2024-01-01' });
+  const notADate = await getMetrics({ from: 'last week' });
+
+  assert.equal(reversed.statusCode, 400);
+  assert.equal(tooLong.statusCode, 400);
+  assert.equal(notADate.body.errors[0].code, 'invalid_date');
+});
+
+test('refuses students without admin access', async () => {
+  const res = await getMetrics({}, authHeader());
+
+  assert.equal(res.statusCode, 403);
+});
\ No newline at end of file
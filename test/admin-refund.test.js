@@ -0,0 +1,110 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import refund from '../api/admin/refund.js';
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function requestRefund(body, headers = authHeader({ sub: 'uid_support', admin: true })) {
+  return invoke(refund, { method: 'POST', headers: headers, body: body });
+}
+
+async function succeededPayment(amount = 2999) {
+  return stripe.paymentIntents.create({
+    amount: amount,
+    currency: 'usd',
+    customer: 'cus_student',
+    payment_method: 'pm_card_visa',
+    confirm: true
+  });
+}
+
+test('refunds the whole payment by default', async () => {
+  const paymentIntent = await succeededPayment();
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.refund.amount, 2999);
+  assert.equal(res.body.refund.reason, 'requested_by_customer');
+  assert.equal(res.body.full_refund, true);
+
+  const created = stripe.calls.find(call => call.method === 'refunds.create');
+  assert.equal(created.params.metadata.refunded_by, 'uid_support');
+});
+
+test('refunds part of a payment with a reason', async () => {
+  const paymentIntent = await succeededPayment();
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id, amount: 1000, reason: 'duplicate', note: 'Charged twice' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.refund.amount, 1000);
+  assert.equal(res.body.full_refund, false);
+  assert.equal(stripe.charges.data.get(paymentIntent.latest_charge).amount_refunded, 1000);
+});
+
+test('will not refund more than is left on the payment', async () => {
+  const paymentIntent = await succeededPayment();
+  await requestRefund({ payment_intent_id: paymentIntent.id, amount: 2000 });
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id, amount: 1000 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].field, 'amount');
+  assert.equal(res.body.errors[0].code, 'out_of_range');
+});
+
+test('rejects payments that have not succeeded', async () => {
+  const paymentIntent = await stripe.paymentIntents.create({ amount: 2999, currency: 'usd', customer: 'cus_student' });
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'not_refundable');
+  assert.equal(stripe.calls.some(call => call.method === 'refunds.create'), false);
+});
+
+test('cancels the subscription when asked', async () => {
+  const paymentIntent = await succeededPayment();
+  paymentIntent.invoice = { id: 'in_renewal', subscription: 'sub_student' };
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id, cancel_subscription: true });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.subscription, { id: 'sub_student', status: 'canceled' });
+});
+
+test('accepts staff listed in ADMIN_EMAILS', async () => {
+  process.env.ADMIN_EMAILS = 'Support@Example.com';
+  stripe = resetState();
+  const paymentIntent = await succeededPayment();
+
+  try {
+    const res = await requestRefund({ payment_intent_id: paymentIntent.id }, authHeader({ email: 'support@example.com' }));
+    assert.equal(res.statusCode, 200);
+  } finally {
+    delete process.env.ADMIN_EMAILS;
+  }
+});
+
+test('refuses students without admin access', async () => {
+  const paymentIntent = await succeededPayment();
+
+  const res = await requestRefund({ payment_intent_id: paymentIntent.id }, authHeader());
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(stripe.calls.some(call => call.method === 'refunds.create'), false);
+});
+
+test('requires sign-in', async () => {
+  const res = await requestRefund({ payment_intent_id: 'pi_123' }, {});
+
+  assert.equal(res.statusCode, 401);
+});
\ No newline at end of file
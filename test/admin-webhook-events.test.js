@@ -0,0 +1,201 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { createEvent, webhookRequest } from './helpers/webhooks.js';
+import { getEntitlementStore, setEntitlementStore, isEntitlementActive } from '../lib/entitlements/index.js';
+import { getWebhookEventStore, STALE_PROCESSING_MS } from '../lib/webhooks/index.js';
+import { getIdempotencyStore } from '../lib/idempotency/index.js';
+import webhook from '../api/stripe/webhook.js';
+import webhookEvents from '../api/admin/webhook-events.js';
+
+let stripe;
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+
+after(() => {
+  delete process.env.WEBHOOK_MAX_ATTEMPTS;
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+const ADMIN = { sub: 'uid_support', admin: true };
+
+function listEvents(query = {}, headers = authHeader(ADMIN)) {
+  return invoke(webhookEvents, { method: 'GET', headers: headers, query: query });
+}
+
+function replay(body, headers = authHeader(ADMIN)) {
+  return invoke(webhookEvents, { method: 'POST', headers: headers, body: body });
+}
+
+// Deliver a payment event while entitlement writes fail, until it is dead-lettered
+async function deadLetteredPayment() {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const event = createEvent('payment_intent.succeeded', {
+    id: 'pi_paid',
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: 2499,
+    currency: 'cad',
+    customer: customer.id,
+    created: Math.floor(Date.now() / 1000),
+    invoice: null,
+    metadata: { plan_type: 'monthly', firebase_uid: 'uid_student' }
+  });
+
+  const working = getEntitlementStore();
+  setEntitlementStore({ ...working, put: async () => { throw new Error('Firestore unavailable'); } });
+  await invoke(webhook, webhookRequest(event));
+  await invoke(webhook, webhookRequest(event));
+  setEntitlementStore(working);
+
+  return { event, customerId: customer.id };
+}
+
+test('requires an admin', async () => {
+  assert.equal((await listEvents({}, {})).statusCode, 401);
+  assert.equal((await listEvents({}, authHeader({ sub: 'uid_student' }))).statusCode, 403);
+  assert.equal((await replay({ event_id: 'evt_1' }, authHeader({ sub: 'uid_student' }))).statusCode, 403);
+});
+
+test('lists failed and dead-lettered events without payloads', async () => {
+  const { event } = await deadLetteredPayment();
+  await invoke(webhook, webhookRequest(createEvent('customer.created', { id: 'cus_other', object: 'customer' })));
+
+  const res = await listEvents();
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.statuses, ['failed', 'dead_letter', 'processing']);
+  assert.equal(res.body.events.length, 1);
+  assert.equal(res.body.events[0].event_id, event.id);
+  assert.equal(res.body.events[0].status, 'dead_letter');
+  assert.equal(res.body.events[0].attempts, 2);
+  assert.equal(res.body.events[0].payload, undefined);
+
+  const processed = await listEvents({ status: 'processed' });
+  assert.deepEqual(processed.body.events.map(record => record.type), ['customer.created']);
+});
+
+test('lists and redelivers an event whose function died mid-handler', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const event = createEvent('payment_intent.succeeded', {
+    id: 'pi_paid',
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: 2499,
+    currency: 'cad',
+    customer: customer.id,
+    created: Math.floor(Date.now() / 1000),
+    invoice: null,
+    metadata: { plan_type: 'monthly', firebase_uid: 'uid_student' }
+  });
+  // What a timed-out attempt leaves behind: the claim, and a record stuck in processing
+  await getIdempotencyStore('webhook_events').claim(event.id);
+  await getWebhookEventStore().put(event.id, {
+    type: event.type,
+    payload: event,
+    status: 'processing',
+    attempts: 1,
+    updated_at: new Date(Date.now() - STALE_PROCESSING_MS - 1000).toISOString()
+  });
+
+  const listed = await listEvents();
+  assert.deepEqual(listed.body.events.map(record => [record.event_id, record.stale]), [[event.id, true]]);
+
+  const retry = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(retry.statusCode, 200);
+  assert.equal(retry.body.duplicate, undefined);
+  assert.equal((await getWebhookEventStore().get(event.id)).status, 'processed');
+  assert.equal(isEntitlementActive(await getEntitlementStore().get(customer.id)), true);
+
+  // A record that is still processing is a genuine duplicate
+  await getWebhookEventStore().put(event.id, { status: 'processing', updated_at: new Date().toISOString() });
+  assert.equal((await invoke(webhook, webhookRequest(event))).body.duplicate, true);
+  assert.equal((await listEvents()).body.events.length, 0);
+});
+
+test('lets only one of two racing retries take over a stale event', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const event = createEvent('payment_intent.succeeded', {
+    id: 'pi_paid',
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: 2499,
+    currency: 'cad',
+    customer: customer.id,
+    created: Math.floor(Date.now() / 1000),
+    invoice: null,
+    metadata: { plan_type: 'monthly', firebase_uid: 'uid_student' }
+  });
+  await getIdempotencyStore('webhook_events').claim(event.id);
+  await getWebhookEventStore().put(event.id, {
+    type: event.type,
+    payload: event,
+    status: 'processing',
+    attempts: 1,
+    updated_at: new Date(Date.now() - STALE_PROCESSING_MS - 1000).toISOString()
+  });
+
+  const results = await Promise.all([
+    invoke(webhook, webhookRequest(event)),
+    invoke(webhook, webhookRequest(event))
+  ]);
+
+  assert.deepEqual(results.map(res => res.body.duplicate === true).sort(), [false, true]);
+  assert.equal((await getWebhookEventStore().get(event.id)).attempts, 2);
+});
+
+test('returns one event with its payload', async () => {
+  const { event } = await deadLetteredPayment();
+
+  const res = await listEvents({ event_id: event.id });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.event.payload.data.object.id, 'pi_paid');
+  assert.equal((await listEvents({ event_id: 'evt_missing' })).statusCode, 404);
+  assert.equal((await listEvents({ status: 'lost' })).statusCode, 400);
+});
+
+test('replays a dead-lettered event through the webhook handlers', async () => {
+  const { event, customerId } = await deadLetteredPayment();
+
+  const res = await replay({ event_id: event.id });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.event.status, 'processed');
+  assert.equal(res.body.event.attempts, 3);
+  assert.equal(isEntitlementActive(await getEntitlementStore().get(customerId)), true);
+
+  // A late Stripe delivery of the same event is now a duplicate
+  assert.equal((await invoke(webhook, webhookRequest(event))).body.duplicate, true);
+});
+
+test('keeps an event dead-lettered when the replay fails again', async () => {
+  const { event } = await deadLetteredPayment();
+  setEntitlementStore({ ...getEntitlementStore(), put: async () => { throw new Error('Still down'); } });
+
+  const res = await replay({ event_id: event.id });
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.type, 'replay_failed');
+  assert.equal(res.body.event.status, 'dead_letter');
+  assert.equal((await getWebhookEventStore().get(event.id)).last_error, 'Still down');
+});
+
+test('only replays a processed event when forced', async () => {
+  const event = createEvent('customer.created', { id: 'cus_other', object: 'customer' });
+  await invoke(webhook, webhookRequest(event));
+
+  const refused = await replay({ event_id: event.id });
+  assert.equal(refused.statusCode, 400);
+  assert.equal(refused.body.errors[0].code, 'invalid_state');
+
+  const forced = await replay({ event_id: event.id, force: true });
+  assert.equal(forced.statusCode, 200);
+  assert.equal((await replay({ event_id: 'evt_missing' })).statusCode, 404);
+});
\ No newline at end of file
@@ -0,0 +1,273 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { createEvent, webhookRequest } from './helpers/webhooks.js';
+import { getEntitlementStore } from '../lib/entitlements/index.js';
+import changePlan from '../api/stripe/change-plan.js';
+import webhook from '../api/stripe/webhook.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICE_IDS = { STRIPE_PRICE_WEEKLY: 'price_weekly', STRIPE_PRICE_QUARTERLY: 'price_quarterly' };
+
+let stripe;
+
+Object.assign(process.env, PRICE_IDS);
+
+after(() => {
+  Object.keys(PRICE_IDS).forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function quote(planType, headers = authHeader()) {
+  return invoke(changePlan, { method: 'GET', headers: headers, query: { plan_type: planType } });
+}
+
+function change(body, headers = authHeader()) {
+  return invoke(changePlan, { method: 'POST', headers: headers, body: body });
+}
+
+// A one-off plan for the signed-in student, usedDays into its period
+async function oneOffPlan({ planType, days, usedDays, periodValue, currency = 'cad' }) {
+  const customer = await stripe.customers.create({ email: 'student@example.com', name: 'Student' });
+  const start = Date.now() - usedDays * DAY_MS;
+  await getEntitlementStore().put(customer.id, {
+    email: 'student@example.com',
+    plan_type: planType,
+    status: 'active',
+    start_date: new Date(start).toISOString(),
+    end_date: new Date(start + days * DAY_MS).toISOString(),
+    payment_intent_id: 'pi_original',
+    currency: currency,
+    period_value: periodValue
+  });
+  return customer;
+}
+
+// A weekly Stripe Billing subscription, plus the proration invoice Stripe
+// would build for a move to quarterly
+async function weeklySubscription({ card = 'pm_card_visa' } = {}) {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const now = Math.floor(Date.now() / 1000);
+  const subscription = {
+    id: 'sub_weekly',
+    object: 'subscription',
+    customer: customer.id,
+    status: 'active',
+    default_payment_method: card,
+    current_period_start: now - 2 * 86400,
+    current_period_end: now + 5 * 86400,
+    cancel_at_period_end: false,
+    items: { object: 'list', data: [{ id: 'si_1', price: { id: 'price_weekly' } }] },
+    metadata: { plan_type: 'weekly', firebase_uid: 'uid_student' }
+  };
+  stripe.subscriptions.data.set(subscription.id, subscription);
+  await getEntitlementStore().put(customer.id, {
+    email: 'student@example.com',
+    plan_type: 'weekly',
+    status: 'active',
+    start_date: new Date(subscription.current_period_start * 1000).toISOString(),
+    end_date: new Date(subscription.current_period_end * 1000).toISOString(),
+    subscription_id: subscription.id
+  });
+
+  stripe.invoices.upcoming = {
+    customer: customer.id,
+    subscription: subscription.id,
+    currency: 'usd',
+    amount_due: 4428,
+    billing_reason: 'subscription_update',
+    lines: {
+      data: [
+        { proration: true, amount: -571, price: { id: 'price_weekly' }, period: { start: now, end: subscription.current_period_end } },
+        { proration: false, amount: 4999, price: { id: 'price_quarterly' }, period: { start: now, end: now + 90 * 86400 } }
+      ]
+    }
+  };
+  return { customer, subscription };
+}
+
+test('requires a signed-in student with an active plan', async () => {
+  assert.equal((await quote('quarterly', {})).statusCode, 401);
+
+  const res = await quote('quarterly');
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.type, 'not_found');
+});
+
+test('only changes a plan for its own verified account', async () => {
+  const customer = await oneOffPlan({ planType: 'quarterly', days: 90, usedDays: 30, periodValue: 5999 });
+  await getEntitlementStore().put(customer.id, { firebase_uid: 'uid_student' });
+
+  assert.equal((await change({ plan_type: 'weekly' }, authHeader({ sub: 'uid_other', email_verified: false }))).statusCode, 403);
+  assert.equal((await change({ plan_type: 'weekly' }, authHeader({ sub: 'uid_other' }))).statusCode, 404);
+  assert.equal((await getEntitlementStore().get(customer.id)).plan_type, 'quarterly');
+});
+
+test('quotes an upgrade with credit for the unused days', async () => {
+  await oneOffPlan({ planType: 'weekly', days: 7, usedDays: 3.5, periodValue: 1000 });
+
+  const res = await quote('quarterly');
+
+  assert.equal(res.statusCode, 200);
+  const change = res.body.plan_change;
+  assert.equal(change.billing, 'one_time');
+  assert.equal(change.from_plan_type, 'weekly');
+  assert.equal(change.currency, 'cad');
+  assert.equal(change.price, 5999);
+  assert.equal(change.credit, 500);
+  assert.equal(change.amount_due, 5499);
+  assert.equal(new Date(change.end_date) - new Date(change.start_date), 90 * DAY_MS);
+  assert.equal(stripe.calls.some(call => call.method === 'paymentIntents.create'), false);
+});
+
+test('charges the difference and the webhook starts the new period', async () => {
+  const customer = await oneOffPlan({ planType: 'weekly', days: 7, usedDays: 3.5, periodValue: 1000 });
+  const { proration_date, amount_due } = (await quote('quarterly')).body.plan_change;
+
+  const res = await change({ plan_type: 'quarterly', payment_method_id: 'pm_card_visa', proration_date, amount: amount_due });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.payment_intent.amount, 5499);
+  assert.equal(res.body.subscription_data.plan_type, 'quarterly');
+
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  assert.equal(paymentIntent.customer, customer.id);
+  assert.equal(paymentIntent.metadata.plan_change, 'true');
+  assert.equal(paymentIntent.metadata.previous_plan_type, 'weekly');
+  assert.equal(paymentIntent.metadata.period_value, '5999');
+
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.plan_type, 'quarterly');
+  assert.equal(entitlement.period_value, 5999);
+  assert.equal(entitlement.end_date, res.body.subscription_data.end_date);
+});
+
+test('keeps the credited part of the period when a plan change payment is refunded', async () => {
+  const customer = await oneOffPlan({ planType: 'weekly', days: 7, usedDays: 3.5, periodValue: 1000 });
+  const { proration_date, amount_due } = (await quote('quarterly')).body.plan_change;
+  const res = await change({ plan_type: 'quarterly', payment_method_id: 'pm_card_visa', proration_date, amount: amount_due });
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  const granted = await getEntitlementStore().get(customer.id);
+
+  const refunded = {
+    id: 'ch_change',
+    object: 'charge',
+    amount: 5499,
+    amount_refunded: 5499,
+    refunded: true,
+    customer: customer.id,
+    payment_intent: paymentIntent.id,
+    invoice: null
+  };
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', refunded)));
+
+  // The 500 credit from the weekly plan still buys 500/5999 of the quarter
+  const entitlement = await getEntitlementStore().get(customer.id);
+  const start = new Date(granted.start_date).getTime();
+  const end = new Date(granted.end_date).getTime();
+  assert.equal(entitlement.status, 'active');
+  assert.equal(entitlement.end_date, new Date(start + (end - start) * (1 - 5499 / 5999)).toISOString());
+  assert.equal(entitlement.period_value, Math.round(5999 * (1 - 5499 / 5999)));
+});
+
+test('turns a downgrade credit into extra time without charging', async () => {
+  const customer = await oneOffPlan({ planType: 'quarterly', days: 90, usedDays: 30, periodValue: 5999 });
+
+  const res = await change({ plan_type: 'weekly' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.plan_change.credit, 3999);
+  assert.equal(res.body.plan_change.amount_due, 0);
+  assert.equal(stripe.calls.filter(call => call.method === 'paymentIntents.create').length, 0);
+
+  const entitlement = await getEntitlementStore().get(customer.id);
+  const days = (new Date(entitlement.end_date) - new Date(entitlement.start_date)) / DAY_MS;
+  assert.equal(entitlement.plan_type, 'weekly');
+  assert.equal(entitlement.previous_plan_type, 'quarterly');
+  assert.equal(entitlement.period_value, 3999);
+  assert.ok(Math.abs(days - 7 * 3999 / 999) < 0.001);
+});
+
+test('rejects the same plan, stale quotes, changed amounts and a missing card', async () => {
+  await oneOffPlan({ planType: 'weekly', days: 7, usedDays: 3.5, periodValue: 1000 });
+
+  const samePlan = await change({ plan_type: 'weekly' });
+  assert.equal(samePlan.body.errors[0].field, 'plan_type');
+  assert.equal(samePlan.body.errors[0].code, 'invalid_state');
+
+  const stale = await change({ plan_type: 'quarterly', payment_method_id: 'pm_card_visa', proration_date: Math.floor(Date.now() / 1000) - 3600 });
+  assert.equal(stale.body.errors[0].field, 'proration_date');
+
+  const changed = await change({ plan_type: 'quarterly', payment_method_id: 'pm_card_visa', amount: 4999 });
+  assert.equal(changed.body.errors[0].code, 'amount_mismatch');
+
+  const noCard = await change({ plan_type: 'quarterly' });
+  assert.equal(noCard.statusCode, 400);
+  assert.equal(noCard.body.errors[0].field, 'payment_method_id');
+});
+
+test('changes a subscription with Stripe proration', async () => {
+  const { customer, subscription } = await weeklySubscription();
+
+  const quoted = await quote('quarterly');
+  assert.equal(quoted.body.plan_change.billing, 'subscription');
+  assert.equal(quoted.body.plan_change.credit, 571);
+  assert.equal(quoted.body.plan_change.amount_due, 4428);
+
+  const res = await change({ plan_type: 'quarterly', amount: 4428 });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.subscription_data.plan_type, 'quarterly');
+  const update = stripe.calls.find(call => call.method === 'subscriptions.update');
+  assert.deepEqual(update.params.items, [{ id: 'si_1', price: 'price_quarterly' }]);
+  assert.equal(update.params.proration_behavior, 'always_invoice');
+  assert.equal(update.params.payment_behavior, 'pending_if_incomplete');
+
+  // The webhook follows the new Price and brings the metadata in line
+  const updated = stripe.subscriptions.data.get(subscription.id);
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.updated', updated)));
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.plan_type, 'quarterly');
+  assert.equal(entitlement.end_date, res.body.subscription_data.end_date);
+  assert.equal(stripe.subscriptions.data.get(subscription.id).metadata.plan_type, 'quarterly');
+});
+
+test('keeps the old subscription plan until 3D Secure is completed', async () => {
+  const { customer, subscription } = await weeklySubscription({ card: 'pm_card_threeDSecure2Required' });
+
+  const res = await change({ plan_type: 'quarterly' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.requires_action, true);
+  assert.ok(res.body.payment_intent.client_secret);
+  assert.equal(stripe.subscriptions.data.get(subscription.id).items.data[0].price.id, 'price_weekly');
+  assert.equal((await getEntitlementStore().get(customer.id)).plan_type, 'weekly');
+});
+
+test('takes the new period from the plan line of a proration invoice', async () => {
+  const { customer } = await weeklySubscription();
+  const invoice = {
+    id: 'in_change',
+    object: 'invoice',
+    ...stripe.invoices.upcoming,
+    amount_paid: 4428,
+    subscription_details: { metadata: { plan_type: 'weekly', firebase_uid: 'uid_student' } }
+  };
+
+  await invoke(webhook, webhookRequest(createEvent('invoice.payment_succeeded', invoice)));
+
+  const planLine = invoice.lines.data[1];
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.plan_type, 'quarterly');
+  assert.equal(entitlement.start_date, new Date(planLine.period.start * 1000).toISOString());
+  assert.equal(entitlement.end_date, new Date(planLine.period.end * 1000).toISOString());
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import createPaymentIntent from '../api/stripe/create-payment-intent.js';
+import confirmPaymentIntent from '../api/stripe/confirm-payment-intent.js';
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function pay(body, headers = authHeader()) {
+  return invoke(createPaymentIntent, { method: 'POST', headers: headers, body: body });
+}
+
+test('charges the catalog price and returns subscription data', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'CA' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.payment_intent.status, 'succeeded');
+  assert.equal(res.body.subscription_data.plan_type, 'monthly');
+
+  const created = stripe.calls.find(call => call.method === 'paymentIntents.create');
+  assert.equal(created.params.amount, 2499);
+  assert.equal(created.params.currency, 'cad');
+  assert.equal(created.params.metadata.firebase_uid, 'uid_student');
+
+  const customer = stripe.calls.find(call => call.method === 'customers.create');
+  assert.equal(customer.params.email, 'student@example.com');
+});
+
+test('returns requires_action when 3D Secure is needed', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_threeDSecure2Required', plan_type: 'weekly' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.requires_action, true);
+  assert.match(res.body.payment_intent.client_secret, /_secret_/);
+});
+
+test('leaves other payment methods to the frontend and reports back after a redirect', async () => {
+  const returnUrl = 'https://www.gammapace.com/payment-complete';
+  const res = await pay({ plan_type: 'monthly', user_country: 'IN', return_url: returnUrl });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.requires_confirmation, true);
+  assert.equal(res.body.return_url, returnUrl);
+  assert.equal(res.body.payment_intent.amount, 79900);
+  assert.match(res.body.payment_intent.client_secret, /_secret_/);
+
+  const created = stripe.calls.find(call => call.method === 'paymentIntents.create');
+  assert.deepEqual(created.params.automatic_payment_methods, { enabled: true });
+  assert.equal(created.params.confirm, undefined);
+
+  // Back on return_url - UPI settles later, then succeeds
+  const complete = () => invoke(confirmPaymentIntent, {
+    method: 'POST',
+    headers: authHeader(),
+    body: { payment_intent_id: res.body.payment_intent.id }
+  });
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+
+  paymentIntent.status = 'processing';
+  const processing = await complete();
+  assert.equal(processing.statusCode, 200);
+  assert.equal(processing.body.processing, true);
+
+  paymentIntent.status = 'succeeded';
+  const succeeded = await complete();
+  assert.equal(succeeded.body.success, true);
+  assert.equal(succeeded.body.subscription_data.plan_type, 'monthly');
+});
+
+test('rejects a return_url on another site', async () => {
+  const res = await pay({ plan_type: 'monthly', return_url: 'https://evil.example/steal' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].field, 'return_url');
+});
+
+test('reports a declined card as card_error', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_chargeDeclined', plan_type: 'monthly' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.type, 'card_error');
+  assert.equal(res.body.error, 'Your card was declined.');
+});
+
+test('requires a signed-in student', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa' }, {});
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(stripe.calls.length, 0);
+});
+
+test('requires a verified email before charging', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa' }, authHeader({ email_verified: false }));
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(stripe.calls.length, 0);
+});
+
+test('rejects a token for another Firebase project', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa' }, authHeader({ aud: 'other-project' }));
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('rejects an amount that does not match the catalog', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', amount: 1 });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.type, 'validation_error');
+  assert.deepEqual(res.body.errors.map(error => error.code), ['amount_mismatch']);
+  assert.equal(stripe.calls.length, 0);
+});
+
+test('reports every invalid field', async () => {
+  const res = await pay({ payment_method_id: 'tok_visa', plan_type: 'yearly' });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors.map(error => `${error.field}:${error.code}`), [
+    'payment_method_id:invalid_format',
+    'plan_type:invalid_enum'
+  ]);
+});
+
+test('replays the first response for a repeated Idempotency-Key', async () => {
+  const headers = { ...authHeader(), 'idempotency-key': 'retry-1' };
+  const body = { payment_method_id: 'pm_card_visa', plan_type: 'monthly' };
+
+  const first = await pay(body, headers);
+  const second = await pay(body, headers);
+
+  assert.equal(second.statusCode, first.statusCode);
+  assert.deepEqual(second.body, first.body);
+  assert.equal(second.headers['idempotent-replayed'], 'true');
+  assert.equal(stripe.calls.filter(call => call.method === 'paymentIntents.create').length, 1);
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import createSubscription from '../api/stripe/create-subscription.js';
+
+const PRICE_IDS = { STRIPE_PRICE_MONTHLY: 'price_monthly', STRIPE_PRICE_QUARTERLY: 'price_quarterly' };
+
+let stripe;
+
+Object.assign(process.env, PRICE_IDS);
+
+after(() => {
+  Object.keys(PRICE_IDS).forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function subscribe(body, headers = authHeader()) {
+  return invoke(createSubscription, { method: 'POST', headers: headers, body: body });
+}
+
+test('subscribes the student to the plan\'s Stripe Price', async () => {
+  const res = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'CA' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.subscription.status, 'active');
+  assert.equal(res.body.customer.email, 'student@example.com');
+
+  const created = stripe.calls.find(call => call.method === 'subscriptions.create');
+  assert.deepEqual(created.params.items, [{ price: 'price_monthly' }]);
+  assert.equal(created.params.payment_behavior, 'allow_incomplete');
+  assert.equal(created.params.metadata.firebase_uid, 'uid_student');
+});
+
+test('returns the client secret when the first invoice needs 3D Secure', async () => {
+  const res = await subscribe({ payment_method_id: 'pm_card_threeDSecure2Required', plan_type: 'monthly' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.requires_action, true);
+  assert.equal(res.body.subscription.status, 'incomplete');
+  assert.match(res.body.payment_intent.client_secret, /_secret_/);
+});
+
+test('refuses a second subscription and points to plan changes', async () => {
+  const first = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'monthly' });
+
+  const second = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'quarterly' });
+
+  assert.equal(second.statusCode, 409);
+  assert.equal(second.body.type, 'subscription_exists');
+  assert.equal(second.body.subscription.id, first.body.subscription.id);
+  assert.match(second.body.error, /change-plan/);
+  assert.equal(stripe.calls.filter(call => call.method === 'subscriptions.create').length, 1);
+});
+
+test('allows a new subscription once the old one has ended', async () => {
+  const first = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'monthly' });
+  stripe.subscriptions.data.get(first.body.subscription.id).status = 'canceled';
+
+  const res = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'quarterly' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+});
+
+test('requires a verified email', async () => {
+  const res = await subscribe({ payment_method_id: 'pm_card_visa', plan_type: 'monthly' }, authHeader({ email_verified: false }));
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(stripe.calls.length, 0);
+});
\ No newline at end of file
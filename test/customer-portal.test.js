@@ -0,0 +1,67 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import customerPortal from '../api/stripe/customer-portal.js';
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function openPortal(body, headers = authHeader()) {
+  return invoke(customerPortal, { method: 'POST', headers: headers, body: body });
+}
+
+test('opens the portal for the signed-in student', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+
+  const res = await openPortal({});
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.customer_id, customer.id);
+  assert.match(res.body.url, /^https:\/\/billing\.stripe\.com\//);
+
+  const session = stripe.calls.find(call => call.method === 'billingPortal.sessions.create');
+  assert.equal(session.params.return_url, 'https://www.gammapace.com');
+});
+
+test('accepts a return_url on our own site', async () => {
+  await stripe.customers.create({ email: 'student@example.com' });
+
+  const res = await openPortal({ return_url: 'https://www.gammapace.com/account' });
+
+  assert.equal(res.statusCode, 200);
+  const session = stripe.calls.find(call => call.method === 'billingPortal.sessions.create');
+  assert.equal(session.params.return_url, 'https://www.gammapace.com/account');
+});
+
+test('rejects a return_url on another site', async () => {
+  const res = await openPortal({ return_url: 'https://evil.example/' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'host_not_allowed');
+});
+
+test('hides customers that belong to someone else', async () => {
+  const other = await stripe.customers.create({ email: 'someone@example.com' });
+
+  const res = await openPortal({ customer_id: other.id });
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(stripe.calls.some(call => call.method === 'billingPortal.sessions.create'), false);
+});
+
+test('returns 404 when the student has no Stripe customer', async () => {
+  const res = await openPortal({});
+
+  assert.equal(res.statusCode, 404);
+});
+
+test('requires a verified email', async () => {
+  const res = await openPortal({}, authHeader({ email_verified: false }));
+
+  assert.equal(res.statusCode, 403);
+});
\ No newline at end of file
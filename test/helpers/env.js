@@ -0,0 +1,50 @@
+// /test/helpers/env.js
+// Test environment - import this first in every test file so the config module
+// sees these values. Also signs Firebase-style ID tokens with a local key pair.
+
+import crypto from 'crypto';
+
+export const TEST_PROJECT_ID = 'ielts-test';
+export const TEST_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+process.env.STRIPE_WEBHOOK_SECRET = TEST_WEBHOOK_SECRET;
+process.env.FIREBASE_PROJECT_ID = TEST_PROJECT_ID;
+process.env.FIREBASE_AUTH_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+process.env.ENTITLEMENT_STORE = 'memory';
+process.env.ALLOWED_ORIGINS = 'https://www.gammapace.com';
+delete process.env.FIREBASE_SERVICE_ACCOUNT;
+
+// The routes log every request - keep test output readable (TEST_VERBOSE=1 to see it)
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// Sign an RS256 ID token the way Firebase Auth would
+export function signIdToken(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', kid: 'test-key' };
+  const claims = {
+    iss: `https://securetoken.google.com/${TEST_PROJECT_ID}`,
+    aud: TEST_PROJECT_ID,
+    sub: 'uid_student',
+    email: 'student@example.com',
+    email_verified: true,
+    iat: now - 10,
+    exp: now + 3600,
+    ...overrides
+  };
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+export function authHeader(overrides) {
+  return { authorization: `Bearer ${signIdToken(overrides)}` };
+}
\ No newline at end of file
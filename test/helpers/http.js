@@ -0,0 +1,54 @@
+// /test/helpers/http.js
+// Minimal stand-ins for the Vercel req/res objects
+
+import { Readable } from 'stream';
+
+// rawBody makes the request a readable stream (webhooks read the raw bytes);
+// otherwise body is passed through as the already-parsed JSON
+export function createRequest({ method = 'POST', headers = {}, body, query = {}, rawBody } = {}) {
+  const req = rawBody !== undefined ? Readable.from([Buffer.from(rawBody)]) : {};
+  req.method = method;
+  req.headers = { ...headers };
+  req.query = query;
+  if (rawBody === undefined) {
+    req.body = body;
+  }
+  return req;
+}
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+// Run a handler and return the finished response
+export async function invoke(handler, request) {
+  const res = createResponse();
+  await handler(createRequest(request), res);
+  return res;
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+// /test/helpers/mock-razorpay.js
+// Local stand-in for Razorpay: the Orders API answered from memory through a
+// mocked global fetch, and webhook deliveries signed the way Razorpay signs them
+// (hex HMAC-SHA256 of the raw body in X-Razorpay-Signature)
+
+import crypto from 'crypto';
+import { mock } from 'node:test';
+
+// Set these in process.env to enable the Razorpay gateway
+export const RAZORPAY_ENV = {
+  RAZORPAY_KEY_ID: 'rzp_test_mock',
+  RAZORPAY_KEY_SECRET: 'rzp_key_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'rzp_webhook_secret'
+};
+
+const ORDERS_URL = 'https://api.razorpay.com/v1/orders';
+
+let counter = 0;
+
+// Installs the fetch mock - call restore() when the test is done
+export function createMockRazorpay() {
+  const orders = new Map();
+  const calls = [];
+  const authorization = `Basic ${Buffer.from(`${RAZORPAY_ENV.RAZORPAY_KEY_ID}:${RAZORPAY_ENV.RAZORPAY_KEY_SECRET}`).toString('base64')}`;
+
+  const fetchMock = mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    calls.push({ url: url, method: options.method, params: options.body ? JSON.parse(options.body) : null });
+
+    if (options.headers?.Authorization !== authorization) {
+      return Response.json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } }, { status: 401 });
+    }
+    if (url !== ORDERS_URL || options.method !== 'POST') {
+      return Response.json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The requested URL was not found on the server.' } }, { status: 404 });
+    }
+
+    const params = JSON.parse(options.body);
+    const order = {
+      id: `order_mock${++counter}`,
+      entity: 'order',
+      amount: params.amount,
+      amount_paid: 0,
+      amount_due: params.amount,
+      currency: params.currency,
+      receipt: params.receipt,
+      status: 'created',
+      attempts: 0,
+      notes: params.notes || {},
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    orders.set(order.id, order);
+    return Response.json(order);
+  });
+
+  return {
+    orders: orders,
+    calls: calls,
+    restore: () => fetchMock.mock.restore()
+  };
+}
+
+// The order.paid event Razorpay sends once a student pays an order
+export function orderPaidEvent(order, { method = 'upi' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    entity: 'event',
+    account_id: 'acc_mock',
+    event: 'order.paid',
+    contains: ['payment', 'order'],
+    payload: {
+      payment: {
+        entity: {
+          id: `pay_mock${++counter}`,
+          entity: 'payment',
+          amount: order.amount,
+          currency: order.currency,
+          status: 'captured',
+          order_id: order.id,
+          method: method,
+          created_at: now
+        }
+      },
+      order: {
+        entity: { ...order, amount_paid: order.amount, amount_due: 0, status: 'paid' }
+      }
+    },
+    created_at: now
+  };
+}
+
+// Request options for invoke(): raw JSON body plus a valid signature.
+// Pass { secret } to sign with the wrong key or { eventId } to repeat a delivery.
+export function razorpayWebhookRequest(payload, options = {}) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', options.secret || RAZORPAY_ENV.RAZORPAY_WEBHOOK_SECRET)
+    .update(body)
+    .digest('hex');
+
+  return {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'x-razorpay-signature': signature,
+      'x-razorpay-event-id': options.eventId || `evtmock${++counter}`
+    },
+    rawBody: body
+  };
+}
\ No newline at end of file
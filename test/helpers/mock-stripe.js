@@ -0,0 +1,371 @@
+// /test/helpers/mock-stripe.js
+// In-memory Stripe stand-in, injected with setStripe(). Only the calls the
+// routes make are implemented. Payment methods mirror Stripe's test tokens:
+//   pm_card_visa                   payment succeeds
+//   pm_card_threeDSecure2Required  needs 3D Secure (requires_action)
+//   pm_card_chargeDeclined         card is declined (StripeCardError)
+
+import Stripe from 'stripe';
+
+export function createMockStripe() {
+  const customers = new Map();
+  const paymentIntents = new Map();
+  const charges = new Map();
+  const subscriptions = new Map();
+  const promotionCodes = [];
+  const calls = [];
+  let counter = 0;
+
+  const nextId = prefix => `${prefix}_mock${++counter}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  // Record every call so tests can assert on what was sent to Stripe
+  function record(method, params, options) {
+    calls.push({ method: method, params: params, options: options });
+  }
+
+  function missing(id) {
+    return new Stripe.errors.StripeInvalidRequestError({
+      message: `No such object: '${id}'`,
+      code: 'resource_missing'
+    });
+  }
+
+  function applyPaymentMethod(paymentIntent) {
+    switch (paymentIntent.payment_method) {
+      case 'pm_card_chargeDeclined':
+        paymentIntent.status = 'requires_payment_method';
+        throw new Stripe.errors.StripeCardError({
+          message: 'Your card was declined.',
+          code: 'card_declined',
+          decline_code: 'generic_decline',
+          payment_intent: paymentIntent
+        });
+      case 'pm_card_threeDSecure2Required':
+        paymentIntent.status = 'requires_action';
+        paymentIntent.next_action = { type: 'use_stripe_sdk' };
+        break;
+      default:
+        paymentIntent.status = 'succeeded';
+        paymentIntent.next_action = null;
+    }
+  }
+
+  // One page of a list, newest first like Stripe, honouring created ranges,
+  // limit and starting_after
+  function listPage(items, params = {}) {
+    const created = params.created || {};
+    const newestFirst = [...items].reverse().sort((a, b) => (b.created || 0) - (a.created || 0));
+    const matching = newestFirst.filter(item =>
+      (created.gte === undefined || item.created >= created.gte) &&
+      (created.lte === undefined || item.created <= created.lte));
+    const start = params.starting_after ? matching.findIndex(item => item.id === params.starting_after) + 1 : 0;
+    const limit = params.limit || 10;
+    return { object: 'list', data: matching.slice(start, start + limit), has_more: start + limit < matching.length };
+  }
+
+  // A succeeded PaymentIntent's charge, created the first time it is needed
+  function chargeFor(paymentIntent) {
+    if (!paymentIntent.latest_charge) {
+      const charge = {
+        id: nextId('ch'),
+        object: 'charge',
+        amount: paymentIntent.amount,
+        amount_refunded: 0,
+        refunded: false,
+        receipt_url: `https://pay.stripe.com/receipts/mock/${paymentIntent.id}`,
+        currency: paymentIntent.currency,
+        customer: paymentIntent.customer,
+        payment_intent: paymentIntent.id,
+        invoice: paymentIntent.invoice?.id || paymentIntent.invoice || null
+      };
+      charges.set(charge.id, charge);
+      paymentIntent.latest_charge = charge.id;
+    }
+    return charges.get(paymentIntent.latest_charge);
+  }
+
+  // Tests add invoices with invoices.data.set(id, { ... }), and set
+  // invoices.upcoming to the proration invoice Stripe would build for a plan
+  // change - retrieveUpcoming returns it and subscriptions.update bills it
+  const invoices = {
+    data: new Map(),
+    upcoming: null,
+    async list(params) {
+      record('invoices.list', params);
+      const page = listPage([...invoices.data.values()]
+        .filter(invoice => !params.customer || invoice.customer === params.customer), params);
+      if ((params.expand || []).includes('data.charge')) {
+        page.data = page.data.map(invoice => ({ ...invoice, charge: charges.get(invoice.charge) || invoice.charge || null }));
+      }
+      return page;
+    },
+    async retrieveUpcoming(params) {
+      record('invoices.retrieveUpcoming', params);
+      return { object: 'invoice', ...invoices.upcoming };
+    }
+  };
+
+  return {
+    calls: calls,
+    invoices: invoices,
+    customers: {
+      data: customers,
+      async list(params) {
+        record('customers.list', params);
+        const data = [...customers.values()]
+          .filter(customer => !params.email || customer.email === params.email);
+        return { object: 'list', data: data.slice(0, params.limit || 10), has_more: false };
+      },
+      async create(params, options) {
+        record('customers.create', params, options);
+        const customer = { id: nextId('cus'), object: 'customer', created: now(), metadata: {}, ...params };
+        customers.set(customer.id, customer);
+        return customer;
+      },
+      async retrieve(id) {
+        record('customers.retrieve', id);
+        if (!customers.has(id)) {
+          throw missing(id);
+        }
+        return customers.get(id);
+      },
+      async update(id, params) {
+        record('customers.update', params);
+        const customer = { ...customers.get(id), ...params };
+        customers.set(id, customer);
+        return customer;
+      }
+    },
+    paymentIntents: {
+      data: paymentIntents,
+      async create(params, options) {
+        record('paymentIntents.create', params, options);
+        const paymentIntent = {
+          id: nextId('pi'),
+          object: 'payment_intent',
+          created: now(),
+          client_secret: null,
+          status: params.payment_method ? 'requires_confirmation' : 'requires_payment_method',
+          invoice: null,
+          metadata: {},
+          ...params
+        };
+        paymentIntent.client_secret = `${paymentIntent.id}_secret_mock`;
+        paymentIntents.set(paymentIntent.id, paymentIntent);
+        if (params.confirm) {
+          applyPaymentMethod(paymentIntent);
+        }
+        return paymentIntent;
+      },
+      async retrieve(id, params) {
+        record('paymentIntents.retrieve', id);
+        if (!paymentIntents.has(id)) {
+          throw missing(id);
+        }
+        const paymentIntent = paymentIntents.get(id);
+        if (paymentIntent.status !== 'succeeded' || !params?.expand?.includes('latest_charge')) {
+          return paymentIntent;
+        }
+        return { ...paymentIntent, amount_received: paymentIntent.amount, latest_charge: chargeFor(paymentIntent) };
+      },
+      async confirm(id) {
+        record('paymentIntents.confirm', id);
+        const paymentIntent = paymentIntents.get(id);
+        paymentIntent.status = 'succeeded';
+        paymentIntent.next_action = null;
+        return paymentIntent;
+      },
+      async list(params) {
+        record('paymentIntents.list', params);
+        const expand = params.expand || [];
+        const page = listPage([...paymentIntents.values()]
+          .filter(paymentIntent => !params.customer || paymentIntent.customer === params.customer), params);
+        page.data = page.data.map(paymentIntent => {
+          const expanded = { ...paymentIntent };
+          if (expand.includes('data.latest_charge') && paymentIntent.status === 'succeeded') {
+            expanded.latest_charge = chargeFor(paymentIntent);
+          }
+          if (expand.includes('data.customer') && customers.has(paymentIntent.customer)) {
+            expanded.customer = customers.get(paymentIntent.customer);
+          }
+          return expanded;
+        });
+        return page;
+      },
+      // Only understands the promo code redemption query from lib/promotions.js
+      async search(params) {
+        record('paymentIntents.search', params);
+        const promoCode = /metadata\['promo_code'\]:'([^']+)'/.exec(params.query)?.[1];
+        const data = [...paymentIntents.values()].filter(paymentIntent =>
+          paymentIntent.status === 'succeeded' && paymentIntent.metadata?.promo_code === promoCode);
+        return { object: 'search_result', data: data, has_more: false, next_page: null };
+      }
+    },
+    // Tests add promotion codes with promotionCodes.data.push({ code, coupon, ... })
+    promotionCodes: {
+      data: promotionCodes,
+      async list(params) {
+        record('promotionCodes.list', params);
+        const data = promotionCodes
+          .filter(promotionCode => promotionCode.code.toUpperCase() === params.code.toUpperCase())
+          .map(promotionCode => ({ id: `promo_${promotionCode.code}`, active: true, metadata: {}, ...promotionCode }));
+        return { object: 'list', data: data.slice(0, params.limit || 10), has_more: false };
+      }
+    },
+    charges: {
+      data: charges,
+      async retrieve(id) {
+        record('charges.retrieve', id);
+        if (!charges.has(id)) {
+          throw missing(id);
+        }
+        return charges.get(id);
+      }
+    },
+    refunds: {
+      async create(params, options) {
+        record('refunds.create', params, options);
+        const paymentIntent = paymentIntents.get(params.payment_intent);
+        if (!paymentIntent) {
+          throw missing(params.payment_intent);
+        }
+        const charge = chargeFor(paymentIntent);
+        const amount = params.amount || charge.amount - charge.amount_refunded;
+        charge.amount_refunded += amount;
+        charge.refunded = charge.amount_refunded >= charge.amount;
+        return {
+          id: nextId('re'),
+          object: 'refund',
+          amount: amount,
+          currency: charge.currency,
+          charge: charge.id,
+          payment_intent: paymentIntent.id,
+          reason: params.reason || null,
+          status: 'succeeded',
+          metadata: params.metadata || {}
+        };
+      }
+    },
+    paymentMethods: {
+      async attach(id, params) {
+        record('paymentMethods.attach', id);
+        return { id: id, object: 'payment_method', customer: params.customer };
+      }
+    },
+    // Tests add subscriptions with subscriptions.data.set(id, { ... })
+    subscriptions: {
+      data: subscriptions,
+      // The first invoice is paid at once, or left needing 3D Secure for
+      // pm_card_threeDSecure2Required (the subscription stays incomplete)
+      async create(params, options) {
+        record('subscriptions.create', params, options);
+        const needsAction = params.default_payment_method === 'pm_card_threeDSecure2Required';
+        const start = now();
+        const subscription = {
+          id: nextId('sub'),
+          object: 'subscription',
+          created: start,
+          customer: params.customer,
+          status: needsAction ? 'incomplete' : (params.trial_end ? 'trialing' : 'active'),
+          current_period_start: start,
+          current_period_end: params.trial_end || start + 30 * 86400,
+          cancel_at_period_end: false,
+          default_payment_method: params.default_payment_method,
+          items: { object: 'list', data: [{ quantity: 1, price: { id: params.items[0].price } }] },
+          metadata: params.metadata || {}
+        };
+        subscriptions.set(subscription.id, subscription);
+        const paymentIntentId = nextId('pi');
+        return {
+          ...subscription,
+          latest_invoice: {
+            id: nextId('in'),
+            object: 'invoice',
+            payment_intent: {
+              id: paymentIntentId,
+              status: needsAction ? 'requires_action' : 'succeeded',
+              client_secret: `${paymentIntentId}_secret_mock`
+            }
+          }
+        };
+      },
+      async list(params) {
+        record('subscriptions.list', params);
+        return listPage([...subscriptions.values()].filter(subscription =>
+          (!params.customer || subscription.customer === params.customer) &&
+          (params.status === 'all' || subscription.status === (params.status || 'active')) &&
+          (params.current_period_end?.gte === undefined || subscription.current_period_end >= params.current_period_end.gte)), params);
+      },
+      async retrieve(id) {
+        record('subscriptions.retrieve', id);
+        if (!subscriptions.has(id)) {
+          throw missing(id);
+        }
+        return subscriptions.get(id);
+      },
+      // A pm_card_threeDSecure2Required default card leaves a Price change pending
+      async update(id, params, options) {
+        record('subscriptions.update', params, options);
+        if (!subscriptions.has(id)) {
+          throw missing(id);
+        }
+        const subscription = { ...subscriptions.get(id) };
+        if (params.metadata) {
+          subscription.metadata = { ...subscription.metadata, ...params.metadata };
+        }
+        if (params.items) {
+          const needsAction = subscription.default_payment_method === 'pm_card_threeDSecure2Required';
+          const invoice = { id: nextId('in'), object: 'invoice', ...invoices.upcoming };
+          invoice.payment_intent = {
+            id: nextId('pi'),
+            status: needsAction ? 'requires_action' : 'succeeded',
+            client_secret: 'pi_mock_secret_mock'
+          };
+          subscription.latest_invoice = invoice;
+
+          if (needsAction) {
+            subscription.pending_update = { subscription_items: params.items };
+          } else {
+            const period = invoice.lines.data.find(line => !line.proration).period;
+            subscription.items = { object: 'list', data: [{ ...subscription.items.data[0], price: { id: params.items[0].price } }] };
+            subscription.current_period_start = period.start;
+            subscription.current_period_end = period.end;
+          }
+        }
+        subscriptions.set(id, subscription);
+        return subscription;
+      },
+      async cancel(id, params) {
+        record('subscriptions.cancel', id);
+        return { id: id, object: 'subscription', status: 'canceled', ...params };
+      }
+    },
+    balance: {
+      async retrieve() {
+        record('balance.retrieve');
+        return { object: 'balance', livemode: false, available: [{ amount: 0, currency: 'usd' }], pending: [] };
+      }
+    },
+    billingPortal: {
+      // Push or edit entries to test a missing or inactive portal
+      configurations: {
+        data: [{ id: 'bpc_mock_default', object: 'billing_portal.configuration', active: true, is_default: true }],
+        async list(params = {}) {
+          record('billingPortal.configurations.list', params);
+          const data = this.data.filter(configuration => params.is_default === undefined || configuration.is_default === params.is_default);
+          return { object: 'list', data: data.slice(0, params.limit || 10), has_more: false };
+        }
+      },
+      sessions: {
+        async create(params) {
+          record('billingPortal.sessions.create', params);
+          const id = nextId('bps');
+          return { id: id, object: 'billing_portal.session', url: `https://billing.stripe.com/p/session/${id}`, ...params };
+        }
+      }
+    },
+    // Real signature verification, so signed fixtures are checked exactly like production
+    webhooks: Stripe.webhooks
+  };
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+// /test/helpers/setup.js
+// Fresh state for each test: config re-read, empty memory stores, a new mock Stripe
+// and a memory email transport (read sent emails from getNotificationTransport().sent)
+
+import { resetConfig } from '../../lib/config.js';
+import { setStripe } from '../../lib/stripe.js';
+import * as entitlements from '../../lib/entitlements/index.js';
+import * as organizations from '../../lib/organizations/index.js';
+import * as idempotency from '../../lib/idempotency/index.js';
+import { setNotificationTransport, createMemoryTransport } from '../../lib/notifications/index.js';
+import { setRateLimitStore, createMemoryStore as createRateLimitStore } from '../../lib/rate-limit/index.js';
+import { setWebhookEventStore, createMemoryStore as createWebhookEventStore } from '../../lib/webhooks/index.js';
+import { clearHealthCache } from '../../lib/health.js';
+import { setGateway, GATEWAY_NAMES } from '../../lib/gateways/index.js';
+import { createMockStripe } from './mock-stripe.js';
+
+export function resetState() {
+  resetConfig();
+  entitlements.setEntitlementStore(entitlements.createMemoryStore());
+  organizations.setOrganizationStore(organizations.createMemoryStore());
+  for (const [namespace, { ttlMs }] of Object.entries(idempotency.NAMESPACES)) {
+    idempotency.setIdempotencyStore(namespace, idempotency.createMemoryStore(ttlMs));
+  }
+
+  setNotificationTransport(createMemoryTransport());
+  setRateLimitStore(createRateLimitStore());
+  setWebhookEventStore(createWebhookEventStore());
+  clearHealthCache();
+  // Gateways are rebuilt from the (re-read) config on first use
+  GATEWAY_NAMES.forEach(name => setGateway(name, undefined));
+
+  const stripe = createMockStripe();
+  setStripe(stripe);
+  return stripe;
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+// /test/helpers/webhooks.js
+// Signed webhook fixtures - builds Stripe event payloads and signs them with the
+// test STRIPE_WEBHOOK_SECRET the same way Stripe does (Stripe-Signature header)
+
+import Stripe from 'stripe';
+import { TEST_WEBHOOK_SECRET } from './env.js';
+
+let counter = 0;
+
+export function createEvent(type, object, overrides = {}) {
+  return {
+    id: `evt_mock${++counter}`,
+    object: 'event',
+    api_version: '2023-10-16',
+    created: Math.floor(Date.now() / 1000),
+    type: type,
+    livemode: false,
+    data: { object: object },
+    ...overrides
+  };
+}
+
+export function signPayload(payload, secret = TEST_WEBHOOK_SECRET) {
+  return Stripe.webhooks.generateTestHeaderString({ payload: payload, secret: secret });
+}
+
+// Request options for invoke(): raw JSON body plus a valid signature.
+// Pass { secret } to sign with the wrong key, or { signature } to send a fixed header.
+export function webhookRequest(event, options = {}) {
+  const payload = JSON.stringify(event);
+  const signature = options.signature !== undefined
+    ? options.signature
+    : signPayload(payload, options.secret);
+
+  const headers = { 'content-type': 'application/json' };
+  if (signature) {
+    headers['stripe-signature'] = signature;
+  }
+
+  return { method: 'POST', headers: headers, rawBody: payload };
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import invoices from '../api/stripe/invoices.js';
+
+const DAY = 24 * 60 * 60;
+
+let stripe;
+let customer;
+
+beforeEach(async () => {
+  stripe = resetState();
+  customer = await stripe.customers.create({ email: 'student@example.com' });
+});
+
+function listInvoices(query = {}, headers = authHeader()) {
+  return invoke(invoices, { method: 'GET', headers: headers, query: query });
+}
+
+// A one-off payment made daysAgo
+async function payment(daysAgo, { paymentMethod = 'pm_card_visa', metadata = {}, owner = customer } = {}) {
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: 1999,
+    currency: 'usd',
+    customer: owner.id,
+    payment_method: paymentMethod,
+    confirm: true,
+    metadata: { plan_type: 'monthly', customer_name: 'Asha Rao', user_country: 'IN', ...metadata }
+  }).catch(error => error.raw.payment_intent);
+  paymentIntent.created = Math.floor(Date.now() / 1000) - daysAgo * DAY;
+  return paymentIntent;
+}
+
+// A subscription invoice created daysAgo
+function invoice(daysAgo, fields = {}) {
+  const id = `in_${stripe.invoices.data.size + 1}`;
+  const record = {
+    id: id,
+    object: 'invoice',
+    customer: customer.id,
+    created: Math.floor(Date.now() / 1000) - daysAgo * DAY,
+    status: 'paid',
+    number: `IELTS-000${stripe.invoices.data.size + 1}`,
+    currency: 'usd',
+    amount_due: 4999,
+    amount_paid: 4999,
+    hosted_invoice_url: `https://invoice.stripe.com/i/${id}`,
+    invoice_pdf: `https://pay.stripe.com/invoice/${id}/pdf`,
+    subscription_details: { metadata: { plan_type: 'quarterly', customer_name: 'Asha Rao', user_country: 'IN' } },
+    lines: { data: [{ proration: false, amount: 4999, price: { id: 'price_unknown' } }] },
+    ...fields
+  };
+  stripe.invoices.data.set(id, record);
+  return record;
+}
+
+test('requires a signed-in student with a verified email', async () => {
+  assert.equal((await listInvoices({}, {})).statusCode, 401);
+  assert.equal((await listInvoices({}, authHeader({ email_verified: false }))).statusCode, 403);
+});
+
+test('lists receipts and invoices newest first with links and payment metadata', async () => {
+  const paid = await payment(10);
+  invoice(5);
+  await payment(3, { paymentMethod: 'pm_card_chargeDeclined' });
+  (await payment(2)).invoice = 'in_renewal';
+  invoice(1, { status: 'draft' });
+  await payment(1, { owner: await stripe.customers.create({ email: 'other@example.com' }) });
+
+  const res = await listInvoices();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.customer_id, customer.id);
+  assert.deepEqual(res.body.records.map(record => record.id), ['in_1', paid.id]);
+  assert.equal(res.body.has_more, false);
+  assert.equal(res.body.next_cursor, null);
+
+  const [subscriptionInvoice, receipt] = res.body.records;
+  assert.equal(subscriptionInvoice.type, 'invoice');
+  assert.equal(subscriptionInvoice.plan_type, 'quarterly');
+  assert.equal(subscriptionInvoice.number, 'IELTS-0001');
+  assert.equal(subscriptionInvoice.invoice_pdf, 'https://pay.stripe.com/invoice/in_1/pdf');
+  assert.equal(subscriptionInvoice.customer_name, 'Asha Rao');
+
+  assert.equal(receipt.type, 'payment');
+  assert.equal(receipt.amount, 1999);
+  assert.equal(receipt.display_amount, '$19.99');
+  assert.equal(receipt.plan_type, 'monthly');
+  assert.equal(receipt.description, 'IELTS Practice - Monthly Plan');
+  assert.equal(receipt.customer_name, 'Asha Rao');
+  assert.equal(receipt.user_country, 'IN');
+  assert.match(receipt.receipt_url, /^https:\/\/pay\.stripe\.com\/receipts\//);
+});
+
+test('pages through both lists without gaps or repeats', async () => {
+  for (const daysAgo of [9, 7, 5, 3, 1]) {
+    await payment(daysAgo);
+  }
+  for (const daysAgo of [8, 6, 2]) {
+    invoice(daysAgo);
+  }
+
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < 10; page++) {
+    const res = await listInvoices(cursor ? { limit: '3', cursor: cursor } : { limit: '3' });
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.body.records.length <= 3);
+    seen.push(...res.body.records);
+    cursor = res.body.next_cursor;
+    if (!res.body.has_more) {
+      break;
+    }
+  }
+
+  const created = seen.map(record => record.created);
+  assert.equal(seen.length, 8);
+  assert.equal(new Set(seen.map(record => record.id)).size, 8);
+  assert.deepEqual(created, [...created].sort().reverse());
+});
+
+test('answers an empty list without a Stripe customer and rejects bad cursors', async () => {
+  const none = await listInvoices({}, authHeader({ email: 'new@example.com' }));
+  assert.equal(none.statusCode, 200);
+  assert.deepEqual(none.body.records, []);
+
+  const bad = await listInvoices({ cursor: Buffer.from('{"payment_intent":"x"}').toString('base64url') });
+  assert.equal(bad.statusCode, 400);
+  assert.equal(bad.body.errors[0].field, 'cursor');
+});
\ No newline at end of file
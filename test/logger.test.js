@@ -0,0 +1,92 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { logger, redact } from '../lib/logger.js';
+import status from '../api/status.js';
+
+beforeEach(() => {
+  resetState();
+});
+
+// Collect the JSON lines written while fn runs
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = line => lines.push(JSON.parse(line));
+  console.error = line => lines.push(JSON.parse(line));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+  return lines;
+}
+
+test('redacts personal data by key and by pattern', () => {
+  const redacted = redact({
+    customer_id: 'cus_123',
+    email: 'student@example.com',
+    customer: { name: 'Asha', address: { city: 'Toronto' } },
+    client_secret: 'pi_123_secret_abc',
+    url: 'https://billing.stripe.com/p/session/test_123',
+    reason: 'No such customer: student@example.com (pi_123_secret_abc)'
+  });
+
+  assert.deepEqual(redacted, {
+    customer_id: 'cus_123',
+    email: '[REDACTED]',
+    customer: { name: '[REDACTED]', address: '[REDACTED]' },
+    client_secret: '[REDACTED]',
+    url: '[REDACTED]',
+    reason: 'No such customer: [REDACTED] ([REDACTED])'
+  });
+});
+
+test('writes one JSON line per entry with level and message', async () => {
+  const lines = await captureLogs(() => {
+    logger.info('Payment intent created', { payment_intent_id: 'pi_1' });
+    logger.error('Payment processing error', new Error('Card for student@example.com declined'));
+  });
+
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].level, 'info');
+  assert.equal(lines[0].msg, 'Payment intent created');
+  assert.equal(lines[0].payment_intent_id, 'pi_1');
+  assert.equal(lines[1].level, 'error');
+  assert.equal(lines[1].error.message, 'Card for [REDACTED] declined');
+});
+
+test('skips entries below LOG_LEVEL', async () => {
+  process.env.LOG_LEVEL = 'warn';
+  try {
+    const lines = await captureLogs(() => {
+      logger.info('hidden');
+      logger.warn('shown');
+    });
+    assert.deepEqual(lines.map(line => line.msg), ['shown']);
+  } finally {
+    delete process.env.LOG_LEVEL;
+  }
+});
+
+test('tags every entry of a request with its X-Request-Id', async () => {
+  let res;
+  const lines = await captureLogs(async () => {
+    res = await invoke(status, { method: 'GET' });
+  });
+
+  assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every(line => line.request_id === res.headers['x-request-id']));
+});
+
+test('reuses a well-formed incoming X-Request-Id', async () => {
+  const res = await invoke(status, { method: 'GET', headers: { 'x-request-id': 'frontend-abc-12345' } });
+  assert.equal(res.headers['x-request-id'], 'frontend-abc-12345');
+
+  const bad = await invoke(status, { method: 'GET', headers: { 'x-request-id': 'bad id\nwith newline' } });
+  assert.notEqual(bad.headers['x-request-id'], 'bad id\nwith newline');
+});
\ No newline at end of file
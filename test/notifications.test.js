@@ -0,0 +1,68 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { sendNotification, getNotificationTransport, getDunningStep } from '../lib/notifications/index.js';
+import { renderTemplate, TEMPLATES } from '../lib/notifications/templates.js';
+
+beforeEach(() => {
+  resetState();
+});
+
+test('renders every template as text and html', () => {
+  for (const template of Object.keys(TEMPLATES)) {
+    const message = renderTemplate(template, {
+      customer_name: 'Asha <b>',
+      plan_type: 'monthly',
+      amount: 2499,
+      currency: 'cad',
+      end_date: '2026-11-18T00:00:00.000Z',
+      renewal_date: '2026-11-18T00:00:00.000Z'
+    });
+    assert.ok(message.subject, template);
+    assert.match(message.text, /^Hi Asha <b>,/);
+    assert.match(message.html, /<p>Hi Asha &lt;b&gt;,<\/p>/);
+  }
+});
+
+test('formats the receipt amount and access date', () => {
+  const message = renderTemplate('receipt', {
+    plan_type: 'quarterly',
+    amount: 4999,
+    currency: 'usd',
+    end_date: '2027-01-17T10:00:00.000Z'
+  });
+
+  assert.equal(message.subject, 'Receipt for your Quarterly Plan');
+  assert.match(message.text, /Hi there,/);
+  assert.match(message.text, /\$49\.99/);
+  assert.match(message.text, /17 January 2027/);
+});
+
+test('sends at most once per dedupe key', async () => {
+  await sendNotification('receipt', 'student@example.com', {}, { dedupeKey: 'receipt:pi_1' });
+  const second = await sendNotification('receipt', 'student@example.com', {}, { dedupeKey: 'receipt:pi_1' });
+
+  assert.equal(second, null);
+  assert.equal(getNotificationTransport().sent.length, 1);
+  assert.equal(getNotificationTransport().sent[0].from, 'IELTS Practice <no-reply@gammapace.com>');
+});
+
+test('skips students without an email address', async () => {
+  assert.equal(await sendNotification('receipt', null, {}), null);
+  assert.equal(getNotificationTransport().sent.length, 0);
+});
+
+test('picks the dunning stage from attempt_count', () => {
+  const nextAttempt = Math.floor(Date.now() / 1000) + 86400;
+
+  assert.equal(getDunningStep({ attempt_count: 1, next_payment_attempt: nextAttempt }).stage, 'first_notice');
+  assert.equal(getDunningStep({ attempt_count: 2, next_payment_attempt: nextAttempt }).stage, 'reminder');
+  assert.equal(getDunningStep({ attempt_count: 3, next_payment_attempt: nextAttempt }).final, true);
+  assert.deepEqual(getDunningStep({ attempt_count: 1, next_payment_attempt: null }), {
+    attempt: 1,
+    stage: 'final_notice',
+    final: true,
+    next_attempt_date: null
+  });
+});
\ No newline at end of file
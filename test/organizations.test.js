@@ -0,0 +1,252 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { createEvent, webhookRequest } from './helpers/webhooks.js';
+import { getOrganizationStore } from '../lib/organizations/index.js';
+import { getEntitlementStore } from '../lib/entitlements/index.js';
+import { getNotificationTransport } from '../lib/notifications/index.js';
+import purchase from '../api/organizations/purchase.js';
+import seats from '../api/organizations/seats.js';
+import join from '../api/organizations/join.js';
+import subscriptionStatus from '../api/subscription.js';
+import webhook from '../api/stripe/webhook.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const owner = () => authHeader({ sub: 'uid_owner', email: 'director@coaching.example' });
+const student = name => authHeader({ sub: `uid_${name}`, email: `${name}@example.com` });
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function buy(body, headers = owner()) {
+  return invoke(purchase, { method: 'POST', headers: headers, body: body });
+}
+
+function manage(body, headers = owner()) {
+  return invoke(seats, { method: 'POST', headers: headers, body: body });
+}
+
+function access(headers) {
+  return invoke(subscriptionStatus, { method: 'GET', headers: headers });
+}
+
+// Buys seats with a card and delivers the payment webhook
+async function activeOrganization(seatCount = 3) {
+  const res = await buy({
+    organization_name: 'Bright IELTS Academy',
+    plan_type: 'monthly',
+    seats: seatCount,
+    payment_method_id: 'pm_card_visa',
+    user_country: 'CA'
+  });
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  return { organizationId: res.body.organization.id, paymentIntent: paymentIntent };
+}
+
+test('charges the seat price times the seats and activates the organization by webhook', async () => {
+  const res = await buy({
+    organization_name: 'Bright IELTS Academy',
+    plan_type: 'monthly',
+    seats: 10,
+    payment_method_id: 'pm_card_visa',
+    user_country: 'CA',
+    amount: 24990
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.organization.status, 'pending');
+  assert.equal(res.body.organization.seats, 10);
+  assert.match(res.body.organization.invite_code, /^[A-Z0-9]{8}$/);
+
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  assert.equal(paymentIntent.amount, 24990);
+  assert.equal(paymentIntent.metadata.organization_id, res.body.organization.id);
+  assert.equal(paymentIntent.metadata.seats, '10');
+
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+
+  const organization = await getOrganizationStore().get(res.body.organization.id);
+  assert.equal(organization.status, 'active');
+  assert.equal(organization.owner_email, 'director@coaching.example');
+  assert.equal(new Date(organization.end_date) - new Date(organization.start_date), 30 * DAY_MS);
+  // The payer buys seats, not a plan of their own - also when access is rebuilt from Stripe
+  assert.equal(await getEntitlementStore().get(paymentIntent.customer), null);
+  const payerAccess = await access(owner());
+  assert.equal(payerAccess.body.active, false);
+  assert.equal(payerAccess.body.source, 'stripe');
+
+  const sent = getNotificationTransport().sent;
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].template, 'receipt');
+  assert.equal(sent[0].to, 'director@coaching.example');
+});
+
+test('rejects too few seats and a price that does not match', async () => {
+  const res = await buy({ organization_name: 'Solo', plan_type: 'monthly', seats: 1 });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'out_of_range');
+
+  const mismatch = await buy({ organization_name: 'Bright', plan_type: 'monthly', seats: 5, user_country: 'CA', amount: 2499 });
+  assert.equal(mismatch.statusCode, 400);
+  assert.equal(mismatch.body.errors[0].code, 'amount_mismatch');
+
+  const recurring = await buy({ organization_name: 'Bright', plan_type: 'monthly', seats: 5, recurring: true });
+  assert.equal(recurring.body.errors[0].field, 'payment_method_id');
+  assert.equal(stripe.calls.some(call => call.method === 'paymentIntents.create'), false);
+});
+
+test('keeps one organization when a purchase is retried with its Idempotency-Key', async () => {
+  const headers = { ...owner(), 'idempotency-key': 'bulk-order-1' };
+  const body = { organization_name: 'Bright IELTS Academy', plan_type: 'monthly', seats: 3, payment_method_id: 'pm_card_visa' };
+  const create = stripe.paymentIntents.create;
+  stripe.paymentIntents.create = async (params, options) => {
+    stripe.paymentIntents.create = create;
+    stripe.calls.push({ method: 'paymentIntents.create', params: params, options: options });
+    throw new Error('Connection reset');
+  };
+
+  assert.equal((await buy(body, headers)).statusCode, 500);
+  const retried = await buy(body, headers);
+
+  assert.equal(retried.statusCode, 200);
+  const attempts = stripe.calls.filter(call => call.method === 'paymentIntents.create');
+  assert.equal(attempts.length, 2);
+  assert.equal(attempts[0].params.metadata.organization_id, retried.body.organization.id);
+  assert.equal(attempts[1].params.metadata.organization_id, retried.body.organization.id);
+  assert.equal(attempts[0].options.idempotencyKey, attempts[1].options.idempotencyKey);
+  assert.equal((await getOrganizationStore().get(retried.body.organization.id)).payment_intent_id, retried.body.payment_intent.id);
+});
+
+test('lets the owner assign and reassign seats up to the number bought', async () => {
+  const { organizationId } = await activeOrganization(2);
+
+  assert.equal((await manage({ organization_id: organizationId, action: 'assign', email: 'A@example.com' })).statusCode, 200);
+  await manage({ organization_id: organizationId, action: 'assign', email: 'b@example.com' });
+
+  const full = await manage({ organization_id: organizationId, action: 'assign', email: 'c@example.com' });
+  assert.equal(full.statusCode, 400);
+  assert.equal(full.body.errors[0].code, 'seats_full');
+
+  const seatAccess = await access(student('a'));
+  assert.equal(seatAccess.body.active, true);
+  assert.equal(seatAccess.body.source, 'organization');
+  assert.equal(seatAccess.body.organization.name, 'Bright IELTS Academy');
+
+  const moved = await manage({ organization_id: organizationId, action: 'reassign', email: 'a@example.com', new_email: 'c@example.com' });
+  // The new student takes over the seat in its place
+  assert.deepEqual(moved.body.organization.seat_emails, ['c@example.com', 'b@example.com']);
+  assert.equal((await access(student('a'))).body.active, false);
+  assert.equal((await access(student('c'))).body.active, true);
+
+  // Only the payer (or support staff) manages the seats
+  const other = await manage({ organization_id: organizationId, action: 'remove', email: 'b@example.com' }, student('b'));
+  assert.equal(other.statusCode, 403);
+});
+
+test('lets students join with the invite code while seats are free', async () => {
+  const { organizationId } = await activeOrganization(2);
+  const { organization } = (await invoke(seats, {
+    method: 'GET',
+    headers: owner(),
+    query: { organization_id: organizationId }
+  })).body;
+
+  const joinWith = (headers, code = organization.invite_code) =>
+    invoke(join, { method: 'POST', headers: headers, body: { invite_code: code } });
+
+  assert.equal((await joinWith(student('a'), organization.invite_code.toLowerCase())).statusCode, 200);
+  assert.equal((await joinWith(student('b'))).body.organization.active, true);
+  assert.equal((await joinWith(student('c'))).body.errors[0].code, 'seats_full');
+  assert.equal((await joinWith(student('d'), 'ZZZZZZZZ')).body.errors[0].code, 'invite_not_found');
+  assert.equal((await joinWith(authHeader({ sub: 'uid_e', email: 'e@example.com', email_verified: false }))).statusCode, 403);
+
+  // Two students racing for the last seat - only one gets it
+  await manage({ organization_id: organizationId, action: 'remove', email: 'b@example.com' });
+  const race = await Promise.all([joinWith(student('f')), joinWith(student('g'))]);
+  assert.deepEqual(race.map(res => res.statusCode).sort(), [200, 400]);
+  assert.equal((await getOrganizationStore().get(organizationId)).seat_emails.length, 2);
+
+  // A student holds one seat at a time
+  const { organizationId: otherId } = await activeOrganization(2);
+  const taken = await manage({ organization_id: otherId, action: 'assign', email: 'a@example.com' });
+  assert.equal(taken.body.errors[0].code, 'seat_taken');
+
+  // Once the first organization lapses, its seat is given up for the new one
+  await getOrganizationStore().put(organizationId, { end_date: new Date(Date.now() - DAY_MS).toISOString() });
+  assert.equal((await manage({ organization_id: otherId, action: 'assign', email: 'a@example.com' })).statusCode, 200);
+  assert.equal((await getOrganizationStore().get(organizationId)).seat_emails.includes('a@example.com'), false);
+});
+
+test('follows the seat count and period of an organization subscription', async () => {
+  const { organizationId } = await activeOrganization(3);
+  for (const name of ['a', 'b', 'c']) {
+    await manage({ organization_id: organizationId, action: 'assign', email: `${name}@example.com` });
+  }
+  const organization = await getOrganizationStore().get(organizationId);
+  const now = Math.floor(Date.now() / 1000);
+  const subscription = {
+    id: 'sub_org',
+    object: 'subscription',
+    customer: organization.customer_id,
+    status: 'active',
+    current_period_start: now,
+    current_period_end: now + 30 * 86400,
+    cancel_at_period_end: false,
+    items: { data: [{ quantity: 2, price: { id: 'price_monthly' } }] },
+    metadata: { organization_id: organizationId, plan_type: 'monthly', firebase_uid: 'uid_owner' }
+  };
+
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.updated', subscription)));
+
+  const fewer = await getOrganizationStore().get(organizationId);
+  assert.equal(fewer.seats, 2);
+  assert.equal(fewer.subscription_id, 'sub_org');
+  assert.deepEqual(fewer.seat_emails, ['a@example.com', 'b@example.com']);
+  assert.equal((await access(student('c'))).body.active, false);
+
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.deleted', {
+    ...subscription,
+    status: 'canceled',
+    canceled_at: now - 60,
+    ended_at: now - 60
+  })));
+
+  assert.equal((await getOrganizationStore().get(organizationId)).status, 'canceled');
+  assert.equal((await access(student('a'))).body.active, false);
+});
+
+test('removes seats for a partial refund and ends them all for a full refund', async () => {
+  const { organizationId, paymentIntent } = await activeOrganization(4);
+  for (const name of ['a', 'b', 'c', 'd']) {
+    await manage({ organization_id: organizationId, action: 'assign', email: `${name}@example.com` });
+  }
+  const charge = amountRefunded => ({
+    id: 'ch_org',
+    object: 'charge',
+    amount: paymentIntent.amount,
+    amount_refunded: amountRefunded,
+    refunded: amountRefunded === paymentIntent.amount,
+    customer: paymentIntent.customer,
+    payment_intent: paymentIntent.id,
+    invoice: null
+  });
+
+  // One seat's worth back
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', charge(paymentIntent.amount / 4))));
+  const partial = await getOrganizationStore().get(organizationId);
+  assert.equal(partial.seats, 3);
+  assert.deepEqual(partial.seat_emails, ['a@example.com', 'b@example.com', 'c@example.com']);
+  assert.equal(partial.status, 'active');
+
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', charge(paymentIntent.amount))));
+  assert.equal((await getOrganizationStore().get(organizationId)).status, 'refunded');
+  assert.equal((await access(student('a'))).body.active, false);
+});
\ No newline at end of file
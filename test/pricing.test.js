@@ -0,0 +1,119 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { PLANS, formatPrice, minimumChargeAmount } from '../lib/plans.js';
+import { renderTemplate } from '../lib/notifications/templates.js';
+import quote from '../api/quote.js';
+import plans from '../api/plans.js';
+import createPaymentIntent from '../api/stripe/create-payment-intent.js';
+
+let stripe;
+
+process.env.LOCAL_COUPONS = JSON.stringify([
+  { code: 'YEN2950', amount_off: { jpy: 2950 } },
+  { code: 'HALF', percent_off: 50 }
+]);
+
+after(() => {
+  delete process.env.LOCAL_COUPONS;
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function getQuote(query, headers = {}) {
+  return invoke(quote, { method: 'GET', headers: headers, query: query });
+}
+
+test('every catalog price is at least the Stripe minimum charge', () => {
+  for (const plan of Object.values(PLANS)) {
+    for (const [currency, amount] of Object.entries(plan.prices)) {
+      assert.ok(amount >= minimumChargeAmount(currency), `${plan.name} ${currency}`);
+    }
+  }
+});
+
+test('formats zero-decimal currencies in whole units', () => {
+  assert.equal(formatPrice(2980, 'jpy'), '¥2,980');
+  assert.equal(formatPrice(2499, 'cad'), 'CA$24.99');
+
+  const receipt = renderTemplate('receipt', { plan_type: 'monthly', amount: 2980, currency: 'jpy' });
+  assert.match(receipt.text, /¥2,980/);
+});
+
+test('quotes the local price for user_country', async () => {
+  const res = await getQuote({ plan_type: 'monthly', user_country: 'jp' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.quote, {
+    plan_type: 'monthly',
+    name: 'Monthly Plan',
+    duration_days: 30,
+    country: 'JP',
+    country_source: 'user',
+    currency: 'jpy',
+    amount: 2980,
+    display_amount: '¥2,980',
+    zero_decimal: true,
+    discount: null
+  });
+});
+
+test('falls back to the Vercel geo header, then the default currency', async () => {
+  const geo = await getQuote({ plan_type: 'weekly' }, { 'x-vercel-ip-country': 'IN' });
+  const unknown = await getQuote({ plan_type: 'weekly' });
+
+  assert.equal(geo.body.quote.country_source, 'geo');
+  assert.equal(geo.body.quote.currency, 'inr');
+  assert.equal(geo.body.quote.amount, 29900);
+  assert.equal(unknown.body.quote.country_source, 'default');
+  assert.equal(unknown.body.quote.currency, 'usd');
+
+  const catalog = await invoke(plans, { method: 'GET', headers: { 'x-vercel-ip-country': 'gb' }, query: {} });
+  assert.equal(catalog.body.country, 'GB');
+  assert.equal(catalog.body.currency, 'gbp');
+});
+
+test('includes the promo code discount', async () => {
+  const res = await getQuote({ plan_type: 'monthly', user_country: 'CA', promo_code: 'half' });
+
+  assert.equal(res.body.quote.amount, 1249);
+  assert.deepEqual(res.body.quote.discount, { promo_code: 'HALF', original_amount: 2499, discount_amount: 1250 });
+});
+
+test('rejects a discount that would go below the minimum charge', async () => {
+  const res = await getQuote({ plan_type: 'monthly', user_country: 'JP', promo_code: 'YEN2950' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'promo_too_large');
+});
+
+test('charges exactly the quoted price', async () => {
+  const quoted = (await getQuote({ plan_type: 'quarterly' }, { 'x-vercel-ip-country': 'JP' })).body.quote;
+
+  const res = await invoke(createPaymentIntent, {
+    method: 'POST',
+    headers: { ...authHeader(), 'x-vercel-ip-country': 'JP' },
+    body: { payment_method_id: 'pm_card_visa', plan_type: 'quarterly', currency: quoted.currency, amount: quoted.amount }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const created = stripe.calls.find(call => call.method === 'paymentIntents.create');
+  assert.equal(created.params.amount, 7480);
+  assert.equal(created.params.currency, 'jpy');
+  assert.equal(created.params.metadata.user_country, 'JP');
+});
+
+test('rejects a quote for another country', async () => {
+  const res = await invoke(createPaymentIntent, {
+    method: 'POST',
+    headers: { ...authHeader(), 'x-vercel-ip-country': 'US' },
+    body: { payment_method_id: 'pm_card_visa', plan_type: 'quarterly', currency: 'jpy', amount: 7480 }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors.map(error => error.code), ['currency_mismatch', 'amount_mismatch']);
+});
\ No newline at end of file
@@ -0,0 +1,141 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import createPaymentIntent from '../api/stripe/create-payment-intent.js';
+
+let stripe;
+
+process.env.LOCAL_COUPONS = JSON.stringify([
+  { code: 'student10', percent_off: 10 },
+  { code: 'INDIA500', amount_off: { inr: 50000 }, countries: ['IN'] },
+  { code: 'UK2', amount_off: { GBP: 200 } },
+  { code: 'OLD', percent_off: 20, expires_at: '2020-01-01T00:00:00Z' },
+  { code: 'ONCE', percent_off: 15, max_redemptions: 1 },
+  { code: 'QUARTERLY', percent_off: 25, plan_types: ['quarterly'] },
+  { code: 'FREE', percent_off: 100 }
+]);
+
+after(() => {
+  delete process.env.LOCAL_COUPONS;
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function pay(body) {
+  return invoke(createPaymentIntent, { method: 'POST', headers: authHeader(), body: body });
+}
+
+function promoError(res) {
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].field, 'promo_code');
+  return res.body.errors[0].code;
+}
+
+test('applies a local percent-off coupon on the server', async () => {
+  const res = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'CA', promo_code: 'Student10' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.discount, { promo_code: 'STUDENT10', original_amount: 2499, discount_amount: 250 });
+
+  const created = stripe.calls.find(call => call.method === 'paymentIntents.create');
+  assert.equal(created.params.amount, 2249);
+  assert.equal(created.params.metadata.promo_code, 'STUDENT10');
+  assert.equal(created.params.metadata.promo_source, 'local');
+  assert.equal(created.params.metadata.discount_amount, '250');
+});
+
+test('checks a client-sent amount against the discounted price', async () => {
+  const ok = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', promo_code: 'STUDENT10', amount: 1799 });
+  assert.equal(ok.statusCode, 200);
+
+  const wrong = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', promo_code: 'STUDENT10', amount: 1999 });
+  assert.equal(wrong.body.errors[0].code, 'amount_mismatch');
+});
+
+test('applies fixed amounts and country limits', async () => {
+  const india = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'IN', promo_code: 'INDIA500' });
+  assert.equal(india.statusCode, 200);
+  assert.equal(india.body.discount.discount_amount, 50000);
+
+  const canada = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'CA', promo_code: 'INDIA500' });
+  assert.equal(promoError(canada), 'promo_not_available');
+
+  // Currency keys match in either case
+  const uk = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'GB', promo_code: 'UK2' });
+  assert.equal(uk.body.discount.discount_amount, 200);
+});
+
+test('takes a Stripe coupon\'s amount_off in the plan currency from its currency_options', async () => {
+  stripe.promotionCodes.data.push({
+    code: 'FIVEOFF',
+    coupon: { id: 'coupon_five', valid: true, amount_off: 500, currency: 'usd', currency_options: { inr: { amount_off: 40000 } } }
+  });
+
+  const india = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'IN', promo_code: 'FIVEOFF' });
+  assert.equal(india.body.discount.discount_amount, 40000);
+  const us = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'US', promo_code: 'FIVEOFF' });
+  assert.equal(us.body.discount.discount_amount, 500);
+  const canada = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', user_country: 'CA', promo_code: 'FIVEOFF' });
+  assert.equal(promoError(canada), 'promo_not_available');
+  assert.deepEqual(stripe.calls.find(call => call.method === 'promotionCodes.list').params.expand,
+    ['data.coupon.applies_to', 'data.coupon.currency_options']);
+});
+
+test('rejects unknown, expired, plan-limited and too-large codes', async () => {
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', promo_code: 'NOPE' })), 'promo_not_found');
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', promo_code: 'OLD' })), 'promo_expired');
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', promo_code: 'QUARTERLY' })), 'promo_not_available');
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', promo_code: 'FREE' })), 'promo_too_large');
+  assert.equal(stripe.calls.some(call => call.method === 'paymentIntents.create'), false);
+});
+
+test('stops a code once max_redemptions payments have succeeded', async () => {
+  const first = await pay({ payment_method_id: 'pm_card_visa', promo_code: 'ONCE' });
+  assert.equal(first.statusCode, 200);
+
+  const second = await pay({ payment_method_id: 'pm_card_visa', promo_code: 'ONCE' });
+  assert.equal(promoError(second), 'promo_exhausted');
+});
+
+test('falls back to Stripe promotion codes', async () => {
+  stripe.promotionCodes.data.push({
+    code: 'SPRING',
+    metadata: { plan_types: 'monthly,quarterly' },
+    coupon: { id: 'coupon_spring', valid: true, percent_off: 20 }
+  });
+
+  const res = await pay({ payment_method_id: 'pm_card_visa', plan_type: 'quarterly', promo_code: 'spring' });
+
+  assert.equal(res.statusCode, 200);
+  const created = stripe.calls.find(call => call.method === 'paymentIntents.create');
+  assert.equal(created.params.amount, 3999);
+  assert.equal(created.params.metadata.promo_source, 'stripe');
+  assert.equal(created.params.metadata.coupon_id, 'coupon_spring');
+  assert.equal(created.params.metadata.promotion_code_id, 'promo_SPRING');
+});
+
+test('rejects an inactive Stripe promotion code', async () => {
+  stripe.promotionCodes.data.push({ code: 'PAUSED', active: false, coupon: { id: 'coupon_paused', valid: true, percent_off: 20 } });
+
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', promo_code: 'PAUSED' })), 'promo_expired');
+});
+
+test('honours the restrictions on a Stripe promotion code', async () => {
+  const coupon = { id: 'coupon_vip', valid: true, percent_off: 20 };
+  stripe.promotionCodes.data.push(
+    { code: 'BIGORDER', coupon: coupon, restrictions: { minimum_amount: 3000, minimum_amount_currency: 'usd' } },
+    { code: 'JUSTYOU', coupon: coupon, customer: 'cus_someone_else' },
+    { code: 'WELCOME', coupon: coupon, restrictions: { first_time_transaction: true } },
+    { code: 'BOOKS', coupon: { ...coupon, applies_to: { products: ['prod_books'] } } }
+  );
+
+  assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', plan_type: 'monthly', promo_code: 'BIGORDER' })), 'promo_not_available');
+  assert.equal((await pay({ payment_method_id: 'pm_card_visa', plan_type: 'quarterly', promo_code: 'BIGORDER' })).statusCode, 200);
+  for (const code of ['JUSTYOU', 'WELCOME', 'BOOKS']) {
+    assert.equal(promoError(await pay({ payment_method_id: 'pm_card_visa', promo_code: code })), 'promo_not_available');
+  }
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { loadConfig } from '../lib/config.js';
+import { setRateLimitStore, createRedisStore } from '../lib/rate-limit/index.js';
+import createPaymentIntent from '../api/stripe/create-payment-intent.js';
+import confirmPaymentIntent from '../api/stripe/confirm-payment-intent.js';
+import createCheckoutSession from '../api/stripe/create-checkout-session.js';
+import customerPortal from '../api/stripe/customer-portal.js';
+
+let stripe;
+
+process.env.RATE_LIMIT_PAYMENT_PER_IP = '8';
+
+after(() => {
+  delete process.env.RATE_LIMIT_PAYMENT_PER_IP;
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function pay(paymentMethod, { ip = '203.0.113.7', email = 'student@example.com' } = {}) {
+  return invoke(createPaymentIntent, {
+    method: 'POST',
+    headers: { ...authHeader({ email: email }), 'x-forwarded-for': `${ip}, 10.0.0.1` },
+    body: { payment_method_id: paymentMethod, plan_type: 'monthly' }
+  });
+}
+
+test('limits payment attempts per email', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await pay('pm_card_visa', { ip: `198.51.100.${i}` })).statusCode, 200);
+  }
+
+  const res = await pay('pm_card_visa', { ip: '198.51.100.99' });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.type, 'rate_limited');
+  assert.ok(Number(res.headers['retry-after']) > 0);
+});
+
+test('limits payment attempts per IP across accounts', async () => {
+  for (let i = 0; i < 8; i++) {
+    await pay('pm_card_visa', { email: `student${i}@example.com` });
+  }
+
+  const res = await pay('pm_card_visa', { email: 'fresh@example.com' });
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(stripe.calls.filter(call => call.method === 'paymentIntents.create').length, 8);
+});
+
+test('blocks payments after repeated card declines', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await pay('pm_card_chargeDeclined', { ip: `198.51.100.${i}` })).body.type, 'card_error');
+  }
+
+  const blocked = await pay('pm_card_visa', { ip: '198.51.100.50' });
+  const otherStudent = await pay('pm_card_visa', { ip: '198.51.100.51', email: 'other@example.com' });
+
+  assert.equal(blocked.statusCode, 429);
+  assert.match(blocked.body.error, /declined/);
+  assert.equal(otherStudent.statusCode, 200);
+});
+
+test('blocks the other payment routes too after repeated card declines', async () => {
+  for (let i = 0; i < 3; i++) {
+    await pay('pm_card_chargeDeclined', { ip: `198.51.100.${i}` });
+  }
+  const headers = { ...authHeader(), 'x-forwarded-for': '198.51.100.60' };
+
+  const checkout = await invoke(createCheckoutSession, { method: 'POST', headers: headers, body: { plan_type: 'monthly' } });
+  const confirm = await invoke(confirmPaymentIntent, { method: 'POST', headers: headers, body: { payment_intent_id: 'pi_any' } });
+
+  assert.equal(checkout.statusCode, 429);
+  assert.equal(confirm.statusCode, 429);
+  assert.equal(stripe.calls.some(call => ['checkout.sessions.create', 'paymentIntents.retrieve'].includes(call.method)), false);
+});
+
+test('lets payments through when the store is down', async () => {
+  const broken = async () => { throw new Error('Redis down'); };
+  setRateLimitStore({ name: 'broken', hit: broken, peek: broken, reset: broken });
+
+  const res = await pay('pm_card_visa');
+
+  assert.equal(res.statusCode, 200);
+});
+
+test('answers the portal the same way whether or not a customer exists', async () => {
+  const other = await stripe.customers.create({ email: 'someone@example.com' });
+  const openPortal = body => invoke(customerPortal, { method: 'POST', headers: authHeader(), body: body });
+
+  const responses = [
+    await openPortal({}),
+    await openPortal({ customer_id: other.id }),
+    await openPortal({ customer_id: 'cus_doesnotexist' })
+  ];
+
+  for (const res of responses) {
+    assert.equal(res.statusCode, 404);
+    assert.deepEqual(res.body, responses[0].body);
+  }
+});
+
+test('limits portal requests per email', async () => {
+  const openPortal = () => invoke(customerPortal, { method: 'POST', headers: authHeader(), body: {} });
+  for (let i = 0; i < 10; i++) {
+    await openPortal();
+  }
+
+  assert.equal((await openPortal()).statusCode, 429);
+});
+
+test('counts in Redis through the REST pipeline', async () => {
+  const fetchMock = mock.method(globalThis, 'fetch', async (url, options) => {
+    assert.equal(url, 'https://redis.example/pipeline');
+    assert.equal(options.headers.Authorization, 'Bearer token');
+    assert.deepEqual(JSON.parse(options.body)[0], ['INCR', 'payment:ip:abc']);
+    return new Response(JSON.stringify([{ result: 4 }, { result: 0 }, { result: 60000 }]), { status: 200 });
+  });
+
+  try {
+    const counter = await createRedisStore('https://redis.example/', 'token').hit('payment:ip:abc', 600000);
+    assert.equal(counter.count, 4);
+    assert.ok(counter.reset_at > Date.now() + 59000);
+  } finally {
+    fetchMock.mock.restore();
+  }
+});
+
+test('reports bad rate limit settings as config errors', () => {
+  const config = loadConfig({
+    ...process.env,
+    RATE_LIMIT_STORE: 'redis',
+    CARD_DECLINE_LIMIT: '0'
+  });
+
+  assert.ok(config.errors.includes('RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN'));
+  assert.ok(config.errors.includes('CARD_DECLINE_LIMIT must be a whole number of at least 1'));
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { RAZORPAY_ENV, createMockRazorpay, orderPaidEvent, razorpayWebhookRequest } from './helpers/mock-razorpay.js';
+import { getEntitlementStore } from '../lib/entitlements/index.js';
+import { getWebhookEventStore } from '../lib/webhooks/index.js';
+import createOrder from '../api/razorpay/create-order.js';
+import webhook from '../api/razorpay/webhook.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let stripe;
+let razorpay;
+
+Object.assign(process.env, RAZORPAY_ENV);
+
+after(() => {
+  Object.keys(RAZORPAY_ENV).forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  stripe = resetState();
+  razorpay = createMockRazorpay();
+});
+
+afterEach(() => {
+  razorpay.restore();
+});
+
+function order(body, headers = authHeader()) {
+  return invoke(createOrder, { method: 'POST', headers: headers, body: body });
+}
+
+test('creates an INR order with the plan details in its notes', async () => {
+  const res = await order({ plan_type: 'monthly', user_country: 'IN', customer_name: 'Asha Rao' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.gateway, 'razorpay');
+  assert.equal(res.body.order.amount, 79900);
+  assert.equal(res.body.order.currency, 'inr');
+  assert.equal(res.body.checkout.key, 'rzp_test_mock');
+  assert.equal(res.body.checkout.order_id, res.body.order.id);
+  assert.equal(res.body.checkout.prefill.email, 'student@example.com');
+
+  const created = razorpay.orders.get(res.body.order.id);
+  assert.equal(created.currency, 'INR');
+  assert.equal(created.notes.customer_id, res.body.customer.id);
+  assert.equal(created.notes.plan_type, 'monthly');
+  assert.equal(created.notes.firebase_uid, 'uid_student');
+  assert.equal(stripe.calls.some(call => call.method === 'paymentIntents.create'), false);
+});
+
+test('rejects unsigned requests and currencies Razorpay does not charge', async () => {
+  assert.equal((await order({ plan_type: 'monthly' }, {})).statusCode, 401);
+
+  const res = await order({ plan_type: 'monthly', user_country: 'US' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'currency_not_supported');
+  assert.equal(razorpay.calls.length, 0);
+});
+
+test('grants access when the order.paid webhook arrives, once per event', async () => {
+  const { body } = await order({ plan_type: 'weekly', user_country: 'IN' });
+  const event = orderPaidEvent(razorpay.orders.get(body.order.id));
+  const delivery = razorpayWebhookRequest(event, { eventId: 'KbWfr0nZ3Bk3ZN' });
+
+  const res = await invoke(webhook, delivery);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true, event_type: 'gateway.payment.succeeded' });
+
+  const payment = event.payload.payment.entity;
+  const entitlement = await getEntitlementStore().get(body.customer.id);
+  assert.equal(entitlement.plan_type, 'weekly');
+  assert.equal(entitlement.status, 'active');
+  assert.equal(entitlement.payment_gateway, 'razorpay');
+  assert.equal(entitlement.gateway_payment_id, payment.id);
+  assert.equal(entitlement.payment_intent_id, null);
+  assert.equal(entitlement.period_value, 29900);
+  assert.equal(new Date(entitlement.end_date) - new Date(payment.created_at * 1000), 7 * DAY_MS);
+
+  const stored = await getWebhookEventStore().get('evt_razorpay_KbWfr0nZ3Bk3ZN');
+  assert.equal(stored.status, 'processed');
+
+  const retry = await invoke(webhook, delivery);
+  assert.equal(retry.body.duplicate, true);
+});
+
+test('rejects a bad signature and acknowledges events it does not handle', async () => {
+  const { body } = await order({ plan_type: 'weekly', user_country: 'IN' });
+  const event = orderPaidEvent(razorpay.orders.get(body.order.id));
+
+  const forged = await invoke(webhook, razorpayWebhookRequest(event, { secret: 'wrong_secret' }));
+  assert.equal(forged.statusCode, 400);
+  assert.equal(await getEntitlementStore().get(body.customer.id), null);
+
+  const ignored = await invoke(webhook, razorpayWebhookRequest({ ...event, event: 'payment.authorized' }));
+  assert.equal(ignored.statusCode, 200);
+  assert.equal(ignored.body.ignored, true);
+});
\ No newline at end of file
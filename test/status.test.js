@@ -0,0 +1,157 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Stripe from 'stripe';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { authHeader } from './helpers/env.js';
+import { setEntitlementStore } from '../lib/entitlements/index.js';
+import status from '../api/status.js';
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+// Run fn with extra environment variables and a config that sees them
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  stripe = resetState();
+
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+test('reports OK with the endpoint list', async () => {
+  const res = await invoke(status, { method: 'GET' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'OK');
+  assert.equal(res.body.endpoints.payment, '/api/stripe/create-payment-intent');
+  assert.equal(res.body.environment.stripe_key_mode, 'test');
+  assert.equal(res.body.config_error_count, 0);
+});
+
+test('still answers while misconfigured', async () => {
+  const key = process.env.STRIPE_SECRET_KEY;
+  process.env.STRIPE_SECRET_KEY = 'not-a-key';
+  resetState();
+
+  try {
+    const res = await invoke(status, { method: 'GET' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.status, 'MISCONFIGURED');
+    assert.equal(res.body.config_error_count, 1);
+    assert.equal(res.body.config_errors, undefined);
+    assert.equal(res.body.environment.allowed_origins, undefined);
+
+    // Support staff see what is wrong
+    const admin = await invoke(status, { method: 'GET', headers: authHeader({ admin: true }) });
+    assert.match(admin.body.config_errors[0], /STRIPE_SECRET_KEY/);
+    assert.ok(admin.body.environment.allowed_origins.includes('https://www.gammapace.com'));
+
+    const student = await invoke(status, { method: 'GET', headers: authHeader() });
+    assert.equal(student.body.config_errors, undefined);
+  } finally {
+    process.env.STRIPE_SECRET_KEY = key;
+  }
+});
+
+test('answers CORS preflight only for allowed origins', async () => {
+  const allowed = await invoke(status, { method: 'OPTIONS', headers: { origin: 'https://www.gammapace.com' } });
+  assert.equal(allowed.statusCode, 204);
+  assert.equal(allowed.headers['access-control-allow-origin'], 'https://www.gammapace.com');
+
+  const other = await invoke(status, { method: 'OPTIONS', headers: { origin: 'https://evil.example' } });
+  assert.equal(other.headers['access-control-allow-origin'], undefined);
+});
+
+test('reports the package version and git commit', async () => {
+  const res = await withEnv({ VERCEL_GIT_COMMIT_SHA: 'a1b2c3d' }, () => invoke(status, { method: 'GET' }));
+
+  assert.equal(res.body.version, '1.0.0');
+  assert.equal(res.body.commit, 'a1b2c3d');
+  assert.equal(res.body.checks, undefined);
+  assert.equal(stripe.calls.length, 0);
+});
+
+const ADMIN = authHeader({ sub: 'uid_support', admin: true });
+
+test('deep check calls each dependency once and reports OK', async () => {
+  const res = await invoke(status, { method: 'GET', headers: ADMIN, query: { deep: 'true' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'OK');
+  assert.equal(res.body.checks.stripe.status, 'ok');
+  assert.equal(res.body.checks.stripe.key_mode, 'test');
+  assert.equal(res.body.checks.billing_portal.configuration_id, 'bpc_mock_default');
+  assert.equal(res.body.checks.entitlement_store.adapter, 'memory');
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.deepEqual(stripe.calls.map(call => call.method).sort(), ['balance.retrieve', 'billingPortal.configurations.list']);
+});
+
+test('deep check only reports ok or fail per dependency to the public', async () => {
+  const res = await invoke(status, { method: 'GET', query: { deep: 'true' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.checks, {
+    stripe: { status: 'ok' },
+    billing_portal: { status: 'ok' },
+    entitlement_store: { status: 'ok' }
+  });
+});
+
+test('deep check returns 503 for a revoked Stripe key', async () => {
+  stripe.balance.retrieve = async () => {
+    throw new Stripe.errors.StripeAuthenticationError({ message: 'Expired API Key provided: sk_test_****1234' });
+  };
+
+  const res = await invoke(status, { method: 'GET', headers: ADMIN, query: { deep: '1' } });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.status, 'DEGRADED');
+  assert.equal(res.body.checks.stripe.status, 'fail');
+  assert.match(res.body.checks.stripe.error, /Expired API Key/);
+  assert.equal(res.body.checks.entitlement_store.status, 'ok');
+});
+
+test('deep check fails a test key in production but not in a preview', async () => {
+  const production = await withEnv({ NODE_ENV: 'production', VERCEL_ENV: 'production' },
+    () => invoke(status, { method: 'GET', headers: ADMIN, query: { deep: 'true' } }));
+  assert.equal(production.statusCode, 503);
+  assert.equal(production.body.checks.stripe.error, 'A Stripe test key is configured in production');
+
+  const preview = await withEnv({ NODE_ENV: 'production', VERCEL_ENV: 'preview' },
+    () => invoke(status, { method: 'GET', query: { deep: 'true' } }));
+  assert.equal(preview.statusCode, 200);
+});
+
+test('deep check returns 503 for an inactive portal or an unreachable store', async () => {
+  stripe.billingPortal.configurations.data[0].active = false;
+  setEntitlementStore({ name: 'firestore', get: async () => { throw new Error('14 UNAVAILABLE: No connection established'); } });
+
+  const res = await invoke(status, { method: 'GET', headers: ADMIN, query: { deep: 'true' } });
+
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.checks.billing_portal.error, 'The default billing portal configuration is not active');
+  assert.equal(res.body.checks.entitlement_store.status, 'fail');
+  assert.equal(res.body.checks.stripe.status, 'ok');
+});
+
+test('rejects other methods', async () => {
+  const res = await invoke(status, { method: 'DELETE' });
+
+  assert.equal(res.statusCode, 405);
+  assert.equal(res.headers.allow, 'GET, OPTIONS');
+});
\ No newline at end of file
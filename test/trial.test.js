@@ -0,0 +1,143 @@
+import { authHeader } from './helpers/env.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { createEvent, webhookRequest } from './helpers/webhooks.js';
+import { getEntitlementStore, setEntitlementStore, createMemoryStore } from '../lib/entitlements/index.js';
+import startTrial from '../api/trial/start.js';
+import createPaymentIntent from '../api/stripe/create-payment-intent.js';
+import changePlan from '../api/stripe/change-plan.js';
+import subscriptionStatus from '../api/subscription.js';
+import webhook from '../api/stripe/webhook.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let stripe;
+
+process.env.TRIAL_DAYS = '5';
+
+after(() => {
+  delete process.env.TRIAL_DAYS;
+});
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+function start(headers = authHeader(), body = {}) {
+  return invoke(startTrial, { method: 'POST', headers: headers, body: body });
+}
+
+test('requires a signed-in student with a verified email', async () => {
+  assert.equal((await start({})).statusCode, 401);
+  assert.equal((await start(authHeader({ email_verified: false }))).statusCode, 403);
+  assert.equal(stripe.calls.length, 0);
+});
+
+test('grants a trial without a card that the access check reports', async () => {
+  const res = await start(authHeader(), { customer_name: 'Asha Rao', user_country: 'IN' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.trial_days, 5);
+  assert.equal(res.body.subscription_data.plan_type, 'trial');
+  const { start_date, end_date } = res.body.subscription_data;
+  assert.equal(new Date(end_date) - new Date(start_date), 5 * DAY_MS);
+  assert.equal(stripe.calls.some(call => call.method === 'paymentIntents.create'), false);
+
+  const access = await invoke(subscriptionStatus, { method: 'GET', headers: authHeader() });
+  assert.equal(access.body.active, true);
+  assert.equal(access.body.plan_type, 'trial');
+  assert.equal(access.body.status, 'trialing');
+  assert.equal(access.body.expires_at, end_date);
+  assert.equal(access.body.trial_end_date, end_date);
+
+  // Someone else's account on the same, unverified email sees nothing
+  const unverified = await invoke(subscriptionStatus, { method: 'GET', headers: authHeader({ sub: 'uid_other', email_verified: false }) });
+  assert.equal(unverified.statusCode, 403);
+});
+
+test('allows one trial per Firebase user and per email', async () => {
+  assert.equal((await start()).statusCode, 200);
+
+  const again = await start();
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.type, 'trial_unavailable');
+
+  // Same account with a new email, and a new account on the old email
+  assert.equal((await start(authHeader({ email: 'renamed@example.com' }))).statusCode, 409);
+  assert.equal((await start(authHeader({ sub: 'uid_second' }))).statusCode, 409);
+
+  // Nothing was used up by the refused attempts
+  assert.equal((await start(authHeader({ sub: 'uid_new', email: 'new@example.com' }))).statusCode, 200);
+});
+
+test('refuses a trial to a student who already had premium', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  await getEntitlementStore().put(customer.id, {
+    email: 'student@example.com',
+    plan_type: 'monthly',
+    status: 'canceled',
+    end_date: new Date(Date.now() - DAY_MS).toISOString()
+  });
+
+  const res = await start();
+
+  assert.equal(res.statusCode, 409);
+  assert.equal((await getEntitlementStore().get(customer.id)).plan_type, 'monthly');
+});
+
+test('carries the trial days left over into a paid plan', async () => {
+  const trialEnd = (await start()).body.subscription_data.end_date;
+
+  const res = await invoke(createPaymentIntent, {
+    method: 'POST',
+    headers: authHeader(),
+    body: { payment_method_id: 'pm_card_visa', plan_type: 'monthly' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  const expectedEnd = new Date(new Date(trialEnd).getTime() + 30 * DAY_MS).toISOString();
+  assert.equal(res.body.subscription_data.end_date, expectedEnd);
+
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  assert.equal(paymentIntent.metadata.trial_end, trialEnd);
+
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  const entitlement = await getEntitlementStore().findByEmail('student@example.com');
+  assert.equal(entitlement.plan_type, 'monthly');
+  assert.equal(entitlement.status, 'active');
+  assert.equal(entitlement.end_date, expectedEnd);
+  assert.equal(entitlement.trial_end_date, trialEnd);
+});
+
+test('rebuilds a paid plan from Stripe with the trial days, until it is refunded', async () => {
+  const trialEnd = (await start()).body.subscription_data.end_date;
+  const res = await invoke(createPaymentIntent, {
+    method: 'POST',
+    headers: authHeader(),
+    body: { payment_method_id: 'pm_card_visa', plan_type: 'monthly' }
+  });
+  // The webhook never arrived and the store lost the record
+  setEntitlementStore(createMemoryStore());
+
+  const access = await invoke(subscriptionStatus, { method: 'GET', headers: authHeader() });
+  assert.equal(access.body.source, 'stripe');
+  assert.equal(access.body.active, true);
+  assert.equal(access.body.expires_at, new Date(new Date(trialEnd).getTime() + 30 * DAY_MS).toISOString());
+
+  const paymentIntent = stripe.paymentIntents.data.get(res.body.payment_intent.id);
+  stripe.charges.data.get(paymentIntent.latest_charge).refunded = true;
+  const refunded = await invoke(subscriptionStatus, { method: 'GET', headers: authHeader() });
+  assert.equal(refunded.body.active, false);
+});
+
+test('does not offer a plan change from a trial', async () => {
+  await start();
+
+  const res = await invoke(changePlan, { method: 'GET', headers: authHeader(), query: { plan_type: 'monthly' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.errors[0].code, 'invalid_state');
+});
\ No newline at end of file
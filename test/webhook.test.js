@@ -0,0 +1,357 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetState } from './helpers/setup.js';
+import { invoke } from './helpers/http.js';
+import { createEvent, webhookRequest } from './helpers/webhooks.js';
+import { getEntitlementStore, setEntitlementStore, isEntitlementActive } from '../lib/entitlements/index.js';
+import { getWebhookEventStore } from '../lib/webhooks/index.js';
+import { getNotificationTransport, setNotificationTransport, createMemoryTransport } from '../lib/notifications/index.js';
+import webhook from '../api/stripe/webhook.js';
+
+let stripe;
+
+beforeEach(() => {
+  stripe = resetState();
+});
+
+async function paidIntent() {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  return {
+    id: 'pi_paid',
+    object: 'payment_intent',
+    status: 'succeeded',
+    amount: 2499,
+    currency: 'cad',
+    customer: customer.id,
+    created: Math.floor(Date.now() / 1000),
+    invoice: null,
+    metadata: { plan_type: 'monthly', firebase_uid: 'uid_student' }
+  };
+}
+
+test('grants access for payment_intent.succeeded', async () => {
+  const paymentIntent = await paidIntent();
+  const event = createEvent('payment_intent.succeeded', paymentIntent);
+
+  const res = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true, event_type: 'payment_intent.succeeded' });
+
+  const entitlement = await getEntitlementStore().get(paymentIntent.customer);
+  assert.equal(entitlement.plan_type, 'monthly');
+  assert.equal(entitlement.email, 'student@example.com');
+  assert.equal(entitlement.firebase_uid, 'uid_student');
+  assert.equal(isEntitlementActive(entitlement), true);
+});
+
+test('skips a redelivered event', async () => {
+  const event = createEvent('payment_intent.succeeded', await paidIntent());
+
+  await invoke(webhook, webhookRequest(event));
+  const res = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.duplicate, true);
+});
+
+test('ends access for customer.subscription.deleted', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const endedAt = Math.floor(Date.now() / 1000) - 60;
+  await getEntitlementStore().put(customer.id, {
+    status: 'active',
+    end_date: new Date(Date.now() + 86400000).toISOString(),
+    subscription_id: 'sub_1'
+  });
+
+  const event = createEvent('customer.subscription.deleted', {
+    id: 'sub_1',
+    object: 'subscription',
+    customer: customer.id,
+    status: 'canceled',
+    canceled_at: endedAt,
+    ended_at: endedAt
+  });
+  const res = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(res.statusCode, 200);
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.status, 'canceled');
+  assert.equal(isEntitlementActive(entitlement), false);
+});
+
+test('keeps a one-off plan through an abandoned subscription', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const endDate = new Date(Date.now() + 20 * 86400000).toISOString();
+  await getEntitlementStore().put(customer.id, { status: 'active', plan_type: 'monthly', end_date: endDate, payment_intent_id: 'pi_one_off' });
+  const now = Math.floor(Date.now() / 1000);
+  const subscription = status => ({
+    id: 'sub_abandoned',
+    object: 'subscription',
+    customer: customer.id,
+    status: status,
+    current_period_start: now,
+    current_period_end: now + 7 * 86400,
+    cancel_at_period_end: false,
+    items: { data: [{ price: { id: 'price_weekly' } }] },
+    metadata: { plan_type: 'weekly' }
+  });
+
+  // 3D Secure was never completed, so Stripe expires the subscription
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.created', subscription('incomplete'))));
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.updated', subscription('incomplete_expired'))));
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.deleted', {
+    ...subscription('canceled'),
+    canceled_at: now,
+    ended_at: now
+  })));
+
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.status, 'active');
+  assert.equal(entitlement.end_date, endDate);
+  assert.equal(entitlement.subscription_id, undefined);
+  assert.equal(getNotificationTransport().sent.length, 0);
+});
+
+test('only ends access for the subscription that holds it', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const endDate = new Date(Date.now() + 20 * 86400000).toISOString();
+  await getEntitlementStore().put(customer.id, { status: 'active', end_date: endDate, subscription_id: 'sub_current' });
+  const endedAt = Math.floor(Date.now() / 1000) - 60;
+
+  await invoke(webhook, webhookRequest(createEvent('customer.subscription.deleted', {
+    id: 'sub_old',
+    object: 'subscription',
+    customer: customer.id,
+    status: 'canceled',
+    canceled_at: endedAt,
+    ended_at: endedAt
+  })));
+
+  const entitlement = await getEntitlementStore().get(customer.id);
+  assert.equal(entitlement.status, 'active');
+  assert.equal(entitlement.end_date, endDate);
+});
+
+test('rejects a payload signed with another secret', async () => {
+  const event = createEvent('payment_intent.succeeded', await paidIntent());
+
+  const res = await invoke(webhook, webhookRequest(event, { secret: 'whsec_wrong' }));
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body, /^Webhook Error:/);
+  assert.equal(await getEntitlementStore().get(event.data.object.customer), null);
+});
+
+test('rejects a tampered payload', async () => {
+  const event = createEvent('payment_intent.succeeded', await paidIntent());
+  const request = webhookRequest(event);
+  request.rawBody = request.rawBody.replace('"monthly"', '"quarterly"');
+
+  const res = await invoke(webhook, request);
+
+  assert.equal(res.statusCode, 400);
+});
+
+test('rejects a request without a signature', async () => {
+  const event = createEvent('payment_intent.succeeded', await paidIntent());
+
+  const res = await invoke(webhook, webhookRequest(event, { signature: null }));
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body, 'Missing Stripe signature');
+});
+test('emails one receipt per payment', async () => {
+  const paymentIntent = await paidIntent();
+
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  // Checkout reports the same payment again through its own event
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+
+  const sent = getNotificationTransport().sent;
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].template, 'receipt');
+  assert.equal(sent[0].to, 'student@example.com');
+  assert.match(sent[0].text, /CA\$24\.99/);
+});
+
+test('sends dunning notices by attempt_count', async () => {
+  const customer = await stripe.customers.create({ email: 'student@example.com' });
+  const retryAt = Math.floor(Date.now() / 1000) + 3 * 86400;
+  const failedInvoice = (attempt, nextAttempt) => createEvent('invoice.payment_failed', {
+    id: 'in_1',
+    object: 'invoice',
+    customer: customer.id,
+    subscription: 'sub_1',
+    amount_due: 2499,
+    currency: 'cad',
+    attempt_count: attempt,
+    next_payment_attempt: nextAttempt
+  });
+
+  await invoke(webhook, webhookRequest(failedInvoice(1, retryAt)));
+  await invoke(webhook, webhookRequest(failedInvoice(2, retryAt)));
+  await invoke(webhook, webhookRequest(failedInvoice(4, null)));
+
+  const sent = getNotificationTransport().sent;
+  assert.deepEqual(sent.map(message => message.subject), [
+    'Your IELTS Practice payment did not go through',
+    'Reminder: please update your payment method',
+    'Final notice: your premium access is about to end'
+  ]);
+  assert.equal((await getEntitlementStore().get(customer.id)).status, 'past_due');
+});
+
+test('emails one failed-payment notice per payment', async () => {
+  const paymentIntent = { ...await paidIntent(), status: 'requires_payment_method' };
+  await getEntitlementStore().put(paymentIntent.customer, { email: 'student@example.com' });
+
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.payment_failed', paymentIntent)));
+  // Redelivered as a new event, e.g. after a replay
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.payment_failed', paymentIntent)));
+
+  assert.deepEqual(getNotificationTransport().sent.map(message => message.template), ['payment_failed']);
+});
+
+test('grants access but retries the event when the email cannot be sent', async () => {
+  setNotificationTransport({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+  const paymentIntent = await paidIntent();
+
+  const event = createEvent('payment_intent.succeeded', paymentIntent);
+  const res = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(isEntitlementActive(await getEntitlementStore().get(paymentIntent.customer)), true);
+  const failed = await getWebhookEventStore().get(event.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.last_error, 'SMTP down');
+
+  // Stripe delivers the event again once email works
+  setNotificationTransport(createMemoryTransport());
+  const retried = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(retried.statusCode, 200);
+  assert.deepEqual(getNotificationTransport().sent.map(message => message.template), ['receipt']);
+});
+
+async function grantedPayment() {
+  const paymentIntent = await paidIntent();
+  await invoke(webhook, webhookRequest(createEvent('payment_intent.succeeded', paymentIntent)));
+  return { paymentIntent, entitlement: await getEntitlementStore().get(paymentIntent.customer) };
+}
+
+function refundedCharge(paymentIntent, amountRefunded) {
+  return {
+    id: 'ch_paid',
+    object: 'charge',
+    amount: paymentIntent.amount,
+    amount_refunded: amountRefunded,
+    refunded: amountRefunded === paymentIntent.amount,
+    customer: paymentIntent.customer,
+    payment_intent: paymentIntent.id,
+    invoice: null
+  };
+}
+
+test('revokes access for a full refund', async () => {
+  const { paymentIntent } = await grantedPayment();
+
+  const res = await invoke(webhook, webhookRequest(createEvent('charge.refunded', refundedCharge(paymentIntent, 2499))));
+
+  assert.equal(res.statusCode, 200);
+  const entitlement = await getEntitlementStore().get(paymentIntent.customer);
+  assert.equal(entitlement.status, 'refunded');
+  assert.equal(isEntitlementActive(entitlement), false);
+});
+
+test('shortens access for a partial refund', async () => {
+  const { paymentIntent, entitlement: granted } = await grantedPayment();
+  const start = new Date(granted.start_date).getTime();
+  const end = new Date(granted.end_date).getTime();
+
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', refundedCharge(paymentIntent, 1000))));
+  const afterFirst = await getEntitlementStore().get(paymentIntent.customer);
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', refundedCharge(paymentIntent, 1500))));
+  const afterSecond = await getEntitlementStore().get(paymentIntent.customer);
+
+  const kept = refunded => new Date(start + (end - start) * (2499 - refunded) / 2499).toISOString();
+  assert.equal(afterFirst.end_date, kept(1000));
+  assert.equal(afterSecond.end_date, kept(1500));
+  assert.equal(afterSecond.status, 'active');
+});
+
+test('ignores refunds of a payment that did not grant the current access', async () => {
+  const { paymentIntent, entitlement: granted } = await grantedPayment();
+  const oldCharge = { ...refundedCharge(paymentIntent, 2499), id: 'ch_old', payment_intent: 'pi_old' };
+
+  await invoke(webhook, webhookRequest(createEvent('charge.refunded', oldCharge)));
+
+  assert.equal((await getEntitlementStore().get(paymentIntent.customer)).end_date, granted.end_date);
+});
+
+test('suspends access during a dispute and restores it when won', async () => {
+  const { paymentIntent, entitlement: granted } = await grantedPayment();
+  stripe.charges.data.set('ch_paid', refundedCharge(paymentIntent, 0));
+  const dispute = { id: 'dp_1', object: 'dispute', charge: 'ch_paid', amount: 2499, reason: 'fraudulent', status: 'needs_response' };
+
+  await invoke(webhook, webhookRequest(createEvent('charge.dispute.created', dispute)));
+  const disputed = await getEntitlementStore().get(paymentIntent.customer);
+  assert.equal(disputed.status, 'disputed');
+  assert.equal(isEntitlementActive(disputed), false);
+
+  await invoke(webhook, webhookRequest(createEvent('charge.dispute.closed', { ...dispute, status: 'won' })));
+  const restored = await getEntitlementStore().get(paymentIntent.customer);
+  assert.equal(restored.status, 'active');
+  assert.equal(restored.end_date, granted.end_date);
+});
+
+// Entitlement store whose writes fail until healed
+function breakEntitlementStore() {
+  const working = getEntitlementStore();
+  const broken = { ...working, put: async () => { throw new Error('Firestore unavailable'); } };
+  setEntitlementStore(broken);
+  return () => setEntitlementStore(working);
+}
+
+test('returns 500 when a handler fails so Stripe retries', async () => {
+  const paymentIntent = await paidIntent();
+  const event = createEvent('payment_intent.succeeded', paymentIntent);
+  const heal = breakEntitlementStore();
+
+  const failed = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(failed.statusCode, 500);
+  assert.equal(failed.body.received, false);
+  const record = await getWebhookEventStore().get(event.id);
+  assert.equal(record.status, 'failed');
+  assert.equal(record.attempts, 1);
+  assert.equal(record.last_error, 'Firestore unavailable');
+
+  heal();
+  const retried = await invoke(webhook, webhookRequest(event));
+
+  assert.equal(retried.statusCode, 200);
+  assert.equal(retried.body.duplicate, undefined);
+  assert.equal((await getWebhookEventStore().get(event.id)).status, 'processed');
+  assert.equal(isEntitlementActive(await getEntitlementStore().get(paymentIntent.customer)), true);
+});
+
+test('dead-letters an event after WEBHOOK_MAX_ATTEMPTS failures', async () => {
+  const event = createEvent('payment_intent.succeeded', await paidIntent());
+  breakEntitlementStore();
+
+  const responses = [];
+  for (let attempt = 0; attempt < 5; attempt++) {
+    responses.push(await invoke(webhook, webhookRequest(event)));
+  }
+
+  assert.deepEqual(responses.map(res => res.statusCode), [500, 500, 500, 500, 200]);
+  assert.equal(responses[4].body.dead_letter, true);
+  const record = await getWebhookEventStore().get(event.id);
+  assert.equal(record.status, 'dead_letter');
+  assert.equal(record.attempts, 5);
+
+  // Acknowledged - later deliveries are duplicates until an admin replays it
+  assert.equal((await invoke(webhook, webhookRequest(event))).body.duplicate, true);
+});
\ No newline at end of file